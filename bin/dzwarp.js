@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parseStringPromise, Builder } from 'xml2js';
+import { DzwarpError, MAP_PROFILES, SUPPORTED_MODULES, buildRecipeReport, buildReport, checkNameTemplate, cloneSet, createSelection, loadCollisionIndex, mergeSets, parseSwap, patchGameplayConfig, readPreviewZones, readRecipe, renderPreview, resolveMapProfile, runRecipe, splitSet, undoWarp, warpSet, watchWarp, writePreview, writeReport } from '../lib/index.js';
 
 /**
  * Helper to get __dirname in ES modules
@@ -11,25 +10,21 @@ import { parseStringPromise, Builder } from 'xml2js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Obtain the current date in MMDD format
- */
-const currentDate = new Date();
-const month = String(currentDate.getMonth() + 1).padStart(2, '0'); // Months are zero-based
-const day = String(currentDate.getDate()).padStart(2, '0');
-const dateStr = `${month}${day}`; // e.g., '0303' for March 3rd
-
 /**
  * Parses and validates command-line arguments using flags.
  * Supports warp coordinates (-x, -y, -z) and a warped set file (-iw).
  * Also supports output directory (-o), additional offsets (-xo, -yo, -zo), module type (-mod),
- * and keyword swaps (--swap).
+ * and keyword swaps (--swap, --swap-regex).
  * @returns {Object} An object containing all relevant flags and their values.
  */
 function parseArguments() {
     const args = process.argv.slice(2);
     const argMap = {
-        swaps: [] // Initialize an array to hold swap pairs
+        modules: [], // Initialize an array to hold module types
+        swaps: [], // Initialize an array to hold swap pairs
+        events: [], // Initialize an array to hold event name globs
+        include: [], // Initialize an array to hold relation directory include globs
+        exclude: [] // Initialize an array to hold relation directory exclude globs
     };
 
     // Iterate through the arguments and map flags to their values
@@ -42,8 +37,17 @@ function parseArguments() {
             case '-isr':
                 argMap.inputSetRelationDir = args[++i];
                 break;
+            case '--no-recursive':
+                argMap.recursive = false;
+                break;
+            case '--include':
+                argMap.include.push(args[++i]);
+                break;
+            case '--exclude':
+                argMap.exclude.push(args[++i]);
+                break;
             case '-mod':
-                argMap.module = args[++i].toLowerCase();
+                argMap.modules.push(...args[++i].toLowerCase().split(',').filter(Boolean));
                 break;
             case '-x':
                 argMap.warpX = parseFloat(args[++i]);
@@ -57,6 +61,15 @@ function parseArguments() {
             case '-iw':
                 argMap.warpSetPath = args[++i];
                 break;
+            case '--grid-ref':
+                argMap.gridReference = args[++i];
+                break;
+            case '--location':
+                argMap.location = args[++i];
+                break;
+            case '--gazetteer':
+                argMap.gazetteerPath = args[++i];
+                break;
             case '-o':
                 argMap.outputDir = args[++i];
                 break;
@@ -69,19 +82,116 @@ function parseArguments() {
             case '-zo':
                 argMap.offsetZ = parseFloat(args[++i]);
                 break;
+            case '--rotate':
+                argMap.rotation = parseFloat(args[++i]);
+                break;
+            case '--pivot':
+                argMap.pivot = args[++i];
+                break;
+            case '--fit':
+                argMap.fit = true;
+                break;
+            case '--fit-yaw':
+                argMap.fit = true;
+                argMap.fitYaw = true;
+                break;
+            case '--fit-tolerance':
+                argMap.fitTolerance = parseFloat(args[++i]);
+                break;
+            case '--heightmap':
+                argMap.heightmapPath = args[++i];
+                break;
+            case '--heightmap-size':
+                argMap.heightmapSize = parseFloat(args[++i]);
+                break;
+            case '--heightmap-range':
+                argMap.heightmapRange = args[++i];
+                break;
+            case '--source-heightmap':
+                argMap.sourceHeightmapPath = args[++i];
+                break;
+            case '--source-heightmap-size':
+                argMap.sourceHeightmapSize = parseFloat(args[++i]);
+                break;
+            case '--source-heightmap-range':
+                argMap.sourceHeightmapRange = args[++i];
+                break;
+            case '--snap-height':
+                argMap.snapHeight = true;
+                break;
+            case '--event':
+                argMap.events.push(args[++i]);
+                break;
+            case '--keep-event-angles':
+                argMap.keepEventAngles = true;
+                break;
+            case '--gameplay':
+                argMap.gameplayPath = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--report':
+                argMap.reportPath = args[++i];
+                break;
+            case '--no-manifest':
+                argMap.manifest = false;
+                break;
+            case '--preview':
+                argMap.previewPath = args[++i];
+                break;
+            case '--preview-zones':
+                argMap.previewZonesPath = args[++i];
+                break;
+            case '--watch':
+                argMap.watch = true;
+                break;
+            case '--select-name':
+                argMap.selectName = args[++i];
+                break;
+            case '--select-bbox':
+                argMap.selectBbox = args[++i];
+                break;
+            case '--select-radius':
+                argMap.selectRadius = args[++i];
+                break;
+            case '--map':
+                argMap.map = args[++i];
+                break;
+            case '--map-size':
+                argMap.mapSize = parseFloat(args[++i]);
+                break;
+            case '--force':
+                argMap.force = true;
+                break;
+            case '--check-collisions':
+                argMap.checkCollisions = true;
+                break;
+            case '--map-objects':
+                argMap.mapObjectsPath = args[++i];
+                break;
+            case '--collision-distance':
+                argMap.collisionDistance = parseFloat(args[++i]);
+                break;
             case '--swap':
-                const swapArg = args[++i];
-                const swapParts = swapArg.split('/');
-                if (swapParts.length !== 2) {
-                    console.error(`Error: Invalid format for --swap. Expected format is --swap from/to, got "${swapArg}".`);
+            case '--swap-regex':
+                try {
+                    argMap.swaps.push(parseSwap(args[++i], arg === '--swap-regex'));
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
                     displayUsageAndExit();
                 }
-                const [from, to] = swapParts;
-                if (!from || !to) {
-                    console.error(`Error: Both 'from' and 'to' keywords must be specified for --swap. Received "${swapArg}".`);
+                break;
+            case '--swap-content':
+                argMap.swapContent = true;
+                break;
+            case '--name-template':
+                try {
+                    argMap.nameTemplate = checkNameTemplate(args[++i]);
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
                     displayUsageAndExit();
                 }
-                argMap.swaps.push({ from, to });
                 break;
             case '--help':
             case '-h':
@@ -99,12 +209,45 @@ function parseArguments() {
         displayUsageAndExit();
     }
 
-    // Validate that either warp coordinates or warp set is provided
+    // Validate that warp coordinates, a warp set, a grid reference or a named location is provided
+    const hasNamedTarget = ('gridReference' in argMap) || ('location' in argMap);
     const hasWarpCoordinates = ('warpX' in argMap) && ('warpY' in argMap) && ('warpZ' in argMap);
     const hasWarpSet = 'warpSetPath' in argMap;
 
-    if (!hasWarpCoordinates && !hasWarpSet) {
-        console.error('Error: You must provide either warp coordinates (-x, -y, -z) or a warp set file (-iw).');
+    if (!hasWarpCoordinates && !hasWarpSet && !hasNamedTarget) {
+        console.error('Error: You must provide either warp coordinates (-x, -y, -z), a warp set file (-iw), a grid reference (--grid-ref) or a named location (--location).');
+        displayUsageAndExit();
+    }
+
+    // A grid reference or named location stands in for -x and -z, with -y as the optional height
+    if (hasNamedTarget) {
+        if (('gridReference' in argMap) && ('location' in argMap)) {
+            console.error('Error: Flags --grid-ref and --location cannot be combined.');
+            displayUsageAndExit();
+        }
+        if (('warpX' in argMap) || ('warpZ' in argMap) || hasWarpSet) {
+            console.error('Error: Flags --grid-ref and --location replace -x, -z and -iw. Use -y for the height of the target.');
+            displayUsageAndExit();
+        }
+        if ('warpY' in argMap) {
+            if (isNaN(argMap.warpY)) {
+                console.error('Error: Flag -y must be provided with a valid number.');
+                process.exit(1);
+            }
+            argMap.height = argMap.warpY;
+            delete argMap.warpY;
+        }
+        if (('gridReference' in argMap) && !argMap.map && !('mapSize' in argMap)) {
+            console.error('Error: Flag --grid-ref requires the target map (--map or --map-size).');
+            displayUsageAndExit();
+        }
+        if (('location' in argMap) && !argMap.gazetteerPath) {
+            console.error('Error: Flag --location requires a gazetteer of named locations (--gazetteer).');
+            displayUsageAndExit();
+        }
+    }
+    if (argMap.gazetteerPath && !('location' in argMap)) {
+        console.error('Error: Flag --gazetteer requires a named location (--location).');
         displayUsageAndExit();
     }
 
@@ -130,9 +273,586 @@ function parseArguments() {
         process.exit(1);
     }
 
+    // Best-fit alignment needs a warp set to match against
+    if (argMap.fit && !hasWarpSet) {
+        console.error('Error: Flags --fit and --fit-yaw require a warp set file (-iw).');
+        displayUsageAndExit();
+    }
+    if (argMap.fit && 'rotation' in argMap) {
+        console.error('Error: Flag --rotate cannot be combined with --fit. Use --fit-yaw to solve the rotation from the warp set.');
+        displayUsageAndExit();
+    }
+    if ('fitTolerance' in argMap && (isNaN(argMap.fitTolerance) || argMap.fitTolerance < 0)) {
+        console.error('Error: Flag --fit-tolerance must be provided with a non-negative number.');
+        process.exit(1);
+    }
+    if (!('fitTolerance' in argMap)) {
+        argMap.fitTolerance = 0.5;
+    }
+
+    // If a rotation is provided, ensure it is a number
+    if ('rotation' in argMap && isNaN(argMap.rotation)) {
+        console.error('Error: Flag --rotate must be provided with a valid number of degrees.');
+        process.exit(1);
+    }
+
+    // A pivot only applies to a rotation
+    if ('pivot' in argMap && !('rotation' in argMap)) {
+        console.error('Error: Flag --pivot requires a rotation (--rotate).');
+        displayUsageAndExit();
+    }
+
+    // Validate the pivot: 'reference', 'centroid' or an explicit 'x,z' point
+    validatePivotArgument(argMap);
+
+    // Terrain snapping needs a target heightmap
+    if (argMap.snapHeight && !argMap.heightmapPath) {
+        console.error('Error: Flag --snap-height requires a heightmap (--heightmap).');
+        displayUsageAndExit();
+    }
+    for (const flag of ['heightmapSize', 'sourceHeightmapSize']) {
+        if (flag in argMap && (isNaN(argMap[flag]) || argMap[flag] <= 0)) {
+            console.error(`Error: Flag ${flag === 'heightmapSize' ? '--heightmap-size' : '--source-heightmap-size'} must be provided with a positive number.`);
+            process.exit(1);
+        }
+    }
+    for (const flag of ['heightmapRange', 'sourceHeightmapRange']) {
+        if (flag in argMap) {
+            const rangeParts = argMap[flag].split(',').map(parseFloat);
+            if (rangeParts.length !== 2 || rangeParts.some(isNaN) || rangeParts[0] >= rangeParts[1]) {
+                console.error(`Error: Invalid format for ${flag === 'heightmapRange' ? '--heightmap-range' : '--source-heightmap-range'}. Expected min,max, got "${argMap[flag]}".`);
+                displayUsageAndExit();
+            }
+            argMap[flag] = { min: rangeParts[0], max: rangeParts[1] };
+        }
+    }
+
+    // Traversal flags only apply to a relation directory
+    if ((argMap.recursive === false || argMap.include.length > 0 || argMap.exclude.length > 0) && !argMap.inputSetRelationDir) {
+        console.error('Error: Flags --no-recursive, --include and --exclude require a relation directory (-isr).');
+        displayUsageAndExit();
+    }
+
+    // Zones are drawn on the preview
+    if (argMap.previewZonesPath && !argMap.previewPath) {
+        console.error('Error: Flag --preview-zones requires a preview (--preview).');
+        displayUsageAndExit();
+    }
+
+    // Content swaps need swaps to apply
+    if (argMap.swapContent && argMap.swaps.length === 0) {
+        console.error('Error: Flag --swap-content requires at least one --swap or --swap-regex.');
+        displayUsageAndExit();
+    }
+
+    // Validate the object selection
+    validateSelectionArguments(argMap);
+
+    // Validate the target map profile or size
+    validateMapArguments(argMap);
+
+    // Validate the collision check sources and distance
+    validateCollisionArguments(argMap);
+
+    // If no event globs are specified, select all events
+    if (argMap.events.length === 0) {
+        argMap.events.push('*');
+    }
+
     // If module is not specified, default to 'json'
-    if (!('module' in argMap)) {
-        argMap.module = 'json';
+    if (argMap.modules.length === 0) {
+        argMap.modules.push('json');
+    }
+    const unknownModules = argMap.modules.filter(module => !SUPPORTED_MODULES.includes(module));
+    if (unknownModules.length > 0) {
+        console.error(`Error: Unknown module(s) "${unknownModules.join('", "')}". Supported modules: ${SUPPORTED_MODULES.join(', ')}.`);
+        displayUsageAndExit();
+    }
+
+    return argMap;
+}
+
+/**
+ * Validates --map and --map-size, exiting with usage on an unknown map or an invalid size.
+ * @param {Object} argMap - The parsed arguments.
+ */
+function validateMapArguments(argMap) {
+    if ('mapSize' in argMap && (isNaN(argMap.mapSize) || argMap.mapSize <= 0)) {
+        console.error('Error: Flag --map-size must be provided with a positive number.');
+        process.exit(1);
+    }
+    try {
+        resolveMapProfile(argMap.map, argMap.mapSize);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        displayUsageAndExit();
+    }
+}
+
+/**
+ * Validates --select-name, --select-bbox and --select-radius and combines them into argMap.selection,
+ * exiting with usage on an invalid pattern or area.
+ * @param {Object} argMap - The parsed arguments.
+ */
+function validateSelectionArguments(argMap) {
+    const selection = {};
+    if ('selectName' in argMap) {
+        selection.name = argMap.selectName;
+    }
+    for (const [flag, key, count, format] of [['--select-bbox', 'selectBbox', 4, 'minX,minZ,maxX,maxZ'], ['--select-radius', 'selectRadius', 3, 'x,z,radius']]) {
+        if (!(key in argMap)) continue;
+        const parts = String(argMap[key]).split(',').map(parseFloat);
+        if (parts.length !== count || parts.some(isNaN)) {
+            console.error(`Error: Invalid format for ${flag}. Expected ${format}, got "${argMap[key]}".`);
+            displayUsageAndExit();
+        }
+        selection[key === 'selectBbox' ? 'bbox' : 'radius'] = parts;
+    }
+    if (Object.keys(selection).length === 0) {
+        return;
+    }
+    try {
+        createSelection(selection);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        displayUsageAndExit();
+    }
+    argMap.selection = selection;
+}
+
+/**
+ * Validates --pivot: 'reference', 'centroid' or an explicit 'x,z' point, exiting with usage if it is malformed.
+ * Without --pivot the library default, 'reference', applies.
+ * @param {Object} argMap - The parsed arguments, whose 'pivot' is replaced by the parsed pivot.
+ */
+function validatePivotArgument(argMap) {
+    if (!('pivot' in argMap)) {
+        return;
+    }
+    const pivot = argMap.pivot.toLowerCase();
+    if (pivot === 'reference' || pivot === 'centroid') {
+        argMap.pivot = pivot;
+        return;
+    }
+    const pivotParts = argMap.pivot.split(',').map(parseFloat);
+    if (pivotParts.length !== 2 || pivotParts.some(isNaN)) {
+        console.error(`Error: Invalid format for --pivot. Expected 'reference', 'centroid' or x,z, got "${argMap.pivot}".`);
+        displayUsageAndExit();
+    }
+    argMap.pivot = { x: pivotParts[0], z: pivotParts[1] };
+}
+
+/**
+ * Validates --check-collisions, --map-objects and --collision-distance, exiting with usage if they don't fit together.
+ * @param {Object} argMap - The parsed arguments.
+ */
+function validateCollisionArguments(argMap) {
+    if ((argMap.mapObjectsPath || 'collisionDistance' in argMap) && !argMap.checkCollisions) {
+        console.error('Error: Flags --map-objects and --collision-distance require --check-collisions.');
+        displayUsageAndExit();
+    }
+    if (argMap.checkCollisions && !argMap.mapObjectsPath && !argMap.gameplayPath) {
+        console.error('Error: Flag --check-collisions requires a map object dump (--map-objects), a gameplay config (--gameplay), or both.');
+        displayUsageAndExit();
+    }
+    if ('collisionDistance' in argMap && (isNaN(argMap.collisionDistance) || argMap.collisionDistance < 0)) {
+        console.error('Error: Flag --collision-distance must be provided with a non-negative number.');
+        process.exit(1);
+    }
+}
+
+/**
+ * Loads the existing objects for --check-collisions.
+ * @param {Object} args - Parsed command-line arguments.
+ * @returns {Promise<Object|undefined>} The collision index, or undefined when collisions aren't checked.
+ */
+async function loadCollisionArguments(args) {
+    if (!args.checkCollisions) {
+        return undefined;
+    }
+    const index = await loadCollisionIndex({ mapObjectsPath: args.mapObjectsPath, gameplayPath: args.gameplayPath, logger: console });
+    console.log(`Loaded ${index.size} existing object(s) for the collision check.`);
+    return index;
+}
+
+/**
+ * Parses the arguments of 'dzwarp run <recipe.json>'.
+ * @param {Array} args - The arguments after 'run'.
+ * @returns {Object} The recipe path and the run flags.
+ */
+function parseRunArguments(args) {
+    const argMap = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--gameplay':
+                argMap.gameplayPath = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--report':
+                argMap.reportPath = args[++i];
+                break;
+            case '--force':
+                argMap.force = true;
+                break;
+            case '--check-collisions':
+                argMap.checkCollisions = true;
+                break;
+            case '--map-objects':
+                argMap.mapObjectsPath = args[++i];
+                break;
+            case '--collision-distance':
+                argMap.collisionDistance = parseFloat(args[++i]);
+                break;
+            case '--help':
+            case '-h':
+                displayUsageAndExit();
+                break;
+            default:
+                if (arg.startsWith('-') || argMap.recipePath) {
+                    console.error(`Unknown argument: ${arg}`);
+                    displayUsageAndExit();
+                }
+                argMap.recipePath = arg;
+        }
+    }
+
+    if (!argMap.recipePath) {
+        console.error('Error: Missing recipe file for dzwarp run <recipe.json>');
+        displayUsageAndExit();
+    }
+
+    validateCollisionArguments(argMap);
+
+    return argMap;
+}
+
+/**
+ * Parses the arguments of 'dzwarp undo <manifest>'.
+ * @param {Array} args - The arguments after 'undo' or '--inverse'.
+ * @returns {Object} The manifest path and the undo flags.
+ */
+function parseUndoArguments(args) {
+    const argMap = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+                argMap.outputDir = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                displayUsageAndExit();
+                break;
+            default:
+                if (arg.startsWith('-') || argMap.manifestPath) {
+                    console.error(`Unknown argument: ${arg}`);
+                    displayUsageAndExit();
+                }
+                argMap.manifestPath = arg;
+        }
+    }
+
+    if (!argMap.manifestPath) {
+        console.error('Error: Missing manifest file for dzwarp undo <manifest>');
+        displayUsageAndExit();
+    }
+
+    return argMap;
+}
+
+/**
+ * Parses the arguments of 'dzwarp split <set.json>'.
+ * @param {Array} args - The arguments after 'split'.
+ * @returns {Object} The set path and the split flags.
+ */
+function parseSplitArguments(args) {
+    const argMap = { swaps: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--grid':
+                argMap.gridSize = parseFloat(args[++i]);
+                break;
+            case '--by-class':
+                argMap.byClass = true;
+                break;
+            case '-o':
+                argMap.outputDir = args[++i];
+                break;
+            case '--swap':
+            case '--swap-regex':
+                try {
+                    argMap.swaps.push(parseSwap(args[++i], arg === '--swap-regex'));
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--name-template':
+                try {
+                    argMap.nameTemplate = checkNameTemplate(args[++i]);
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--select-name':
+                argMap.selectName = args[++i];
+                break;
+            case '--select-bbox':
+                argMap.selectBbox = args[++i];
+                break;
+            case '--select-radius':
+                argMap.selectRadius = args[++i];
+                break;
+            case '--gameplay':
+                argMap.gameplayPath = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                displayUsageAndExit();
+                break;
+            default:
+                if (arg.startsWith('-') || argMap.inputSetPath) {
+                    console.error(`Unknown argument: ${arg}`);
+                    displayUsageAndExit();
+                }
+                argMap.inputSetPath = arg;
+        }
+    }
+
+    if (!argMap.inputSetPath) {
+        console.error('Error: Missing set file for dzwarp split <set.json>');
+        displayUsageAndExit();
+    }
+
+    // Split either by area or by object class
+    if (('gridSize' in argMap) === Boolean(argMap.byClass)) {
+        console.error('Error: dzwarp split needs exactly one of --grid <meters> or --by-class.');
+        displayUsageAndExit();
+    }
+    if ('gridSize' in argMap && (isNaN(argMap.gridSize) || argMap.gridSize <= 0)) {
+        console.error('Error: Flag --grid must be provided with a positive number of meters.');
+        process.exit(1);
+    }
+
+    validateSelectionArguments(argMap);
+
+    return argMap;
+}
+
+/**
+ * Parses the arguments of 'dzwarp clone <set.json>'.
+ * @param {Array} args - The arguments after 'clone'.
+ * @returns {Object} The set path and the clone flags.
+ */
+function parseCloneArguments(args) {
+    const argMap = { swaps: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--along':
+                argMap.along = args[++i];
+                break;
+            case '--count':
+                argMap.count = Number(args[++i]);
+                break;
+            case '--grid':
+                argMap.grid = args[++i];
+                break;
+            case '--spacing':
+                argMap.spacing = args[++i];
+                break;
+            case '--positions':
+                argMap.positionsPath = args[++i];
+                break;
+            case '--yaw':
+                argMap.yaw = parseFloat(args[++i]);
+                break;
+            case '--yaw-step':
+                argMap.yawStep = parseFloat(args[++i]);
+                break;
+            case '--pivot':
+                argMap.pivot = args[++i];
+                break;
+            case '--per-copy':
+                argMap.perCopy = true;
+                break;
+            case '-o':
+                argMap.outputDir = args[++i];
+                break;
+            case '--swap':
+            case '--swap-regex':
+                try {
+                    argMap.swaps.push(parseSwap(args[++i], arg === '--swap-regex'));
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--name-template':
+                try {
+                    argMap.nameTemplate = checkNameTemplate(args[++i]);
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--gameplay':
+                argMap.gameplayPath = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                displayUsageAndExit();
+                break;
+            default:
+                if (arg.startsWith('-') || argMap.inputSetPath) {
+                    console.error(`Unknown argument: ${arg}`);
+                    displayUsageAndExit();
+                }
+                argMap.inputSetPath = arg;
+        }
+    }
+
+    if (!argMap.inputSetPath) {
+        console.error('Error: Missing set file for dzwarp clone <set.json>');
+        displayUsageAndExit();
+    }
+
+    // Copy along a vector, on a grid or at listed positions
+    if ([argMap.along, argMap.grid, argMap.positionsPath].filter(Boolean).length !== 1) {
+        console.error('Error: dzwarp clone needs exactly one of --along <x,y,z> (with --count), --grid <columns>x<rows> (with --spacing) or --positions <file.json>.');
+        displayUsageAndExit();
+    }
+    if (argMap.along) {
+        const step = argMap.along.split(',').map(parseFloat);
+        if (step.length !== 3 || step.some(isNaN)) {
+            console.error(`Error: Invalid format for --along. Expected x,y,z, got "${argMap.along}".`);
+            displayUsageAndExit();
+        }
+        if (!(Number.isInteger(argMap.count) && argMap.count > 0)) {
+            console.error('Error: Flag --along requires --count with a positive whole number of copies.');
+            displayUsageAndExit();
+        }
+        argMap.vector = { x: step[0], y: step[1], z: step[2] };
+    } else if ('count' in argMap) {
+        console.error('Error: Flag --count requires --along.');
+        displayUsageAndExit();
+    }
+    if (argMap.grid) {
+        const size = /^(\d+)x(\d+)$/i.exec(argMap.grid);
+        const spacing = String(argMap.spacing).split(',').map(parseFloat);
+        if (!size || Number(size[1]) === 0 || Number(size[2]) === 0) {
+            console.error(`Error: Invalid format for --grid. Expected <columns>x<rows>, e.g. 4x2, got "${argMap.grid}".`);
+            displayUsageAndExit();
+        }
+        if (spacing.length !== 2 || spacing.some(isNaN)) {
+            console.error('Error: Flag --grid requires --spacing <x,z> in meters.');
+            displayUsageAndExit();
+        }
+        argMap.grid = { columns: Number(size[1]), rows: Number(size[2]), spacingX: spacing[0], spacingZ: spacing[1] };
+    } else if ('spacing' in argMap) {
+        console.error('Error: Flag --spacing requires --grid.');
+        displayUsageAndExit();
+    }
+    for (const [flag, key] of [['--yaw', 'yaw'], ['--yaw-step', 'yawStep']]) {
+        if (key in argMap && isNaN(argMap[key])) {
+            console.error(`Error: Flag ${flag} must be provided with a valid number of degrees.`);
+            process.exit(1);
+        }
+    }
+    validatePivotArgument(argMap);
+
+    return argMap;
+}
+
+/**
+ * Parses the arguments of 'dzwarp merge <set.json> <set.json> ...'.
+ * @param {Array} args - The arguments after 'merge'.
+ * @returns {Object} The set paths and the merge flags.
+ */
+function parseMergeArguments(args) {
+    const argMap = { inputSetPaths: [], swaps: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+                argMap.outputDir = args[++i];
+                break;
+            case '--output-name':
+                argMap.outputName = args[++i];
+                break;
+            case '--swap':
+            case '--swap-regex':
+                try {
+                    argMap.swaps.push(parseSwap(args[++i], arg === '--swap-regex'));
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--name-template':
+                try {
+                    argMap.nameTemplate = checkNameTemplate(args[++i]);
+                } catch (error) {
+                    console.error(`Error: ${error.message}`);
+                    displayUsageAndExit();
+                }
+                break;
+            case '--dup-distance':
+                argMap.distance = parseFloat(args[++i]);
+                break;
+            case '--dup-angle':
+                argMap.angle = parseFloat(args[++i]);
+                break;
+            case '--keep-duplicates':
+                argMap.keepDuplicates = true;
+                break;
+            case '--gameplay':
+                argMap.gameplayPath = args[++i];
+                break;
+            case '--dry-run':
+                argMap.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                displayUsageAndExit();
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    console.error(`Unknown argument: ${arg}`);
+                    displayUsageAndExit();
+                }
+                argMap.inputSetPaths.push(arg);
+        }
+    }
+
+    if (argMap.inputSetPaths.length < 2) {
+        console.error('Error: dzwarp merge needs at least two set files.');
+        displayUsageAndExit();
+    }
+    for (const [flag, key] of [['--dup-distance', 'distance'], ['--dup-angle', 'angle']]) {
+        if (key in argMap && (isNaN(argMap[key]) || argMap[key] < 0)) {
+            console.error(`Error: Flag ${flag} must be provided with a non-negative number.`);
+            process.exit(1);
+        }
     }
 
     return argMap;
@@ -144,19 +864,50 @@ function parseArguments() {
 function displayUsageAndExit() {
     console.error(`
 Usage:
-  dzwarp -is <inputSetPath> [--swap from1/to1 --swap from2/to2 ...] [-mod <module>] [-isr <inputSetRelationDir>] [-o <outputDirectory>] [(-x <warpX> -y <warpY> -z <warpZ> | -iw <warpSetPath>)] [-xo <offsetX> -yo <offsetY> -zo <offsetZ>] [--help | -h]
+  dzwarp run <recipe.json> [--gameplay <cfggameplay.json>] [--dry-run] [--report <file.json>] [--force] [--check-collisions ...]
+  dzwarp undo <manifest> [-o <outputDirectory>] [--dry-run]
+  dzwarp merge <set.json> <set.json> ... [--output-name <name.json>] [--dup-distance <meters>] [--dup-angle <degrees>] [--keep-duplicates] [--swap from/to ...] [--swap-regex from/to ...] [--name-template <template>] [-o <outputDirectory>] [--gameplay <cfggameplay.json>] [--dry-run]
+  dzwarp clone <set.json> (--along <x,y,z> --count <n> | --grid <columns>x<rows> --spacing <x,z> | --positions <file.json>) [--yaw <degrees>] [--yaw-step <degrees>] [--pivot <pivot>] [--per-copy] [--swap from/to ...] [--swap-regex from/to ...] [--name-template <template>] [-o <outputDirectory>] [--gameplay <cfggameplay.json>] [--dry-run]
+  dzwarp split <set.json> (--grid <meters> | --by-class) [--select-name <regex>] [--select-bbox <minX,minZ,maxX,maxZ>] [--select-radius <x,z,radius>] [--swap from/to ...] [--swap-regex from/to ...] [--name-template <template>] [-o <outputDirectory>] [--gameplay <cfggameplay.json>] [--dry-run]
+  dzwarp -is <inputSetPath> [--swap from1/to1 --swap from2/to2 ...] [--swap-regex from/to ...] [--swap-content] [--name-template <template>] [-mod <module>[,<module>...]] [-isr <inputSetRelationDir> [--no-recursive] [--include <glob> ...] [--exclude <glob> ...]] [-o <outputDirectory>] [(-x <warpX> -y <warpY> -z <warpZ> | -iw <warpSetPath> | --grid-ref <reference> [-y <height>] | --location <name> --gazetteer <file.json> [-y <height>])] [-xo <offsetX> -yo <offsetY> -zo <offsetZ>] [--fit | --fit-yaw] [--fit-tolerance <meters>] [--rotate <degrees> [--pivot <pivot>]] [--heightmap <path> [--snap-height]] [--event <glob> ...] [--keep-event-angles] [--select-name <regex>] [--select-bbox <minX,minZ,maxX,maxZ>] [--select-radius <x,z,radius>] [--map <name> | --map-size <meters>] [--force] [--check-collisions [--map-objects <dump.json>] [--collision-distance <meters>]] [--gameplay <cfggameplay.json>] [--dry-run] [--report <file.json>] [--preview <file.svg> [--preview-zones <zones.json>]] [--no-manifest] [--watch] [--help | -h]
 
 Flags:
   -is <path>          Input Set: Path to the primary JSON file to warp. (Required)
-  --swap <from/to>    Swap Keywords: Replace 'from' keyword with 'to' keyword in output filenames. Can be used multiple times for multiple swaps.
-  -mod <module>       Module Type: Specify the module type. Supported modules: 'json', 'events'. (Default: 'json')
-  -isr <directory>    Input Set Relation Directory: Path to a directory containing additional JSON or XML files to warp in relation to the primary set. (Optional)
+  --swap <from/to>    Swap Keywords: Replace 'from' keyword with 'to' keyword in output filenames. The keyword is literal text, so '.' and '+' match themselves. Can be used multiple times for multiple swaps.
+  --swap-regex <from/to>
+                      Swap Pattern: Like --swap, with 'from' a regular expression and $1-style groups in 'to', e.g. 'cherno(\\d*)/neaf$1'. Can be used multiple times; all swaps apply in order. (Optional)
+  --swap-content      Swap Content: Also apply the swaps to the object names of object sets and the event names of cfgeventspawns.xml files. Undo renames literal swaps back. (Optional)
+  --name-template <template>
+                      Name Template: Name the outputs from a template instead of replacing the date stamp, e.g. '{base}-{date:YYYYMMDD}'. {name} is the input name after swaps, {base} the same without its date stamp, {date} today as MMDD and {date:FORMAT} today with YYYY, YY, MM and DD. The extension is kept. (Optional)
+  -mod <module>       Module Type: Specify the module type. Supported modules: 'json', 'events' (cfgeventspawns.xml), 'mapgroup' (mapgrouppos.xml), 'spawnpoints' (cfgplayerspawnpoints.xml). Combine with commas or repeat the flag to warp several XML formats in one run. (Default: 'json')
+  -isr <directory>    Input Set Relation Directory: Path to a directory containing additional JSON or XML files to warp in relation to the primary set. Besides object sets, cfgeffectarea.json and cfgundergroundtriggers.json files are recognised. (Optional)
+  --no-recursive      No Recursion: Warp only the top level of -isr. By default the files in subfolders are warped too; subfolders are mirrored into the output directory and kept in the spawn_files paths. (Optional)
+  --include <glob>    Include: Warp only -isr files whose path below -isr matches the glob. '*' and '?' stay within a folder, '**' crosses folders; globs without a '/' match the file name at any depth. Can be used multiple times. (Default: every .json and .xml file)
+  --exclude <glob>    Exclude: Leave out -isr files matching the glob, e.g. 'archive/**' or '*-backup.json'. Can be used multiple times. (Optional)
+  --event <glob>      Event Selector: Warp only <event> entries whose name matches the glob ('*' and '?' wildcards) with module 'events'. Can be used multiple times. (Default: all events)
+  --keep-event-angles Keep Event Angles: Leave the 'a' attribute of event positions untouched when rotating. (Optional)
   
-  -x <number>         Warp coordinate for the X-axis. (Required if not using -iw)
-  -y <number>         Warp coordinate for the Y-axis. (Required if not using -iw)
-  -z <number>         Warp coordinate for the Z-axis. (Required if not using -iw)
+  --select-name <regex>
+                      Select by Name: Warp only the objects of object sets whose name matches the regular expression, e.g. 'Watchtower|Land_Mil_Tower'. Other objects are left out of the outputs. (Optional)
+  --select-bbox <minX,minZ,maxX,maxZ>
+                      Select by Area: Warp only the objects whose original position lies in the box on the X/Z plane. (Optional)
+  --select-radius <x,z,radius>
+                      Select by Radius: Warp only the objects whose original position lies within the radius of the x,z point. (Optional)
+                      Selection flags combine: an object must match all of them. The translation is still computed from the whole input set,
+                      so selected objects land exactly where a full warp would put them.
+  
+  -x <number>         Warp coordinate for the X-axis. (Required if not using -iw, --grid-ref or --location)
+  -y <number>         Warp coordinate for the Y-axis. With --grid-ref or --location, the height of the target. (Required if not using -iw, --grid-ref or --location)
+  -z <number>         Warp coordinate for the Z-axis. (Required if not using -iw, --grid-ref or --location)
+  --grid-ref <reference>
+                      Grid Reference: Warp the reference object to the centre of a map grid cell as shown by web maps such as iZurvive, e.g. '067 112'. The first number counts cells east, the second cells south from the north-west corner; 3 digits each are 100 m cells, 4 digits 10 m cells. Needs --map or --map-size. The height is -y, or the ground of --heightmap. (Optional)
+  --location <name>   Named Location: Warp the reference object to a location of the --gazetteer, e.g. 'NWAF tower'. Case and extra spaces don't matter. The height is -y, the location's own, or the ground of --heightmap. (Optional)
+  --gazetteer <path>  Gazetteer: JSON file of named locations on one map: { "map": "chernarus", "locations": { "<name>": { "x", "y", "z", "aliases" } } }, where "y" is optional and a location may also be [x, y, z] or a grid reference string. (Required with --location)
   
   -iw <path>          Warp Set: Path to a JSON file representing the desired warped state of the input set. (Optional)
+  --fit               Best Fit: Match objects between the input set and the warp set by name and order, and solve the least-squares translation over all pairs instead of using only the first object. (Optional)
+  --fit-yaw           Best Fit with Yaw: Like --fit, but also solve the rotation around the vertical axis. (Optional)
+  --fit-tolerance <m> Fit Tolerance: Maximum residual error in meters allowed for any matched object. (Default: 0.5)
   
   -o <directory>      Output Directory: Directory where warped files will be saved. If it doesn't exist, it will be created. (Optional)
   
@@ -164,8 +915,79 @@ Flags:
   -yo <number>        Offset for the Y-axis after warping. (Optional)
   -zo <number>        Offset for the Z-axis after warping. (Optional)
   
+  --rotate <degrees>  Rotation: Turn the whole set around the pivot on the X/Z plane. Positive values turn clockwise when viewed from above. (Optional)
+  --pivot <pivot>     Rotation Pivot: 'reference' (the first object of the input set), 'centroid' (the centre of the input set) or an explicit 'x,z' point in input set coordinates. Requires --rotate. (Default: 'reference')
+  
+  --heightmap <path>  Heightmap: Terrain heightmap of the target map, either an ESRI ASCII grid (.asc) or a raw 16-bit little-endian file. (Optional)
+  --heightmap-size <meters>
+                      Map size in meters covered by a raw heightmap. (Required for raw heightmaps)
+  --heightmap-range <min,max>
+                      Elevation range in meters that a raw heightmap's 0..65535 values map to. (Required for raw heightmaps)
+  --source-heightmap <path>
+                      Source Heightmap: Terrain heightmap of the map the input set comes from. (Default: the --heightmap file)
+  --source-heightmap-size <meters>, --source-heightmap-range <min,max>
+                      Size and elevation range of a raw source heightmap. (Default: the --heightmap values)
+  --snap-height       Snap Height: Re-seat every warped position on the target terrain, keeping its original height above ground. -yo is added on top. (Optional)
+  
+  --map <name>        Target Map: Check every warped position, offsets included, against the map. Built-in maps: ${Object.entries(MAP_PROFILES).map(([name, profile]) => `'${name}' (${profile.size} m)`).join(', ')}. Positions outside the map or below sea level stop the run before anything is written. (Optional)
+  --map-size <meters> Map Size: Check against a custom square map of this size, or override the size of --map. (Optional)
+  --force             Force: Write even if positions fall outside the map or below sea level. (Optional)
+  
+  --check-collisions  Collision Check: Report warped objects that lie within the collision distance of existing geometry, grouped by warped file: the objects of --map-objects and of the spawner files listed in the --gameplay config. (Optional)
+  --map-objects <path>
+                      Map Objects: JSON dump of map objects, an array of { "name", "pos", "radius" } or { "name", "pos", "footprint": [width, length] }. (Optional)
+  --collision-distance <meters>
+                      Collision Distance: Clearance to keep from an existing object's centre, or from its radius or footprint. (Default: 1)
+  
+  --gameplay <path>   Gameplay Config: Path to the server's cfggameplay.json. The new JSON spawn files are inserted under WorldsData.objectSpawnersArr, replacing entries that differ only by the date stamp. A backup is written next to it. (Optional)
+  
+  --dry-run           Dry Run: Compute the translation and output paths and print the plan per file, including bounding boxes before and after, without writing anything. (Optional)
+  --report <path>     Run Report: Write the per-file plan, the spawn files and the final translation vector as JSON. (Optional)
+  --preview <path>    Preview: Draw the positions of every warped file before and after the warp on a top-down X/Z plot as SVG,
+                      colour-coded per file, with the translation arrow. Covers the whole --map if given. Works with --dry-run. (Optional)
+  --preview-zones <path>
+                      Preview Zones: Overlay the zones of a dzzones run written with --format json or geojson. (Optional)
+  --watch             Watch: Keep running and warp again whenever -is, -iw or a file of -isr changes. A change to -is or -iw re-warps everything; a change to an -isr file re-warps only that file. The full spawn_files list is printed after every run. (Optional)
+  --no-manifest       No Manifest: Don't write the transform manifest (<primary output>.manifest.json) next to the outputs. (Optional)
+  
   --help, -h          Display this help message.
 
+Recipes:
+  dzwarp run <recipe.json> runs every job of a recipe file in one pass and prints the combined spawn_files list.
+  Each job in "jobs" takes "name", "source", "relationDir", "recursive", "include", "exclude", "target" ({ "x", "y", "z" },
+  or { "gridRef" } or { "location" } with an optional "y") or "warpSet", "gazetteer", "fit", "fitYaw", "fitTolerance",
+  "offsets" ({ "x", "y", "z" }), "rotate", "pivot", "swaps" (["from/to"] or [{ "from", "to", "regex" }]), "swapContent",
+  "nameTemplate", "modules", "events", "keepEventAngles", "heightmap", "heightmapSize", "heightmapRange", "sourceHeightmap",
+  "sourceHeightmapSize", "sourceHeightmapRange", "snapHeight", "map", "mapSize", "outputDir", "manifest" (false to
+  skip the transform manifest) and "select" ({ "name", "bbox": [minX, minZ, maxX, maxZ], "radius": [x, z, radius] }).
+  Keys under "defaults" apply to every job. Paths are relative to the recipe file. --gameplay, --dry-run, --report, --force and the collision
+  check flags work as for a single warp.
+
+Undo:
+  dzwarp undo <manifest> (or dzwarp --inverse <manifest>) maps the outputs listed in a transform manifest, including
+  edits made to them since, back into the original frame and file names. Restored files are written to -o, mirroring the
+  relation directory. (Default: 'unwarped' next to the manifest) Pass the source directory as -o to overwrite the sources.
+
+Split:
+  dzwarp split <set.json> writes one spawner file per --grid cell of the given size in meters, or per object class
+  (--by-class), without moving anything. Parts are named like a warped set, with the swaps and today's date stamp or --name-template, plus the
+  cell (x12000-z4000) or class name. The selection flags pick the objects to split. The parts' spawn_files are printed and
+  can be registered with --gameplay.
+
+Clone:
+  dzwarp clone <set.json> places copies of a set like warps of the whole set, moving its first object to each copy's
+  position: --count copies --along an x,y,z step, a --grid of <columns>x<rows> copies --spacing x,z meters apart, or one
+  copy per point of a --positions JSON file ([{ "x", "y", "z", "yaw" }] or [[x, y, z, yaw]]; without y a copy keeps the set's
+  height). The first copy of --along and --grid stays in place. Every copy turns by --yaw plus its number times --yaw-step
+  (and a point's own yaw) around --pivot. The copies go into one file named like a warped set, or one file per copy
+  (-copy1, -copy2, ..., padded to the same width) with --per-copy; their spawn_files are printed and can be registered with --gameplay.
+
+Merge:
+  dzwarp merge <set.json> <set.json> ... joins the objects of several sets in order into one spawner file, named like a
+  warped output of the first set or of --output-name. Objects with the same name as an earlier one, within --dup-distance
+  meters (Default: 0.01) and with every ypr angle within --dup-angle degrees (Default: 0.1), are reported and dropped, or
+  only reported with --keep-duplicates. The merged file's spawn_files entry is printed and can be registered with --gameplay.
+
 Examples:
   # Warp using coordinates and specify an output directory with offsets
   dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x -3333.3 -y -4444.4 -z -12.0 -xo 55.5 -yo 77.7 -zo -10.1
@@ -176,435 +998,414 @@ Examples:
   # Warp using coordinates and process both JSON and XML files in -isr with module 'events'
   dzwarp -is ./my-sets/my-objects.json -mod events -isr ./my-sets -o ./warped -x 1000.0 -y 2000.0 -z 3000.0
 
+  # Warp loot building positions and player spawn points along with the set
+  dzwarp -is ./my-sets/my-objects.json -mod mapgroup,spawnpoints -isr ./my-sets -o ./warped -x 1000.0 -y 2000.0 -z 3000.0
+
+  # Warp only the vehicle and heli crash events of the cfgeventspawns.xml files in -isr
+  dzwarp -is ./my-sets/my-objects.json -mod events -isr ./my-sets -o ./warped -x 1000.0 -y 2000.0 -z 3000.0 --event 'VehicleTrd*' --event 'StaticHeliCrash*'
+
   # Warp and swap 'cherno' with 'neaf' in filenames
   dzwarp -is ./my-sets/my-objects.json --swap cherno/neaf -o ./warped
 
   # Warp with multiple swaps
   dzwarp -is ./my-sets/my-objects.json --swap cherno/neaf --swap old/new -o ./warped
+
+  # Swap 'cherno' in file, object and event names, and stamp the full date
+  dzwarp -is ./my-sets/kb-base-cherno.json -mod events -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --swap cherno/neaf --swap-content --name-template '{base}-{date:YYYYMMDD}'
+
+  # Warp to a grid reference copied from the web map, with the height taken from the heightmap
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped --grid-ref '067 112' --map chernarus --heightmap ./chernarus.asc
+
+  # Warp to a named location of your own gazetteer, 2 m above its recorded height
+  dzwarp -is ./my-sets/my-objects.json -o ./warped --location 'NWAF tower' --gazetteer ./gazetteers/chernarus.json -yo 2
+
+  # Warp to a warp set using a best fit over every matched object, including yaw
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -iw ./my-sets/my-warped-sets.json --fit-yaw --fit-tolerance 0.25
+
+  # Warp from Chernarus to Sakhal and keep every object at its height above ground
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --snap-height --heightmap ./sakhal.asc --source-heightmap ./chernarus.asc
+
+  # Warp and register the new spawn files in the server's cfggameplay.json
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --gameplay ./mpmissions/dayzOffline.chernarusplus/cfggameplay.json
+
+  # Preview a warp without writing anything, and keep the plan as JSON
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --dry-run --report ./plan.json
+
+  # Warp and turn the set 90 degrees clockwise around its centroid
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --rotate 90 --pivot centroid
+
+  # Warp to Livonia and stop if anything lands off the map or under water
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 200.0 -z 3000.0 --map livonia
+
+  # Warp a whole tree of builds, mirroring its subfolders into the output directory
+  dzwarp -is ./my-sets/base/my-objects.json -isr ./my-sets --exclude 'archive/**' --exclude 'types*.json' -o ./warped -x 1000.0 -y 20.0 -z 3000.0
+
+  # Check that a warped base doesn't land on vanilla buildings or on another custom build
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --dry-run --check-collisions --map-objects ./chernarus-objects.json --gameplay ./mpmissions/dayzOffline.chernarusplus/cfggameplay.json
+
+  # See where a base lands on Chernarus before writing anything
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -mod events -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --map chernarus --dry-run --preview ./preview.svg
+
+  # Re-warp on every save while tuning a build in the editor
+  dzwarp -is ./my-sets/my-objects.json -isr ./my-sets -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --watch
+
+  # Warp only the watchtowers of a base
+  dzwarp -is ./my-sets/my-objects.json -o ./warped -x 1000.0 -y 20.0 -z 3000.0 --select-name 'Watchtower'
+
+  # Split a large set into 500 m spawner files, only the part within 2 km of the airfield
+  dzwarp split ./my-sets/my-objects.json --grid 500 --select-radius 4700,10300,2000 -o ./split
+
+  # Merge two overlapping warps into one spawner file, dropping the objects they share
+  dzwarp merge ./warped/kb-base-neaf-1019.json ./warped/kb-walls-neaf-1019.json --output-name kb-all-neaf-1019.json -o ./merged
+
+  # Build a fence of 12 sections 4 m apart along X, and a 3x2 block of huts, each turned by 90 degrees more than the last
+  dzwarp clone ./my-sets/kb-fence-section.json --along 4,0,0 --count 12 -o ./cloned
+  dzwarp clone ./my-sets/kb-hut.json --grid 3x2 --spacing 15,20 --yaw-step 90 --pivot centroid --per-copy -o ./cloned
+
+  # Run every job of a recipe, check the plan first
+  dzwarp run ./deploy/recipe.json --dry-run
+
+  # Bring edits made in-game to a warped set back to the source coordinates and names
+  dzwarp undo ./warped/my-objects-1019.manifest.json -o ./my-sets-edited
 `);
     process.exit(1);
 }
 
 /**
- * Generates the output file path by applying keyword swaps and replacing the four-digit date with the current date.
- * Removes the '-warp' suffix if present.
- * @param {string} inputPath - The original file path.
- * @param {string} outputDir - The output directory where the warped file will be saved.
- * @param {Array} swaps - An array of swap objects with 'from' and 'to' properties.
- * @returns {string} The new file path with applied swaps and current date in the output directory.
+ * Formats a bounding box for printing.
+ * @param {Object|null} box - The bounding box.
+ * @returns {string} The formatted bounding box.
  */
-function getOutputPath(inputPath, outputDir, swaps) {
-    const ext = path.extname(inputPath);
-    let base = path.basename(inputPath, ext);
-    
-    // Remove '-warp' suffix if present
-    base = base.replace(/-warp$/, '');
-    
-    // Apply keyword swaps
-    swaps.forEach(({ from, to }) => {
-        const regex = new RegExp(from, 'g');
-        base = base.replace(regex, to);
-    });
-    
-    // Replace existing four-digit date with current date
-    if (/\d{4}/.test(base)) {
-        base = base.replace(/\d{4}/, dateStr);
-    } else {
-        // If no four-digit date is found, append the current date
-        base += `-${dateStr}`;
-    }
-    
-    return path.join(outputDir, `${base}${ext}`);
+function formatBoundingBox(box) {
+    if (!box) return 'none';
+    const format = values => `(${values.map(value => isNaN(value) ? '-' : value.toFixed(2)).join(', ')})`;
+    return `${format(box.min)} - ${format(box.max)}`;
 }
 
 /**
- * Warps the positions of objects in the JSON data based on the translation vector.
- * @param {Array} objects - The array of objects to warp.
- * @param {number} deltaX - The translation value for pos[0].
- * @param {number} deltaY - The translation value for pos[1].
- * @param {number} deltaZ - The translation value for pos[2].
- * @returns {Array} The updated array of objects.
+ * Prints the per-file summary of everything that was warped, split or merged.
+ * A dry run also prints the target path and the bounding boxes before and after the warp.
+ * @param {Array} summary - The collected summary entries.
+ * @param {boolean} dryRun - Whether this is a dry run.
+ * @param {boolean} [unmoved] - Whether the entries were split or merged rather than warped, so nothing was moved.
  */
-function warpObjects(objects, deltaX, deltaY, deltaZ) {
-    return objects.map((obj) => {
-        if (Array.isArray(obj.pos) && obj.pos.length >= 3) {
-            obj.pos[0] += deltaX;
-            obj.pos[1] += deltaY;
-            obj.pos[2] += deltaZ;
-        } else {
-            console.warn(`Warning: Object "${obj.name}" does not have a valid pos array.`);
+function printSummary(summary, dryRun, unmoved = false) {
+    const [done, planned] = unmoved ? ['object(s) written', 'object(s) to write'] : ['position(s) moved', 'position(s) to move'];
+    console.log(dryRun ? 'Dry run plan (nothing was written):' : 'Summary:');
+    for (const entry of summary) {
+        console.log(`  ${entry.file} (${entry.kind}): ${entry.count} ${dryRun ? planned : done}`);
+        for (const [name, count] of Object.entries(entry.details || {})) {
+            console.log(`    ${name}: ${count}`);
+        }
+        if (dryRun) {
+            console.log(`    source: ${entry.source}`);
+            console.log(`    target: ${entry.output}`);
+            if (unmoved) {
+                console.log(`    bbox: ${formatBoundingBox(entry.bboxBefore)}`);
+                continue;
+            }
+            console.log(`    bbox before: ${formatBoundingBox(entry.bboxBefore)}`);
+            console.log(`    bbox after:  ${formatBoundingBox(entry.bboxAfter)}`);
         }
-        return obj;
-    });
-}
-
-/**
- * Reads and parses a JSON file.
- * @param {string} filePath - The path to the JSON file.
- * @returns {Object} The parsed JSON object.
- */
-async function readJSON(filePath) {
-    try {
-        const data = await fs.readFile(filePath, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading or parsing JSON file at ${filePath}: ${error.message}`);
-        process.exit(1);
     }
 }
 
 /**
- * Reads and parses an XML file.
- * @param {string} filePath - The path to the XML file.
- * @returns {Object} The parsed XML object.
+ * Prints the changes made, or planned, to WorldsData.objectSpawnersArr as a diff.
+ * @param {Object} patch - The result of patchGameplayConfig.
+ * @param {boolean} dryRun - Whether this is a dry run.
  */
-async function readXML(filePath) {
-    try {
-        const data = await fs.readFile(filePath, 'utf-8');
-        return await parseStringPromise(data, { explicitArray: false });
-    } catch (error) {
-        console.error(`Error reading or parsing XML file at ${filePath}: ${error.message}`);
-        process.exit(1);
+function printGameplayPatch(patch, dryRun) {
+    if (patch.added.length === 0) {
+        console.log(`No changes needed in ${patch.path}`);
+        return;
     }
-}
 
-/**
- * Writes a JSON object to a file with the specified path.
- * @param {string} filePath - The path to write the JSON file.
- * @param {Object} jsonData - The JSON data to write.
- */
-async function writeJSON(filePath, jsonData) {
-    try {
-        await fs.writeFile(filePath, JSON.stringify(jsonData, null, 4), 'utf-8');
-        console.log(`Warped data written to ${filePath}`);
-    } catch (error) {
-        console.error(`Error writing JSON file at ${filePath}: ${error.message}`);
-        process.exit(1);
+    if (patch.backupPath) {
+        console.log(`Backup of gameplay config written to ${patch.backupPath}`);
+        console.log(`Gameplay config updated at ${patch.path}`);
     }
+
+    console.log(dryRun ? `WorldsData.objectSpawnersArr changes planned for ${patch.path}:` : 'WorldsData.objectSpawnersArr changes:');
+    patch.removed.forEach(entry => console.log(`- ${entry}`));
+    patch.added.forEach(entry => console.log(`+ ${entry}`));
 }
 
 /**
- * Writes an XML object to a file with the specified path.
- * @param {string} filePath - The path to write the XML file.
- * @param {Object} xmlData - The XML data to write.
+ * Maps parsed command-line arguments to warpSet options.
+ * @param {Object} args - Parsed command-line arguments.
+ * @returns {Object} The warpSet options.
  */
-async function writeXML(filePath, xmlData) {
-    try {
-        const builder = new Builder();
-        const xml = builder.buildObject(xmlData);
-        await fs.writeFile(filePath, xml, 'utf-8');
-        console.log(`Warped XML data written to ${filePath}`);
-    } catch (error) {
-        console.error(`Error writing XML file at ${filePath}: ${error.message}`);
-        process.exit(1);
-    }
+function toWarpOptions(args) {
+    const hasWarpCoordinates = ('warpX' in args) && ('warpY' in args) && ('warpZ' in args);
+
+    return {
+        ...args,
+        target: hasWarpCoordinates ? { x: args.warpX, y: args.warpY, z: args.warpZ } : undefined,
+        offsets: {
+            offsetX: args.offsetX || 0,
+            offsetY: args.offsetY || 0,
+            offsetZ: args.offsetZ || 0
+        },
+        trace: Boolean(args.previewPath),
+        logger: console
+    };
 }
 
 /**
- * Calculates the translation vector based on warp coordinates or a warp set.
- * @param {Object} args - Parsed command-line arguments.
- * @param {Object} primaryData - The primary input set JSON object.
- * @param {Object} warpSetData - The warp set JSON object (if provided).
- * @returns {Object} An object containing deltaX, deltaY, and deltaZ.
+ * Runs every job of a recipe file and prints the per-job summaries and the combined spawn_files list.
+ * @param {Array} runArgs - The arguments after 'run'.
  */
-async function calculateTranslationVector(args, primaryData, warpSetData) {
-    let deltaX = 0;
-    let deltaY = 0;
-    let deltaZ = 0;
-
-    if (args.warpSetPath) {
-        // Warp using a warped set file
-        if (!Array.isArray(warpSetData.Objects)) {
-            console.error('Error: Warp set JSON does not contain an "Objects" array.');
-            process.exit(1);
-        }
-
-        if (warpSetData.Objects.length === 0) {
-            console.error('Error: Warp set "Objects" array is empty.');
-            process.exit(1);
-        }
-
-        const warpReferenceObject = warpSetData.Objects[0];
-        if (!Array.isArray(warpReferenceObject.pos) || warpReferenceObject.pos.length < 3) {
-            console.error(`Error: Reference object "${warpReferenceObject.name}" in warp set does not have a valid pos array.`);
-            process.exit(1);
-        }
-
-        const primaryReferenceObject = primaryData.Objects[0];
-        if (!Array.isArray(primaryReferenceObject.pos) || primaryReferenceObject.pos.length < 3) {
-            console.error(`Error: Reference object "${primaryReferenceObject.name}" in primary set does not have a valid pos array.`);
-            process.exit(1);
-        }
-
-        const warpReferencePos = warpReferenceObject.pos;
-        const primaryReferencePos = primaryReferenceObject.pos;
+async function runRecipeCommand(runArgs) {
+    const args = parseRunArguments(runArgs);
+
+    const recipe = await readRecipe(args.recipePath);
+    const collisionIndex = await loadCollisionArguments(args);
+    const result = await runRecipe(recipe, {
+        dryRun: args.dryRun,
+        force: args.force,
+        collisionIndex,
+        collisionDistance: args.collisionDistance,
+        logger: console
+    });
 
-        deltaX = warpReferencePos[0] - primaryReferencePos[0];
-        deltaY = warpReferencePos[1] - primaryReferencePos[1];
-        deltaZ = warpReferencePos[2] - primaryReferencePos[2];
+    for (const job of result.jobs) {
+        console.log(`Job "${job.name}":`);
+        printSummary(job.files, args.dryRun);
+    }
 
-        console.log('Calculated Translation Vector based on warp set:');
-        console.log(`  X: ${deltaX}`);
-        console.log(`  Y: ${deltaY}`);
-        console.log(`  Z: ${deltaZ}`);
-    } else {
-        // Warp using provided coordinates
-        const primaryReferencePos = primaryData.Objects[0].pos;
-        deltaX = args.warpX - primaryReferencePos[0];
-        deltaY = args.warpY - primaryReferencePos[1];
-        deltaZ = args.warpZ - primaryReferencePos[2];
+    // Register the new spawn files of every job in cfggameplay.json if requested
+    if (args.gameplayPath) {
+        const patch = await patchGameplayConfig(args.gameplayPath, result.spawnFiles, { dryRun: args.dryRun });
+        printGameplayPatch(patch, args.dryRun);
+    }
 
-        console.log('Calculated Translation Vector based on provided coordinates:');
-        console.log(`  X: ${deltaX}`);
-        console.log(`  Y: ${deltaY}`);
-        console.log(`  Z: ${deltaZ}`);
+    // Write the machine-readable run report if requested
+    if (args.reportPath) {
+        const reportPath = await writeReport(args.reportPath, buildRecipeReport(result, args.dryRun));
+        console.log(`Run report written to ${reportPath}`);
     }
 
-    return { deltaX, deltaY, deltaZ };
+    console.log(JSON.stringify({ spawn_files: result.spawnFiles }, null, 4));
 }
 
 /**
- * Applies additional offsets to the translation vector.
- * @param {Object} delta - The original translation vector.
- * @param {Object} offsets - The additional offsets.
- * @returns {Object} The updated translation vector with offsets applied.
+ * Maps the outputs of a transform manifest back into the original frame and prints the per-file summary.
+ * @param {Array} undoArgs - The arguments after 'undo' or '--inverse'.
  */
-function applyOffsets(delta, offsets) {
-    const { deltaX, deltaY, deltaZ } = delta;
-    const { offsetX = 0, offsetY = 0, offsetZ = 0 } = offsets;
-
-    const newDeltaX = deltaX + offsetX;
-    const newDeltaY = deltaY + offsetY;
-    const newDeltaZ = deltaZ + offsetZ;
+async function undoCommand(undoArgs) {
+    const args = parseUndoArguments(undoArgs);
 
-    console.log('Final Translation Vector after applying offsets:');
-    console.log(`  X: ${newDeltaX}`);
-    console.log(`  Y: ${newDeltaY}`);
-    console.log(`  Z: ${newDeltaZ}`);
+    const result = await undoWarp({ manifestPath: args.manifestPath, outputDir: args.outputDir, dryRun: args.dryRun, logger: console });
 
-    return { newDeltaX, newDeltaY, newDeltaZ };
-}
-
-/**
- * Ensures that the output directory exists. If it doesn't, creates it.
- * @param {string} outputDir - The path to the output directory.
- */
-async function ensureOutputDirectory(outputDir) {
-    try {
-        await fs.mkdir(outputDir, { recursive: true });
-        console.log(`Output directory is set to: ${outputDir}`);
-    } catch (error) {
-        console.error(`Error creating output directory at ${outputDir}: ${error.message}`);
-        process.exit(1);
+    printSummary(result.files, args.dryRun);
+    if (!args.dryRun) {
+        console.log(`Restored ${result.files.length} file(s) to ${result.outputDir}`);
     }
 }
 
 /**
- * Processes JSON input sets.
- * @param {Object} args - Parsed command-line arguments.
- * @param {Object} primaryJSON - The primary input set JSON object.
- * @param {Object} translation - The translation vector.
- * @param {string} outputDir - The output directory.
- * @param {Array} spawnFiles - The array to collect new filenames.
+ * Splits a set into several spawner files and prints the per-part summary and the spawn_files list.
+ * @param {Array} splitArgs - The arguments after 'split'.
  */
-async function processJSON(args, primaryJSON, translation, outputDir, spawnFiles) {
-    // Warp the primary input set
-    const warpedPrimaryObjects = warpObjects(primaryJSON.Objects, translation.newDeltaX, translation.newDeltaY, translation.newDeltaZ);
-    primaryJSON.Objects = warpedPrimaryObjects;
-
-    const primaryOutputPath = getOutputPath(args.inputSetPath, outputDir, args.swaps);
-    await writeJSON(primaryOutputPath, primaryJSON);
-
-    // Extract filename and add to spawnFiles with 'custom/' prefix
-    const primaryFilename = path.basename(primaryOutputPath);
-    spawnFiles.push(`custom/${primaryFilename}`);
-
-    // If input set relation directory is provided, process additional sets
-    if (args.inputSetRelationDir) {
-        const absoluteRelationDir = path.resolve(process.cwd(), args.inputSetRelationDir);
-        let files;
-        try {
-            files = await fs.readdir(absoluteRelationDir);
-        } catch (error) {
-            console.error(`Error reading directory ${absoluteRelationDir}: ${error.message}`);
-            process.exit(1);
-        }
+async function splitCommand(splitArgs) {
+    const args = parseSplitArguments(splitArgs);
+
+    const result = await splitSet({
+        inputSetPath: args.inputSetPath,
+        by: args.byClass ? 'class' : 'grid',
+        gridSize: args.gridSize,
+        selection: args.selection,
+        outputDir: args.outputDir,
+        swaps: args.swaps,
+        nameTemplate: args.nameTemplate,
+        dryRun: args.dryRun,
+        logger: console
+    });
 
-        // Process both JSON and XML files
-        const jsonFiles = files.filter(file => path.extname(file).toLowerCase() === '.json');
-        const xmlFiles = files.filter(file => path.extname(file).toLowerCase() === '.xml');
+    printSummary(result.files, args.dryRun, true);
 
-        // Process JSON files
-        for (const file of jsonFiles) {
-            const filePath = path.join(absoluteRelationDir, file);
+    // Register the parts in cfggameplay.json if requested
+    if (args.gameplayPath) {
+        const patch = await patchGameplayConfig(args.gameplayPath, result.spawnFiles, { dryRun: args.dryRun });
+        printGameplayPatch(patch, args.dryRun);
+    }
 
-            // Skip the primary input set and warp set if it's within the relation directory
-            if (path.resolve(filePath) === path.resolve(args.inputSetPath) ||
-                (args.warpSetPath && path.resolve(filePath) === path.resolve(args.warpSetPath))) {
-                continue;
-            }
+    console.log(JSON.stringify({ spawn_files: result.spawnFiles }, null, 4));
+}
 
-            const jsonData = await readJSON(filePath);
+/**
+ * Copies a set along a vector, on a grid or at listed positions and prints the summary and the spawn_files list.
+ * @param {Array} cloneArgs - The arguments after 'clone'.
+ */
+async function cloneCommand(cloneArgs) {
+    const args = parseCloneArguments(cloneArgs);
+
+    const result = await cloneSet({
+        inputSetPath: args.inputSetPath,
+        vector: args.vector,
+        count: args.count,
+        grid: args.grid,
+        positionsPath: args.positionsPath,
+        yaw: args.yaw,
+        yawStep: args.yawStep,
+        pivot: args.pivot,
+        perCopy: args.perCopy,
+        outputDir: args.outputDir,
+        swaps: args.swaps,
+        nameTemplate: args.nameTemplate,
+        dryRun: args.dryRun,
+        logger: console
+    });
 
-            if (!Array.isArray(jsonData.Objects)) {
-                console.warn(`Warning: JSON file "${file}" does not contain an "Objects" array. Skipping.`);
-                continue;
-            }
+    printSummary(result.files, args.dryRun);
 
-            // Warp the additional set
-            const warpedObjects = warpObjects(jsonData.Objects, translation.newDeltaX, translation.newDeltaY, translation.newDeltaZ);
-            jsonData.Objects = warpedObjects;
+    // Register the copies in cfggameplay.json if requested
+    if (args.gameplayPath) {
+        const patch = await patchGameplayConfig(args.gameplayPath, result.spawnFiles, { dryRun: args.dryRun });
+        printGameplayPatch(patch, args.dryRun);
+    }
 
-            const outputPath = getOutputPath(filePath, outputDir, args.swaps);
-            await writeJSON(outputPath, jsonData);
+    console.log(JSON.stringify({ spawn_files: result.spawnFiles }, null, 4));
+}
 
-            // Extract filename and add to spawnFiles with 'custom/' prefix
-            const outputFilename = path.basename(outputPath);
-            spawnFiles.push(`custom/${outputFilename}`);
-        }
+/**
+ * Merges several sets into one spawner file and prints its summary and the spawn_files list.
+ * @param {Array} mergeArgs - The arguments after 'merge'.
+ */
+async function mergeCommand(mergeArgs) {
+    const args = parseMergeArguments(mergeArgs);
 
-        // Process XML files
-        for (const file of xmlFiles) {
-            const filePath = path.join(absoluteRelationDir, file);
+    const result = await mergeSets({ ...args, logger: console });
 
-            const xmlData = await readXML(filePath);
+    printSummary(result.files, args.dryRun, true);
 
-            // Determine the XML structure based on the module
-            if (args.module === 'events') {
-                await processXMLFile(xmlData, filePath, outputDir, translation, args.swaps, spawnFiles);
-            } else {
-                console.warn(`Warning: XML file "${file}" encountered but no module specified to handle it. Skipping.`);
-            }
-        }
+    // Register the merged set in cfggameplay.json if requested
+    if (args.gameplayPath) {
+        const patch = await patchGameplayConfig(args.gameplayPath, result.spawnFiles, { dryRun: args.dryRun });
+        printGameplayPatch(patch, args.dryRun);
     }
+
+    console.log(JSON.stringify({ spawn_files: result.spawnFiles }, null, 4));
 }
 
 /**
- * Processes a single XML file based on the module type.
- * @param {Object} xmlData - The parsed XML data.
- * @param {string} filePath - The path to the XML file.
- * @param {string} outputDir - The output directory.
- * @param {Object} translation - The translation vector.
- * @param {Array} swaps - An array of swap objects with 'from' and 'to' properties.
- * @param {Array} spawnFiles - The array to collect new filenames.
+ * The main function that orchestrates reading, warping, and writing the JSON/XML data.
  */
-async function processXMLFile(xmlData, filePath, outputDir, translation, swaps, spawnFiles) {
-    // For 'events' module, process the XML structure accordingly
-
-    // Check if 'eventposdef' and 'event' elements exist
-    if (!xmlData.eventposdef || !xmlData.eventposdef.event) {
-        console.warn(`Warning: XML file "${path.basename(filePath)}" does not contain <eventposdef> with <event> elements. Skipping.`);
+async function main() {
+    // 'dzwarp run <recipe.json>' runs a batch of warps described in a recipe file
+    if (process.argv[2] === 'run') {
+        await runRecipeCommand(process.argv.slice(3));
         return;
     }
 
-    // Ensure 'event' is an array
-    const events = Array.isArray(xmlData.eventposdef.event) ? xmlData.eventposdef.event : [xmlData.eventposdef.event];
-
-    // Filter events whose name starts with 'VehicleTrd'
-    const targetEvents = events.filter(event => event.$.name.startsWith('VehicleTrd'));
-
-    if (targetEvents.length === 0) {
-        console.warn(`Warning: No events starting with "VehicleTrd" found in XML file "${path.basename(filePath)}". Skipping.`);
+    // 'dzwarp undo <manifest>' maps warped files back into their original frame
+    if (process.argv[2] === 'undo' || process.argv[2] === '--inverse') {
+        await undoCommand(process.argv.slice(3));
         return;
     }
 
-    // Process each target event
-    for (const event of targetEvents) {
-        if (!event.pos) continue;
+    // 'dzwarp merge <set.json> <set.json> ...' joins several sets into one spawner file
+    if (process.argv[2] === 'merge') {
+        await mergeCommand(process.argv.slice(3));
+        return;
+    }
 
-        // Ensure 'pos' is an array
-        const posArray = Array.isArray(event.pos) ? event.pos : [event.pos];
+    // 'dzwarp split <set.json>' splits a set into several spawner files
+    if (process.argv[2] === 'split') {
+        await splitCommand(process.argv.slice(3));
+        return;
+    }
 
-        for (const pos of posArray) {
-            // Parse original coordinates
-            const originalX = parseFloat(pos.$.x);
-            const originalY = parseFloat(pos.$.y);
-            const originalZ = parseFloat(pos.$.z);
+    // 'dzwarp clone <set.json>' copies a set along a vector, on a grid or at listed positions
+    if (process.argv[2] === 'clone') {
+        await cloneCommand(process.argv.slice(3));
+        return;
+    }
 
-            // Apply translation vector
-            const newX = originalX + translation.newDeltaX;
-            const newY = originalY + translation.newDeltaY;
-            const newZ = originalZ + translation.newDeltaZ;
+    const args = parseArguments();
 
-            // Update the pos attributes
-            pos.$.x = newX.toFixed(4);
-            pos.$.y = newY.toFixed(4);
-            pos.$.z = newZ.toFixed(4);
-        }
+    // Load the existing objects to check the warped sets against
+    const collisionIndex = await loadCollisionArguments(args);
+
+    // Keep warping whenever the input set, the warp set or a relation directory file changes
+    if (args.watch) {
+        const watcher = watchWarp({ ...toWarpOptions(args), collisionIndex }, {
+            onRun: (result, { full, changed }) => {
+                console.log(full ? `[${new Date().toLocaleTimeString()}] Warped all files.` : `[${new Date().toLocaleTimeString()}] Re-warped ${changed.join(', ')}.`);
+                printRunResult(result, args).catch(reportErrorAndContinue);
+            },
+            onError: reportErrorAndContinue
+        });
+        await watcher.ready;
+        console.log('Watching for changes. Press Ctrl+C to stop.');
+        return;
     }
 
-    // Determine output path
-    const outputPath = getOutputPath(filePath, outputDir, swaps);
-    await writeXML(outputPath, xmlData);
-
-    // Extract filename and add to spawnFiles with 'custom/' prefix
-    const outputFilename = path.basename(outputPath);
-    spawnFiles.push(`custom/${outputFilename}`);
+    // Warp the input set and its relation directory
+    const result = await warpSet({ ...toWarpOptions(args), collisionIndex });
+    await printRunResult(result, args);
 }
 
 /**
- * The main function that orchestrates reading, warping, and writing the JSON/XML data.
+ * Prints a DzwarpError in watch mode without exiting, so the next change is still picked up.
+ * Any other error ends the run like it does outside watch mode.
+ * @param {Error} error - The error.
  */
-async function main() {
-    const args = parseArguments();
-
-    // Initialize spawnFiles array to collect new filenames
-    const spawnFiles = [];
-
-    // Determine output directory
-    let outputDir = path.dirname(path.resolve(process.cwd(), args.inputSetPath)); // Default to input file's directory
-    if (args.outputDir) {
-        outputDir = path.resolve(process.cwd(), args.outputDir);
-        await ensureOutputDirectory(outputDir);
+function reportErrorAndContinue(error) {
+    if (!(error instanceof DzwarpError)) {
+        exitWithError(error);
     }
+    console.error(`Error: ${error.message}`);
+}
 
-    // Read the primary input set (assumed to be JSON)
-    const absoluteInputSetPath = path.resolve(process.cwd(), args.inputSetPath);
-    const primaryJSON = await readJSON(absoluteInputSetPath);
+/**
+ * Prints the summary of a warp, registers the spawn files and writes the report if requested,
+ * and prints the spawn_files list.
+ * @param {Object} result - The result of warpSet.
+ * @param {Object} args - Parsed command-line arguments.
+ */
+async function printRunResult(result, args) {
+    printSummary(result.files, args.dryRun);
 
-    if (!Array.isArray(primaryJSON.Objects)) {
-        console.error('Error: Primary JSON does not contain an "Objects" array.');
-        process.exit(1);
+    // Register the new spawn files in cfggameplay.json if requested
+    if (args.gameplayPath) {
+        const patch = await patchGameplayConfig(args.gameplayPath, result.spawnFiles, { dryRun: args.dryRun });
+        printGameplayPatch(patch, args.dryRun);
     }
 
-    // Identify the reference object (first object)
-    if (primaryJSON.Objects.length === 0) {
-        console.error('Error: Primary "Objects" array is empty.');
-        process.exit(1);
+    // Write the machine-readable run report if requested
+    if (args.reportPath) {
+        const reportPath = await writeReport(args.reportPath, buildReport(result, args.dryRun));
+        console.log(`Run report written to ${reportPath}`);
     }
 
-    // Read the warp set if provided
-    let warpSetData = null;
-    if (args.warpSetPath) {
-        const absoluteWarpSetPath = path.resolve(process.cwd(), args.warpSetPath);
-        warpSetData = await readJSON(absoluteWarpSetPath);
+    // Draw the before and after positions if requested
+    if (args.previewPath) {
+        const zones = args.previewZonesPath ? await readPreviewZones(args.previewZonesPath) : [];
+        const svg = renderPreview({ traces: result.traces, translation: result.translation, map: result.map, zones, title: path.basename(args.inputSetPath) });
+        const previewPath = await writePreview(args.previewPath, svg);
+        console.log(`Preview written to ${previewPath}`);
     }
 
-    // Calculate translation vector
-    const { deltaX, deltaY, deltaZ } = await calculateTranslationVector(args, primaryJSON, warpSetData);
-
-    // Apply additional offsets if provided
-    const offsets = {
-        offsetX: args.offsetX || 0,
-        offsetY: args.offsetY || 0,
-        offsetZ: args.offsetZ || 0
-    };
-
-    const { newDeltaX, newDeltaY, newDeltaZ } = applyOffsets(
-        { deltaX, deltaY, deltaZ },
-        offsets
-    );
-
-    const translation = { newDeltaX, newDeltaY, newDeltaZ };
-
-    // Process input sets and collect spawn files
-    await processJSON(args, primaryJSON, translation, outputDir, spawnFiles);
-
     // Print the spawn_files array with 'custom/' prefix
-    console.log(JSON.stringify({ spawn_files: spawnFiles }, null, 4));
+    console.log(JSON.stringify({ spawn_files: result.spawnFiles }, null, 4));
+}
+
+/**
+ * Prints the error that ended the run and exits: a DzwarpError by its message, anything else with its stack trace.
+ * @param {Error} error - The error.
+ */
+function exitWithError(error) {
+    if (error instanceof DzwarpError) {
+        console.error(`Error: ${error.message}`);
+    } else {
+        console.error(error);
+    }
+    process.exit(1);
 }
 
-main();
+main().catch(exitWithError);
 
 // Example Usage:
 // dzwarp -is ./custom/kb-sz-cherno-0303.json --swap cherno/neaf -o ./warped
@@ -3,16 +3,29 @@
 import fs from 'fs';
 import path from 'path';
 import { Command } from 'commander';
+import { computeMinimumCircles, computeZonePolygon, objectsToPoints, summarizeCircles, summarizePolygon } from '../lib/zones.js';
+import { DzwarpError } from '../lib/errors.js';
+import { ZONE_FORMATS, formatZones, parseZoneColumns } from '../lib/zone-formats.js';
 
 const program = new Command();
 
 program
   .name('dzzones')
-  .description('Compute minimal number of circles to cover area determined by objects')
+  .description('Compute a small number of tight circles, or a polygon, to cover area determined by objects')
   .option('-i, --input <file>', 'Input JSON file with objects')
   .option('-r, --radius <number>', 'Maximum circle radius', parseFloat)
+  .option('--min-radius <number>', 'Minimum circle radius in meters', parseFloat, 1)
+  .option('--shape <shape>', 'Zone shape: circle or polygon', 'circle')
+  .option('--hull <hull>', 'Polygon hull: convex or concave', 'convex')
+  .option('--concavity <number>', 'Longest edge of a concave hull in meters', parseFloat, 25)
+  .option('--margin <number>', 'How far a polygon reaches past the objects in meters', parseFloat, 0)
+  .option('--heights', 'Add the height range of the covered objects to every zone')
+  .option('--name <regex>', 'Only count objects whose name matches the regular expression')
   .option('-t, --type <type>', 'Type of the zone')
-  .option('-s, --sid <sid>', 'SID of the zone');
+  .option('-s, --sid <sid>', 'SID of the zone')
+  .option('-f, --format <format>', `Output format: ${Object.keys(ZONE_FORMATS).join(', ')}`, 'sql')
+  .option('--table <name>', 'SQL table to insert into', 'dayz_zones')
+  .option('--columns <list>', 'SQL column overrides as key=column pairs, e.g. sid=server_id (keys: type, x, z, radius, sid, minHeight, maxHeight)');
 
 program.parse(process.argv);
 
@@ -23,18 +36,66 @@ if (!options.input) {
   process.exit(1);
 }
 
-if (!options.radius || isNaN(options.radius) || options.radius <= 0) {
+if (options.shape !== 'circle' && options.shape !== 'polygon') {
+  console.error(`Unknown shape "${options.shape}". Use circle or polygon.`);
+  process.exit(1);
+}
+
+if (options.shape === 'circle' && (!options.radius || isNaN(options.radius) || options.radius <= 0)) {
   console.error('Maximum circle radius is required and must be a positive number. Use -r or --radius to specify the radius.');
   process.exit(1);
 }
 
-if (!options.type) {
-  console.error('Zone type is required. Use -t or --type to specify the type.');
+if (options.shape === 'circle' && (isNaN(options.minRadius) || options.minRadius < 0 || options.minRadius > options.radius)) {
+  console.error('The minimum radius must be zero or a positive number of meters, no larger than the maximum radius.');
+  process.exit(1);
+}
+
+if (options.hull !== 'convex' && options.hull !== 'concave') {
+  console.error(`Unknown hull "${options.hull}". Use convex or concave.`);
   process.exit(1);
 }
 
-if (!options.sid) {
-  console.error('SID is required. Use -s or --sid to specify the SID.');
+if (isNaN(options.concavity) || options.concavity <= 0) {
+  console.error('The concavity must be a positive number of meters.');
+  process.exit(1);
+}
+
+if (isNaN(options.margin) || options.margin < 0) {
+  console.error('The margin must be zero or a positive number of meters.');
+  process.exit(1);
+}
+
+let namePattern;
+if (options.name) {
+  try {
+    namePattern = new RegExp(options.name);
+  } catch (error) {
+    console.error(`Invalid name pattern "${options.name}": ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (!(options.format in ZONE_FORMATS)) {
+  console.error(`Unknown format "${options.format}". Use one of: ${Object.keys(ZONE_FORMATS).join(', ')}.`);
+  process.exit(1);
+}
+
+if (options.format === 'sql' && !options.type) {
+  console.error('Zone type is required for SQL output. Use -t or --type to specify the type.');
+  process.exit(1);
+}
+
+if (options.format === 'sql' && !options.sid) {
+  console.error('SID is required for SQL output. Use -s or --sid to specify the SID.');
+  process.exit(1);
+}
+
+let columns;
+try {
+  columns = parseZoneColumns(options.columns);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
@@ -57,67 +118,36 @@ fs.readFile(inputFile, 'utf8', (err, data) => {
     process.exit(1);
   }
 
-  const positions = jsonData.Objects.map(obj => {
-    // Corrected the coordinate order: [x, z, y]
-    const [x, z, y] = obj.pos;
-    return { x, y, z }; // Map positions to { x, y, z }
-  });
-
-  // Project to 2D using x and y coordinates (horizontal plane)
-  const points = positions.map(pos => ({ x: pos.x, y: pos.y }));
-
-  // Compute the minimal number of circles
-  const circles = computeMinimumCircles(points, maxRadius);
+  // Project to 2D using the horizontal plane, keeping only the objects that count
+  const points = objectsToPoints(jsonData.Objects || [], { name: namePattern });
+  if (points.length === 0) {
+    console.error(namePattern ? `No objects with a name matching ${namePattern} and a valid pos.` : 'No objects with a valid pos.');
+    process.exit(1);
+  }
 
-  // Output the circles as SQL insert statements
-  circles.forEach(circle => {
-    const sql = `insert into dayz_zones (ztype, zcoordsx, zcoordsy, zradius, sid)
-values ('${zoneType}', ${circle.center.x}, ${circle.center.y}, ${circle.radius}, ${sid});`;
-    console.log(sql);
-  });
-});
+  // Compute the minimal number of circles, or a single polygon
+  let zones;
+  let stats;
+  if (options.shape === 'polygon') {
+    const polygon = computeZonePolygon(points, { hull: options.hull, concavity: options.concavity, margin: options.margin });
+    zones = [polygon];
+    stats = summarizePolygon(polygon, points);
+  } else {
+    zones = computeMinimumCircles(points, maxRadius, options.minRadius);
+    stats = summarizeCircles(zones, points);
+  }
 
-function computeMinimumCircles(points, maxRadius) {
-  const uncoveredPoints = [...points];
-  const circles = [];
-
-  while (uncoveredPoints.length > 0) {
-    let bestCircle = null;
-    let maxCovered = 0;
-
-    for (let i = 0; i < uncoveredPoints.length; i++) {
-      const center = uncoveredPoints[i];
-      const coveredPoints = [];
-
-      for (let j = 0; j < uncoveredPoints.length; j++) {
-        const point = uncoveredPoints[j];
-        const distance = Math.hypot(point.x - center.x, point.y - center.y);
-
-        if (distance <= maxRadius) {
-          coveredPoints.push(point);
-        }
-      }
-
-      if (coveredPoints.length > maxCovered) {
-        maxCovered = coveredPoints.length;
-        bestCircle = {
-          center,
-          radius: maxRadius,
-          points: coveredPoints
-        };
-      }
-    }
-
-    // Remove covered points from the list
-    bestCircle.points.forEach(pt => {
-      const index = uncoveredPoints.indexOf(pt);
-      if (index !== -1) {
-        uncoveredPoints.splice(index, 1);
-      }
-    });
-
-    circles.push(bestCircle);
+  // Output the zones in the requested format
+  try {
+    console.log(formatZones(zones, { format: options.format, type: zoneType, sid, table: options.table, columns, heights: Boolean(options.heights), stats }));
+  } catch (error) {
+    if (!(error instanceof DzwarpError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 
-  return circles;
-}
+  // Formats without room for the stats get them on stderr, keeping stdout a valid file
+  if (options.format === 'effectarea' || options.format === 'expansion') {
+    console.error(`${stats.count} zone(s), total area ${stats.totalArea.toFixed(1)} m², max overshoot ${stats.maxOvershoot.toFixed(2)} m`);
+  }
+});
@@ -0,0 +1,212 @@
+import path from 'path';
+import { OptionsError, SchemaError } from './errors.js';
+import { ensureOutputDirectory, readJSON, writeJSON } from './io.js';
+import { getOutputPath } from './naming.js';
+import { createSummaryEntry } from './report.js';
+import { extendBoundingBox, warpObjects } from './transform.js';
+import { computeTranslation } from './translation.js';
+import { silentLogger } from './util.js';
+import { toSpawnFile, validateObjectSet } from './warp.js';
+
+/**
+ * Checks that a value is a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a finite number.
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Checks that a value is a positive whole number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a positive integer.
+ */
+function isCount(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Converts the entries of a positions file into { x, y, z, yaw } points.
+ * Entries are { x, y, z, yaw } objects, where 'y' and 'yaw' are optional, or [x, y, z] and [x, y, z, yaw] arrays.
+ * @param {Array} positions - The entries.
+ * @param {string} label - Names the positions in error messages.
+ * @returns {Array} The points, with 'y' null when it wasn't given and 'yaw' 0.
+ * @throws {SchemaError} If the list is empty or an entry is malformed.
+ */
+export function toClonePositions(positions, label = 'Positions') {
+    if (!Array.isArray(positions) || positions.length === 0) {
+        throw new SchemaError(`${label} must be a non-empty array of { "x", "y", "z", "yaw" } objects or [x, y, z, yaw] arrays.`);
+    }
+    return positions.map((entry, index) => {
+        const point = Array.isArray(entry)
+            ? { x: entry[0], y: entry[1], z: entry[2], yaw: entry[3] }
+            : { ...entry };
+        const valid = entry && typeof entry === 'object' && (!Array.isArray(entry) || entry.length === 3 || entry.length === 4)
+            && isNumber(point.x) && isNumber(point.z)
+            && (point.y === undefined || point.y === null || isNumber(point.y))
+            && (point.yaw === undefined || isNumber(point.yaw));
+        if (!valid) {
+            throw new SchemaError(`${label} entry #${index + 1} is not a { "x", "y", "z", "yaw" } object or [x, y, z, yaw] array: ${JSON.stringify(entry)}.`);
+        }
+        return { x: point.x, y: isNumber(point.y) ? point.y : null, z: point.z, yaw: point.yaw || 0 };
+    });
+}
+
+/**
+ * Lists where the copies of a set go, as the target of the set's reference object (its first object) and a yaw.
+ * The first copy of a vector or grid stays at the set's own position.
+ * @param {Array} referencePos - The position of the reference object.
+ * @param {Object} options - The cloneSet options: one of vector with count, grid or positions, and yaw and yawStep.
+ * @returns {Array} The placements as { target: { x, y, z }, rotation }.
+ */
+function listPlacements(referencePos, options) {
+    const { vector, count, grid, positions, yaw = 0, yawStep = 0 } = options;
+    const [x, y, z] = referencePos;
+    const offsets = [];
+
+    if (vector) {
+        for (let i = 0; i < count; i++) {
+            offsets.push({ x: x + i * (vector.x || 0), y: y + i * (vector.y || 0), z: z + i * (vector.z || 0), yaw: 0 });
+        }
+    } else if (grid) {
+        // Row by row, columns along X and rows along Z
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                offsets.push({ x: x + column * grid.spacingX, y, z: z + row * grid.spacingZ, yaw: 0 });
+            }
+        }
+    } else {
+        positions.forEach(point => offsets.push({ x: point.x, y: point.y === null ? y : point.y, z: point.z, yaw: point.yaw }));
+    }
+
+    return offsets.map((target, index) => ({
+        target: { x: target.x, y: target.y, z: target.z },
+        rotation: yaw + index * yawStep + target.yaw
+    }));
+}
+
+/**
+ * Copies an object set several times: along a vector, on a grid, or at every point of a positions list.
+ * Each copy is placed like a warp of the whole set, moving its reference object (its first object) to the copy's
+ * position and turning the set by the copy's yaw around the pivot. The copies are written to one combined file,
+ * named like a warped output of the set, or to one file per copy with '-copy<n>' appended.
+ * @param {Object} options - Clone options.
+ * @param {string} [options.inputSetPath] - Path to the JSON set. Names the output files.
+ * @param {Object} [options.inputSet] - The parsed set. Read from inputSetPath when omitted.
+ * @param {string} [options.outputName] - File name to derive the output names from when only a parsed inputSet is given.
+ * @param {Object} [options.vector] - Step { x, y, z } between copies along a line, with count.
+ * @param {number} [options.count] - The number of copies along the vector, the set itself included.
+ * @param {Object} [options.grid] - Grid of copies { columns, rows, spacingX, spacingZ }, the set itself in the first cell.
+ * @param {Array} [options.positions] - Points to place copies at, see toClonePositions. A point without 'y' keeps the set's height.
+ * @param {string} [options.positionsPath] - Path to a JSON file holding the positions array.
+ * @param {number} [options.yaw] - Yaw in degrees added to every copy, clockwise viewed from above. (Default: 0)
+ * @param {number} [options.yawStep] - Yaw in degrees added per copy, so copy n turns by n times the step. (Default: 0)
+ * @param {string|Object} [options.pivot] - 'reference', 'centroid' or an explicit { x, z } point to turn copies around. (Default: 'reference')
+ * @param {boolean} [options.perCopy] - Write one file per copy instead of one combined file.
+ * @param {string} [options.outputDir] - Output directory. (Default: the input set's directory)
+ * @param {Array} [options.swaps] - Keyword swaps { from, to, regex } for output names, see parseSwap.
+ * @param {Date} [options.date] - Date stamped into output names. (Default: now)
+ * @param {string} [options.nameTemplate] - Template for output names, see getOutputPath.
+ * @param {boolean} [options.dryRun] - Compute everything without writing files.
+ * @param {Object} [options.logger] - Receives progress messages and warnings. (Default: silent)
+ * @returns {Promise<Object>} The summary 'files', their 'spawnFiles', the 'copies' as { target, rotation } and the 'outputDir'.
+ * @throws {DzwarpError} On invalid options, an unreadable set or positions file, or a set without usable objects.
+ */
+export async function cloneSet(options) {
+    const { vector, count, grid, swaps = [], date, nameTemplate, pivot = 'reference', perCopy = false, dryRun = false } = options;
+    const logger = options.logger || silentLogger;
+
+    const modes = [vector, grid, options.positions, options.positionsPath].filter(Boolean);
+    if (modes.length !== 1) {
+        throw new OptionsError('Clone needs exactly one of vector (with count), grid or positions (or positionsPath).');
+    }
+    if (vector && (!['x', 'y', 'z'].every(axis => vector[axis] === undefined || isNumber(vector[axis])) || !isCount(count))) {
+        throw new OptionsError('Cloning along a vector needs a step { x, y, z } and a positive whole count.');
+    }
+    if (grid && (!isCount(grid.columns) || !isCount(grid.rows) || !isNumber(grid.spacingX) || !isNumber(grid.spacingZ))) {
+        throw new OptionsError('Cloning on a grid needs whole numbers of columns and rows and a spacingX and spacingZ in meters.');
+    }
+    if (![options.yaw, options.yawStep].every(value => value === undefined || isNumber(value))) {
+        throw new OptionsError('The yaw and yawStep of the copies must be numbers of degrees.');
+    }
+    if (!options.inputSet && !options.inputSetPath) {
+        throw new OptionsError('An input set (inputSet or inputSetPath) must be provided.');
+    }
+    if (!options.inputSetPath && !options.outputName) {
+        throw new OptionsError('An inputSetPath or outputName is needed to name the output of a parsed input set.');
+    }
+
+    // Determine output directory
+    const outputDir = options.outputDir
+        ? path.resolve(process.cwd(), options.outputDir)
+        : (options.inputSetPath ? path.dirname(path.resolve(process.cwd(), options.inputSetPath)) : process.cwd());
+
+    const inputSet = options.inputSet || await readJSON(path.resolve(process.cwd(), options.inputSetPath));
+    validateObjectSet(inputSet, 'Input');
+    const positions = options.positionsPath
+        ? toClonePositions(await readJSON(path.resolve(process.cwd(), options.positionsPath)), `Positions file ${path.basename(options.positionsPath)}`)
+        : (options.positions ? toClonePositions(options.positions) : null);
+
+    // Objects without a position can't be placed, and would only pile up at the same spot
+    const placed = inputSet.Objects.filter(obj => Array.isArray(obj.pos) && obj.pos.length >= 3);
+    if (placed.length < inputSet.Objects.length) {
+        logger.warn(`Warning: ${inputSet.Objects.length - placed.length} object(s) without a valid pos array were left out.`);
+    }
+    if (placed.length === 0 || placed[0] !== inputSet.Objects[0]) {
+        throw new SchemaError(`Reference object "${inputSet.Objects[0].name}" in input set does not have a valid pos array.`);
+    }
+    const source = { ...inputSet, Objects: placed };
+
+    // Place every copy like a warp of the whole set
+    const copies = listPlacements(placed[0].pos, { ...options, positions });
+    const copyObjects = copies.map(({ target, rotation }, index) => {
+        const translation = computeTranslation(source, { target, rotation, pivot });
+        translation.bounds = { before: null, after: null };
+        const objects = warpObjects(JSON.parse(JSON.stringify(placed)), translation, logger);
+        return { label: `copy${String(index + 1).padStart(String(copies.length).length, '0')}`, objects, bounds: translation.bounds };
+    });
+    logger.log(`Placed ${copies.length} cop${copies.length === 1 ? 'y' : 'ies'} of ${placed.length} object(s)`);
+
+    // Name the outputs after the set's output name
+    const baseOutputPath = getOutputPath(options.inputSetPath || options.outputName, outputDir, swaps, date, nameTemplate);
+    const ext = path.extname(baseOutputPath);
+    const base = path.basename(baseOutputPath, ext);
+    const sourcePath = options.inputSetPath || baseOutputPath;
+
+    const files = [];
+    const spawnFiles = [];
+    const writes = [];
+    if (perCopy) {
+        for (const copy of copyObjects) {
+            const outputPath = path.join(outputDir, `${base}-${copy.label}${ext}`);
+            writes.push({ outputPath, data: { ...inputSet, Objects: copy.objects } });
+            spawnFiles.push(toSpawnFile(outputDir, outputPath));
+            files.push(createSummaryEntry(sourcePath, outputPath, 'objects', copy.objects.length, null, { bounds: copy.bounds }));
+        }
+    } else {
+        const bounds = { before: copyObjects[0].bounds.before, after: null };
+        const details = {};
+        for (const copy of copyObjects) {
+            for (const corner of copy.bounds.after ? [copy.bounds.after.min, copy.bounds.after.max] : []) {
+                bounds.after = extendBoundingBox(bounds.after, ...corner);
+            }
+            details[copy.label] = copy.objects.length;
+        }
+        const objects = copyObjects.flatMap(copy => copy.objects);
+        writes.push({ outputPath: baseOutputPath, data: { ...inputSet, Objects: objects } });
+        spawnFiles.push(toSpawnFile(outputDir, baseOutputPath));
+        files.push(createSummaryEntry(sourcePath, baseOutputPath, 'objects', objects.length, details, { bounds }));
+    }
+
+    // Write the copies
+    if (!dryRun) {
+        await ensureOutputDirectory(outputDir);
+        for (const { outputPath, data } of writes) {
+            await writeJSON(outputPath, data);
+            logger.log(`Cloned data written to ${outputPath}`);
+        }
+    }
+
+    return { files, spawnFiles, copies, outputDir };
+}
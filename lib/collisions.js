@@ -0,0 +1,202 @@
+import path from 'path';
+import { SchemaError } from './errors.js';
+import { readJSON } from './io.js';
+import { dateStampKey } from './naming.js';
+import { silentLogger } from './util.js';
+
+/**
+ * Creates a spatial index over existing objects on the X/Z plane. Objects are bucketed in a uniform grid,
+ * each one in every cell its radius touches, so a query only looks at the cells around the point.
+ * @param {Array} items - The objects: { name, source, x, z, radius }.
+ * @param {number} [cellSize] - The grid cell size in meters. (Default: 25)
+ * @returns {Object} The index: { cellSize, cells, size }.
+ */
+export function createSpatialIndex(items, cellSize = 25) {
+    const cells = new Map();
+
+    for (const item of items) {
+        const minColumn = Math.floor((item.x - item.radius) / cellSize);
+        const maxColumn = Math.floor((item.x + item.radius) / cellSize);
+        const minRow = Math.floor((item.z - item.radius) / cellSize);
+        const maxRow = Math.floor((item.z + item.radius) / cellSize);
+
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const key = `${column},${row}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(item);
+            }
+        }
+    }
+
+    return { cellSize, cells, size: items.length };
+}
+
+/**
+ * Finds the indexed objects whose footprint lies within a distance of a point.
+ * @param {Object} index - The index built by createSpatialIndex.
+ * @param {number} x - The X coordinate.
+ * @param {number} z - The Z coordinate.
+ * @param {number} distance - The clearance in meters to keep from each object's radius.
+ * @returns {Array} The hits as { item, distance }, where distance is measured between centres, nearest first.
+ */
+export function querySpatialIndex(index, x, z, distance) {
+    const { cellSize, cells } = index;
+    const hits = new Map();
+
+    for (let column = Math.floor((x - distance) / cellSize); column <= Math.floor((x + distance) / cellSize); column++) {
+        for (let row = Math.floor((z - distance) / cellSize); row <= Math.floor((z + distance) / cellSize); row++) {
+            for (const item of cells.get(`${column},${row}`) || []) {
+                if (hits.has(item)) continue;
+                const centreDistance = Math.hypot(item.x - x, item.z - z);
+                if (centreDistance <= item.radius + distance) {
+                    hits.set(item, centreDistance);
+                }
+            }
+        }
+    }
+
+    return [...hits].map(([item, centreDistance]) => ({ item, distance: centreDistance })).sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Converts an entry of a map object dump or a set into an index item.
+ * A 'footprint' of [width, length] is turned into the radius of its circumscribed circle.
+ * @param {Object} entry - The entry: { name, pos: [x, y, z], radius?, footprint? }.
+ * @param {string} source - Where the entry comes from, e.g. 'map' or a spawner file.
+ * @returns {Object|null} The item, or null if the entry has no valid position.
+ */
+function toIndexItem(entry, source) {
+    if (!entry || !Array.isArray(entry.pos) || entry.pos.length < 3 || entry.pos.some(value => typeof value !== 'number')) {
+        return null;
+    }
+
+    let radius = 0;
+    if (typeof entry.radius === 'number' && entry.radius > 0) {
+        radius = entry.radius;
+    } else if (Array.isArray(entry.footprint) && entry.footprint.length === 2) {
+        radius = Math.hypot(entry.footprint[0], entry.footprint[1]) / 2;
+    }
+
+    return { name: entry.name || '(unnamed)', source, x: entry.pos[0], z: entry.pos[2], radius };
+}
+
+/**
+ * Loads the existing geometry to check warped objects against: a local dump of map objects, and the
+ * spawner files listed under WorldsData.objectSpawnersArr of a cfggameplay.json.
+ * @param {Object} options - Options.
+ * @param {string} [options.mapObjectsPath] - A JSON dump of map objects: an array, or an object with an "Objects" array, of { name, pos, radius?, footprint? }.
+ * @param {string} [options.gameplayPath] - The server's cfggameplay.json. Spawner paths are relative to its directory.
+ * @param {number} [options.cellSize] - The grid cell size of the index in meters. (Default: 25)
+ * @param {Object} [options.logger] - Receives warnings about missing spawner files and unusable entries.
+ * @returns {Promise<Object>} The spatial index of every loaded object.
+ * @throws {FileError} If the dump or cfggameplay.json can't be read.
+ * @throws {SchemaError} If the dump isn't a list of objects.
+ */
+export async function loadCollisionIndex(options) {
+    const { mapObjectsPath, gameplayPath, cellSize, logger = silentLogger } = options;
+    const items = [];
+    let skipped = 0;
+
+    // Map objects exported from the terrain, e.g. vanilla buildings
+    if (mapObjectsPath) {
+        const absoluteDumpPath = path.resolve(process.cwd(), mapObjectsPath);
+        const dump = await readJSON(absoluteDumpPath);
+        const entries = Array.isArray(dump) ? dump : dump && dump.Objects;
+        if (!Array.isArray(entries)) {
+            throw new SchemaError(`Map object dump ${absoluteDumpPath} is neither an array nor an object with an "Objects" array.`);
+        }
+        for (const entry of entries) {
+            const item = toIndexItem(entry, path.basename(absoluteDumpPath));
+            if (item) items.push(item); else skipped++;
+        }
+    }
+
+    // Custom sets already spawned by the server
+    if (gameplayPath) {
+        const absoluteGameplayPath = path.resolve(process.cwd(), gameplayPath);
+        const gameplay = await readJSON(absoluteGameplayPath);
+        const spawners = (gameplay.WorldsData && Array.isArray(gameplay.WorldsData.objectSpawnersArr)) ? gameplay.WorldsData.objectSpawnersArr : [];
+        const missionDir = path.dirname(absoluteGameplayPath);
+
+        for (const spawner of spawners.filter(entry => typeof entry === 'string')) {
+            let set;
+            try {
+                set = await readJSON(path.resolve(missionDir, spawner));
+            } catch (error) {
+                logger.warn(`Warning: Spawner file "${spawner}" listed in ${absoluteGameplayPath} can't be read. Skipping it for collisions.`);
+                continue;
+            }
+            for (const entry of (set && Array.isArray(set.Objects)) ? set.Objects : []) {
+                const item = toIndexItem(entry, spawner);
+                if (item) items.push(item); else skipped++;
+            }
+        }
+    }
+
+    if (skipped > 0) {
+        logger.warn(`Warning: ${skipped} object(s) without a valid pos were left out of the collision check.`);
+    }
+
+    return createSpatialIndex(items, cellSize);
+}
+
+/**
+ * Finds the warped objects of a set that lie within a distance of indexed objects.
+ * Indexed spawner files that differ from one of the run's own spawn files only by the date stamp are
+ * earlier versions of the same build and are ignored.
+ * @param {Array} objects - The warped objects.
+ * @param {Object} index - The index built by loadCollisionIndex or createSpatialIndex.
+ * @param {Object} options - Options.
+ * @param {string} options.file - The name of the warped file, for grouping.
+ * @param {number} options.distance - The clearance in meters.
+ * @param {Array} [options.ownSpawnFiles] - The run's own 'custom/...' spawn files.
+ * @returns {Array} The collisions as { file, name, pos, hits: [{ name, source, distance, radius }] }.
+ */
+export function findCollisions(objects, index, options) {
+    const { file, distance, ownSpawnFiles = [] } = options;
+    const ownKeys = new Set(ownSpawnFiles.map(dateStampKey));
+    const collisions = [];
+
+    for (const obj of objects) {
+        if (!Array.isArray(obj.pos) || obj.pos.length < 3) continue;
+
+        const hits = querySpatialIndex(index, obj.pos[0], obj.pos[2], distance)
+            .filter(({ item }) => !ownKeys.has(dateStampKey(item.source)))
+            .map(({ item, distance: centreDistance }) => ({ name: item.name, source: item.source, distance: centreDistance, radius: item.radius }));
+
+        if (hits.length > 0) {
+            collisions.push({ file, name: obj.name, pos: obj.pos, hits });
+        }
+    }
+
+    return collisions;
+}
+
+/**
+ * Formats collisions as lines grouped per warped file, listing the first few objects of each file.
+ * @param {Array} collisions - The collisions found by findCollisions.
+ * @param {number} [limit] - How many objects to list per file. (Default: 5)
+ * @returns {Array} The formatted lines.
+ */
+export function formatCollisions(collisions, limit = 5) {
+    const byFile = new Map();
+    for (const collision of collisions) {
+        if (!byFile.has(collision.file)) byFile.set(collision.file, []);
+        byFile.get(collision.file).push(collision);
+    }
+
+    const lines = [];
+    for (const [file, fileCollisions] of byFile) {
+        lines.push(`  ${file}: ${fileCollisions.length} object(s)`);
+        fileCollisions.slice(0, limit).forEach(({ name, pos, hits }) => {
+            const nearest = hits[0];
+            const others = hits.length > 1 ? ` and ${hits.length - 1} more` : '';
+            lines.push(`    ${name} at (${pos[0].toFixed(2)}, ${pos[2].toFixed(2)}): ${nearest.distance.toFixed(2)} m from ${nearest.name} (${nearest.source})${others}`);
+        });
+        if (fileCollisions.length > limit) {
+            lines.push(`    ... and ${fileCollisions.length - limit} more`);
+        }
+    }
+    return lines;
+}
@@ -0,0 +1,101 @@
+/**
+ * Base class for every error thrown by the dzwarp library.
+ * The 'code' property identifies the kind of failure for callers that don't want to check classes.
+ */
+export class DzwarpError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} [code] - A stable error code.
+     */
+    constructor(message, code = 'DZWARP_ERROR') {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown when a file or directory can't be read, parsed or written.
+ */
+export class FileError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} filePath - The path of the file involved.
+     * @param {Error} [cause] - The underlying error.
+     */
+    constructor(message, filePath, cause) {
+        super(message, 'DZWARP_FILE_ERROR');
+        this.filePath = filePath;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Thrown when parsed data doesn't have the expected structure, e.g. a set without an "Objects" array.
+ */
+export class SchemaError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message, 'DZWARP_SCHEMA_ERROR');
+    }
+}
+
+/**
+ * Thrown when options passed to the library are missing or invalid.
+ */
+export class OptionsError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message, 'DZWARP_OPTIONS_ERROR');
+    }
+}
+
+/**
+ * Thrown when a best fit between the input set and the warp set exceeds the residual tolerance.
+ */
+export class FitError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     * @param {Array} residuals - The per-object residuals of the fit.
+     */
+    constructor(message, residuals) {
+        super(message, 'DZWARP_FIT_ERROR');
+        this.residuals = residuals;
+    }
+}
+
+/**
+ * Thrown when a job of a warp recipe is invalid or fails. The message names the job; the original error is kept as 'cause'.
+ */
+export class RecipeError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} jobIndex - The zero-based index of the failing job in the recipe.
+     * @param {string} jobName - The name of the failing job.
+     * @param {Error} [cause] - The underlying error.
+     */
+    constructor(message, jobIndex, jobName, cause) {
+        super(message, 'DZWARP_RECIPE_ERROR');
+        this.jobIndex = jobIndex;
+        this.jobName = jobName;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Thrown when warped positions fall outside the target map or below sea level and the run isn't forced.
+ */
+export class MapBoundsError extends DzwarpError {
+    /**
+     * @param {string} message - The error message.
+     * @param {Array} violations - The offending positions: { file, before, after, problems }.
+     */
+    constructor(message, violations) {
+        super(message, 'DZWARP_MAP_BOUNDS_ERROR');
+        this.violations = violations;
+    }
+}
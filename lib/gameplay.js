@@ -0,0 +1,171 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FileError } from './errors.js';
+import { dateStampKey } from './naming.js';
+
+/**
+ * Walks the JSON value starting at 'start' and reports where every value in it sits in the text.
+ * The text must be valid JSON.
+ * @param {string} text - The JSON text.
+ * @param {number} start - Where the value starts, possibly after whitespace.
+ * @param {Function} onValue - Called with the key path, start and end of every value.
+ * @param {Array} [keys] - The key path of the value.
+ * @returns {number} Where the value ends.
+ */
+function scanJSON(text, start, onValue, keys = []) {
+    const skipWhitespace = i => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+        return i;
+    };
+    const matchAt = (pattern, i) => {
+        pattern.lastIndex = i;
+        return pattern.exec(text)[0];
+    };
+
+    const valueStart = skipWhitespace(start);
+    let i = valueStart;
+    if (text[i] === '{' || text[i] === '[') {
+        const isObject = text[i] === '{';
+        const close = isObject ? '}' : ']';
+        i = skipWhitespace(i + 1);
+        for (let index = 0; text[i] !== close; index++) {
+            let key = index;
+            if (isObject) {
+                const token = matchAt(/"(?:[^"\\]|\\.)*"/y, i);
+                key = JSON.parse(token);
+                i = skipWhitespace(i + token.length) + 1;
+            }
+            i = skipWhitespace(scanJSON(text, i, onValue, [...keys, key]));
+            if (text[i] === ',') i = skipWhitespace(i + 1);
+        }
+        i++;
+    } else if (text[i] === '"') {
+        i += matchAt(/"(?:[^"\\]|\\.)*"/y, i).length;
+    } else {
+        i += matchAt(/[^\s,\]}]+/y, i).length;
+    }
+
+    onValue(keys, valueStart, i);
+    return i;
+}
+
+/**
+ * Writes the new objectSpawnersArr into the text of a cfggameplay.json file. Replaced entries are swapped in
+ * place and new ones appended in the style of the entries before them, so the rest of the file keeps its
+ * formatting. Without an existing array the whole config is written again with the file's indent and line endings.
+ * @param {string} text - The original text of the file.
+ * @param {Object} gameplay - The parsed config.
+ * @param {Array} existing - The entries of the array as parsed.
+ * @param {Array} updated - The new entries: the existing ones, some replaced, followed by the appended ones.
+ * @returns {string} The new text of the file.
+ */
+function spliceObjectSpawners(text, gameplay, existing, updated) {
+    const newline = text.includes('\r\n') ? '\r\n' : '\n';
+    const indent = (/^[ \t]+(?=")/m.exec(text) || ['    '])[0];
+
+    let array = null;
+    const entries = [];
+    scanJSON(text, text.charCodeAt(0) === 0xFEFF ? 1 : 0, (keys, start, end) => {
+        if (keys.length === 2 && keys[0] === 'WorldsData' && keys[1] === 'objectSpawnersArr') array = { start, end };
+        if (keys.length === 3 && keys[0] === 'WorldsData' && keys[1] === 'objectSpawnersArr') entries.push({ start, end });
+    });
+    if (!array || text[array.start] !== '[') {
+        const config = { ...gameplay, WorldsData: { ...gameplay.WorldsData, objectSpawnersArr: updated } };
+        return JSON.stringify(config, null, indent).replace(/\n/g, newline) + (/\r?\n$/.test(text) ? newline : '');
+    }
+
+    // Swap the replaced entries, then append after the last one with the same separator
+    const parts = [];
+    let offset = 0;
+    entries.forEach(({ start, end }, index) => {
+        if (updated[index] === existing[index]) return;
+        parts.push(text.slice(offset, start), JSON.stringify(updated[index]));
+        offset = end;
+    });
+
+    const appended = updated.slice(existing.length).map(entry => JSON.stringify(entry));
+    if (appended.length > 0 && entries.length > 0) {
+        const last = entries[entries.length - 1];
+        const separator = entries.length > 1
+            ? text.slice(entries[entries.length - 2].end, entries[entries.length - 1].start)
+            : `,${text.slice(array.start + 1, entries[0].start) || ' '}`;
+        parts.push(text.slice(offset, last.end), appended.map(entry => `${separator}${entry}`).join(''));
+        offset = last.end;
+    } else if (appended.length > 0) {
+        // An empty array gets one entry per line, indented one step deeper than its key
+        const lineStart = text.lastIndexOf('\n', array.start) + 1;
+        const keyIndent = /^[ \t]*/.exec(text.slice(lineStart))[0];
+        const items = appended.map(entry => `${keyIndent}${indent}${entry}`).join(`,${newline}`);
+        parts.push(text.slice(offset, array.start), `[${newline}${items}${newline}${keyIndent}]`);
+        offset = array.end;
+    }
+    parts.push(text.slice(offset));
+    return parts.join('');
+}
+
+/**
+ * Inserts the new spawn files into WorldsData.objectSpawnersArr of a cfggameplay.json file.
+ * Entries that differ only by the date stamp are replaced in place, new ones are appended, and the rest of the
+ * file is left as it was. A timestamped backup of the original file is written before it is changed.
+ * @param {string} gameplayPath - The path to cfggameplay.json.
+ * @param {Array} spawnFiles - The new 'custom/...' spawn files.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.dryRun] - Compute the changes without writing anything.
+ * @returns {Promise<Object>} The 'added' and 'removed' entries, and the 'backupPath' if one was written.
+ * @throws {FileError} If the config or its backup can't be read or written.
+ */
+export async function patchGameplayConfig(gameplayPath, spawnFiles, options = {}) {
+    const { dryRun = false } = options;
+    const absoluteGameplayPath = path.resolve(process.cwd(), gameplayPath);
+    let text;
+    let gameplay;
+    try {
+        text = await fs.readFile(absoluteGameplayPath, 'utf-8');
+        gameplay = JSON.parse(text);
+    } catch (error) {
+        throw new FileError(`Cannot read or parse JSON file at ${absoluteGameplayPath}: ${error.message}`, absoluteGameplayPath, error);
+    }
+
+    // Only JSON object sets can be listed as object spawners
+    const objectSpawners = spawnFiles.filter(file => path.extname(file).toLowerCase() === '.json');
+
+    const existing = gameplay.WorldsData && Array.isArray(gameplay.WorldsData.objectSpawnersArr) ? gameplay.WorldsData.objectSpawnersArr : [];
+    const updated = [...existing];
+    const removed = [];
+    const added = [];
+
+    for (const file of objectSpawners) {
+        if (updated.includes(file)) continue;
+
+        const key = dateStampKey(file);
+        const staleIndex = updated.findIndex(entry => typeof entry === 'string' && dateStampKey(entry) === key);
+        if (staleIndex !== -1) {
+            removed.push(updated[staleIndex]);
+            updated[staleIndex] = file;
+        } else {
+            updated.push(file);
+        }
+        added.push(file);
+    }
+
+    const result = { path: absoluteGameplayPath, added, removed, backupPath: null };
+    if (added.length === 0 || dryRun) {
+        return result;
+    }
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const backupPath = `${absoluteGameplayPath}.${stamp}.bak`;
+    try {
+        await fs.copyFile(absoluteGameplayPath, backupPath);
+    } catch (error) {
+        throw new FileError(`Cannot write backup of ${absoluteGameplayPath}: ${error.message}`, backupPath, error);
+    }
+
+    try {
+        await fs.writeFile(absoluteGameplayPath, spliceObjectSpawners(text, gameplay, existing, updated), 'utf-8');
+    } catch (error) {
+        throw new FileError(`Cannot write gameplay config at ${absoluteGameplayPath}: ${error.message}`, absoluteGameplayPath, error);
+    }
+
+    return { ...result, backupPath };
+}
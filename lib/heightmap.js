@@ -0,0 +1,123 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FileError, OptionsError } from './errors.js';
+
+/**
+ * Parses an ESRI ASCII grid heightmap. Rows are listed from north to south.
+ * @param {string} text - The content of the .asc file.
+ * @returns {Object} The heightmap grid.
+ */
+export function parseAsciiGrid(text) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const header = {};
+
+    while (tokens.length > 0 && /^[a-z_]+$/i.test(tokens[0])) {
+        header[tokens.shift().toLowerCase()] = parseFloat(tokens.shift());
+    }
+
+    const columns = header.ncols;
+    const rows = header.nrows;
+    const cellSize = header.cellsize;
+    if (!columns || !rows || !cellSize) {
+        throw new Error('Missing ncols, nrows or cellsize in the grid header.');
+    }
+    if (tokens.length < columns * rows) {
+        throw new Error(`Expected ${columns * rows} elevation values, found ${tokens.length}.`);
+    }
+
+    // Corner registration describes the outer edge of the grid; sample at cell centres
+    const originX = 'xllcenter' in header ? header.xllcenter : (header.xllcorner || 0) + cellSize / 2;
+    const originZ = 'yllcenter' in header ? header.yllcenter : (header.yllcorner || 0) + cellSize / 2;
+
+    const values = new Float64Array(columns * rows);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = parseFloat(tokens[i]);
+    }
+
+    return { columns, rows, cellSize, originX, originZ, noData: header.nodata_value, values };
+}
+
+/**
+ * Parses a raw square 16-bit little-endian heightmap. The first row is the northern edge of the map.
+ * @param {Buffer} buffer - The content of the raw file.
+ * @param {number} mapSize - The map size in meters covered by the heightmap.
+ * @param {Object} range - The elevation range { min, max } that 0..65535 maps to.
+ * @returns {Object} The heightmap grid.
+ */
+export function parseRawHeightmap(buffer, mapSize, range) {
+    const resolution = Math.round(Math.sqrt(buffer.length / 2));
+    if (resolution * resolution * 2 !== buffer.length) {
+        throw new Error(`File size of ${buffer.length} bytes is not a square 16-bit heightmap.`);
+    }
+
+    const scale = (range.max - range.min) / 65535;
+    const values = new Float64Array(resolution * resolution);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = range.min + buffer.readUInt16LE(i * 2) * scale;
+    }
+
+    return { columns: resolution, rows: resolution, cellSize: mapSize / resolution, originX: 0, originZ: 0, noData: undefined, values };
+}
+
+/**
+ * Reads a heightmap file, either an ESRI ASCII grid (.asc) or a raw 16-bit file.
+ * @param {string} filePath - The path to the heightmap file.
+ * @param {number} [mapSize] - The map size in meters, required for raw heightmaps.
+ * @param {Object} [range] - The elevation range { min, max }, required for raw heightmaps.
+ * @returns {Promise<Object>} The heightmap grid.
+ * @throws {OptionsError} If a raw heightmap is missing its size or range.
+ * @throws {FileError} If the file can't be read or parsed.
+ */
+export async function readHeightmap(filePath, mapSize, range) {
+    const isAsciiGrid = path.extname(filePath).toLowerCase() === '.asc';
+    if (!isAsciiGrid && (!mapSize || !range)) {
+        throw new OptionsError(`Raw heightmap ${filePath} needs the map size and elevation range.`);
+    }
+
+    try {
+        if (isAsciiGrid) {
+            return parseAsciiGrid(await fs.readFile(filePath, 'utf-8'));
+        }
+        return parseRawHeightmap(await fs.readFile(filePath), mapSize, range);
+    } catch (error) {
+        throw new FileError(`Cannot read heightmap at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Samples the terrain height at a world position using bilinear interpolation.
+ * @param {Object} heightmap - The heightmap grid.
+ * @param {number} x - The X coordinate.
+ * @param {number} z - The Z coordinate.
+ * @returns {number|null} The terrain height, or null outside the grid or on missing data.
+ */
+export function sampleHeightmap(heightmap, x, z) {
+    const { columns, rows, cellSize, originX, originZ, noData, values } = heightmap;
+
+    const gridX = (x - originX) / cellSize;
+    const gridZ = (z - originZ) / cellSize;
+    if (gridX < 0 || gridZ < 0 || gridX > columns - 1 || gridZ > rows - 1) {
+        return null;
+    }
+
+    const column = Math.min(Math.floor(gridX), columns - 2);
+    const rowFromSouth = Math.min(Math.floor(gridZ), rows - 2);
+    const fractionX = gridX - column;
+    const fractionZ = gridZ - rowFromSouth;
+
+    // Rows are stored from north to south
+    const at = (c, r) => values[(rows - 1 - r) * columns + c];
+    const corners = [
+        at(column, rowFromSouth),
+        at(column + 1, rowFromSouth),
+        at(column, rowFromSouth + 1),
+        at(column + 1, rowFromSouth + 1)
+    ];
+    if (corners.some(value => isNaN(value) || value === noData)) {
+        return null;
+    }
+
+    const south = corners[0] + (corners[1] - corners[0]) * fractionX;
+    const north = corners[2] + (corners[3] - corners[2]) * fractionX;
+    return south + (north - south) * fractionZ;
+}
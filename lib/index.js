@@ -0,0 +1,28 @@
+/**
+ * dzwarp library entry point. The dzwarp and dzzones commands are thin wrappers around these exports.
+ */
+export { DzwarpError, FileError, SchemaError, OptionsError, FitError, RecipeError, MapBoundsError } from './errors.js';
+export { warpSet, validateObjectSet, SUPPORTED_MODULES } from './warp.js';
+export { watchWarp } from './watch.js';
+export { splitSet } from './split.js';
+export { cloneSet, toClonePositions } from './clone.js';
+export { mergeSets, findDuplicates, formatDuplicates } from './merge.js';
+export { readPreviewZones, renderPreview, writePreview } from './preview.js';
+export { createSelection, selectObjects, describeSelection } from './selection.js';
+export { computeTranslation, calculateTranslationVector, calculateBestFitTransform, applyOffsets, matchObjects, solveBestFit, invertTranslation } from './translation.js';
+export { transformPosition, warpObjects, warpPositionArray, resolvePivot, normalizeYaw, normalizeHeading, extendBoundingBox } from './transform.js';
+export { applyToEvents, applyToMapGroups, applyToSpawnPoints, renameEvents, XML_FORMATS } from './xml-formats.js';
+export { applyToEffectAreas, applyToUndergroundTriggers, JSON_FORMATS } from './json-formats.js';
+export { MAP_PROFILES, resolveMapProfile, checkMapPosition, formatMapViolations } from './maps.js';
+export { parseGridReference, readGazetteer, findLocation, resolveWarpTarget } from './locations.js';
+export { readHeightmap, parseAsciiGrid, parseRawHeightmap, sampleHeightmap } from './heightmap.js';
+export { readJSON, readXML, readXMLDocument, writeJSON, writeXML, ensureOutputDirectory } from './io.js';
+export { parseXMLDocument, serializeXMLDocument } from './xml-document.js';
+export { getOutputPath, formatDateStamp, dateStampKey, parseSwap, applySwaps, swapNames, checkNameTemplate } from './naming.js';
+export { patchGameplayConfig } from './gameplay.js';
+export { buildReport, buildRecipeReport, writeReport } from './report.js';
+export { readRecipe, runRecipe, toJobOptions } from './recipe.js';
+export { MANIFEST_VERSION, buildManifest, getManifestPath, readManifest, undoWarp, writeManifest } from './manifest.js';
+export { loadCollisionIndex, createSpatialIndex, querySpatialIndex, findCollisions, formatCollisions } from './collisions.js';
+export { computeMinimumCircles, computeZonePolygon, concaveHull, convexHull, objectsToPoints, smallestEnclosingCircle, summarizeCircles, summarizePolygon } from './zones.js';
+export { DEFAULT_ZONE_COLUMNS, ZONE_FORMATS, formatZones, parseZoneColumns } from './zone-formats.js';
@@ -0,0 +1,94 @@
+import { promises as fs } from 'fs';
+import { parseStringPromise, Builder } from 'xml2js';
+import { FileError } from './errors.js';
+import { hasXMLSource, parseXMLDocument, serializeXMLDocument } from './xml-document.js';
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath - The path to the JSON file.
+ * @returns {Promise<Object>} The parsed JSON object.
+ * @throws {FileError} If the file can't be read or parsed.
+ */
+export async function readJSON(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        throw new FileError(`Cannot read or parse JSON file at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Reads and parses an XML file.
+ * @param {string} filePath - The path to the XML file.
+ * @returns {Promise<Object>} The parsed XML object.
+ * @throws {FileError} If the file can't be read or parsed.
+ */
+export async function readXML(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return await parseStringPromise(data, { explicitArray: false });
+    } catch (error) {
+        throw new FileError(`Cannot read or parse XML file at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Reads and parses an XML file so it can be written back in place. The result has the same shape as
+ * readXML; writeXML then only replaces the attribute values that changed.
+ * @param {string} filePath - The path to the XML file.
+ * @returns {Promise<Object>} The parsed XML document.
+ * @throws {FileError} If the file can't be read or parsed.
+ */
+export async function readXMLDocument(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return parseXMLDocument(data);
+    } catch (error) {
+        throw new FileError(`Cannot read or parse XML file at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Writes a JSON object to a file with the specified path.
+ * @param {string} filePath - The path to write the JSON file.
+ * @param {Object} jsonData - The JSON data to write.
+ * @throws {FileError} If the file can't be written.
+ */
+export async function writeJSON(filePath, jsonData) {
+    try {
+        await fs.writeFile(filePath, JSON.stringify(jsonData, null, 4), 'utf-8');
+    } catch (error) {
+        throw new FileError(`Cannot write JSON file at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Writes an XML object to a file with the specified path.
+ * Documents read with readXMLDocument keep their original text apart from the changed attribute values;
+ * anything else is rebuilt with the xml2js Builder.
+ * @param {string} filePath - The path to write the XML file.
+ * @param {Object} xmlData - The XML data to write.
+ * @throws {FileError} If the file can't be written.
+ */
+export async function writeXML(filePath, xmlData) {
+    try {
+        const xml = hasXMLSource(xmlData) ? serializeXMLDocument(xmlData) : new Builder().buildObject(xmlData);
+        await fs.writeFile(filePath, xml, 'utf-8');
+    } catch (error) {
+        throw new FileError(`Cannot write XML file at ${filePath}: ${error.message}`, filePath, error);
+    }
+}
+
+/**
+ * Ensures that the output directory exists. If it doesn't, creates it.
+ * @param {string} outputDir - The path to the output directory.
+ * @throws {FileError} If the directory can't be created.
+ */
+export async function ensureOutputDirectory(outputDir) {
+    try {
+        await fs.mkdir(outputDir, { recursive: true });
+    } catch (error) {
+        throw new FileError(`Cannot create output directory at ${outputDir}: ${error.message}`, outputDir, error);
+    }
+}
@@ -0,0 +1,100 @@
+import { normalizeYaw, transformPosition, warpPositionArray } from './transform.js';
+import { silentLogger } from './util.js';
+
+/**
+ * Warps a parsed cfgeffectarea.json file in place: the 'Data.Pos' [x, y, z] of every area and the [x, z] 'SafePositions'.
+ * An area height of 0 tells the game to place the area on the ground, so it is kept at 0.
+ * @param {Object} jsonData - The parsed JSON data.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} [options] - Options.
+ * @param {Object} [options.logger] - Receives warnings.
+ * @returns {Object} The number of positions moved per field.
+ */
+export function applyToEffectAreas(jsonData, translation, options = {}) {
+    const { logger = silentLogger } = options;
+
+    const moved = { Areas: 0, SafePositions: 0 };
+
+    for (const area of jsonData.Areas || []) {
+        const pos = area && area.Data && area.Data.Pos;
+
+        // Ground-placed areas have no height to move, nor to check against sea level
+        if (Array.isArray(pos) && pos.length >= 3 && pos[1] === 0) {
+            const [x, , z] = transformPosition(translation, pos[0], NaN, pos[2]);
+            pos[0] = x;
+            pos[2] = z;
+        } else if (!warpPositionArray(pos, translation)) {
+            logger.warn(`Warning: Area "${area && area.AreaName}" does not have a valid Data.Pos array.`);
+            continue;
+        }
+        moved.Areas++;
+    }
+
+    for (const safePosition of jsonData.SafePositions || []) {
+        if (!Array.isArray(safePosition) || safePosition.length < 2) {
+            logger.warn('Warning: Safe position is not a valid [x, z] array.');
+            continue;
+        }
+        const [x, , z] = transformPosition(translation, safePosition[0], NaN, safePosition[1]);
+        safePosition[0] = x;
+        safePosition[1] = z;
+        moved.SafePositions++;
+    }
+
+    return moved;
+}
+
+/**
+ * Warps a parsed cfgundergroundtriggers.json file in place: the 'Position' of every trigger and of its breadcrumbs.
+ * When rotating, the trigger's 'Orientation' yaw is turned with the set.
+ * @param {Object} jsonData - The parsed JSON data.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} [options] - Options.
+ * @param {Object} [options.logger] - Receives warnings.
+ * @returns {Object} The number of positions moved per field.
+ */
+export function applyToUndergroundTriggers(jsonData, translation, options = {}) {
+    const { logger = silentLogger } = options;
+
+    const moved = { Triggers: 0, Breadcrumbs: 0 };
+
+    for (const trigger of jsonData.Triggers) {
+        if (!trigger || !warpPositionArray(trigger.Position, translation)) {
+            logger.warn('Warning: Trigger does not have a valid Position array.');
+            continue;
+        }
+        moved.Triggers++;
+
+        if (translation.rotation && Array.isArray(trigger.Orientation) && trigger.Orientation.length >= 1) {
+            trigger.Orientation[0] = normalizeYaw(trigger.Orientation[0] + translation.rotation);
+        }
+
+        for (const breadcrumb of trigger.Breadcrumbs || []) {
+            if (breadcrumb && warpPositionArray(breadcrumb.Position, translation)) {
+                moved.Breadcrumbs++;
+            } else {
+                logger.warn('Warning: Breadcrumb does not have a valid Position array.');
+            }
+        }
+    }
+
+    return moved;
+}
+
+/**
+ * JSON schemas other than object sets that are recognised in the relation directory.
+ * They are warped with the same translation but are not listed in the spawn_files output.
+ * Each handler is called as warp(jsonData, translation, options) and returns the counts per field.
+ */
+export const JSON_FORMATS = [
+    {
+        kind: 'effectarea',
+        detect: data => Array.isArray(data.Areas) || Array.isArray(data.SafePositions),
+        warp: applyToEffectAreas
+    },
+    {
+        kind: 'undergroundtriggers',
+        detect: data => Array.isArray(data.Triggers),
+        warp: applyToUndergroundTriggers
+    }
+];
@@ -0,0 +1,198 @@
+import path from 'path';
+import { OptionsError, SchemaError } from './errors.js';
+import { readHeightmap, sampleHeightmap } from './heightmap.js';
+import { readJSON } from './io.js';
+import { resolveMapProfile } from './maps.js';
+import { silentLogger } from './util.js';
+
+/**
+ * Checks that a value is a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a finite number.
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Normalises a location name for lookups: case, surrounding and repeated whitespace don't matter.
+ * @param {string} name - The name.
+ * @returns {string} The lookup key.
+ */
+function toLocationKey(name) {
+    return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Converts a map grid reference as shown by web maps such as iZurvive, e.g. '067 112', into world coordinates.
+ * The first half counts cells east from the west edge, the second half cells south from the north edge.
+ * With n digits per half a cell is 10^(5 - n) meters, so '067 112' is a 100 m cell and '0675 1120' a 10 m cell.
+ * The position returned is the centre of the cell.
+ * @param {string} reference - The grid reference: two halves with the same number of digits, separated by a space,
+ * '-', ',' or '/', or written together.
+ * @param {number} mapSize - The map size in meters.
+ * @returns {Object} The position as { x, z, cellSize }.
+ * @throws {OptionsError} If the reference is malformed or lies outside the map.
+ */
+export function parseGridReference(reference, mapSize) {
+    const text = String(reference).trim();
+    const parts = /[\s,/-]/.test(text) ? text.split(/[\s,/-]+/) : [text.slice(0, text.length / 2), text.slice(text.length / 2)];
+    if (parts.length !== 2 || parts.some(part => !/^\d{1,5}$/.test(part)) || parts[0].length !== parts[1].length) {
+        throw new OptionsError(`Invalid grid reference "${reference}". Expected two numbers with the same number of digits, e.g. '067 112'.`);
+    }
+
+    const cellSize = 10 ** (5 - parts[0].length);
+    const [gridX, gridZ] = parts.map(Number);
+    const x = gridX * cellSize + cellSize / 2;
+    const z = mapSize - (gridZ * cellSize + cellSize / 2);
+    if (x > mapSize || z < 0) {
+        throw new OptionsError(`Grid reference "${reference}" lies outside the ${mapSize} m map.`);
+    }
+
+    return { x, z, cellSize };
+}
+
+/**
+ * Reads a gazetteer: a JSON file of named locations on one map, kept by hand.
+ * It holds the 'map' it belongs to and 'locations' keyed by name, each { x, z } with an optional 'y' and
+ * 'aliases', an [x, y, z] array, or a grid reference string resolved on the gazetteer's map.
+ * @param {string} gazetteerPath - The path of the gazetteer.
+ * @returns {Promise<Object>} The gazetteer as { path, map, locations }, with 'locations' keyed by lookup key
+ * and holding { name, x, y, z }, where 'y' is null when the location has no height.
+ * @throws {FileError} If the file can't be read or parsed.
+ * @throws {SchemaError} If it isn't a gazetteer or a location is malformed.
+ */
+export async function readGazetteer(gazetteerPath) {
+    const absolutePath = path.resolve(process.cwd(), gazetteerPath);
+    const data = await readJSON(absolutePath);
+    const label = `Gazetteer ${path.basename(absolutePath)}`;
+
+    if (!data || typeof data !== 'object' || !data.locations || typeof data.locations !== 'object' || Array.isArray(data.locations)) {
+        throw new SchemaError(`${label} needs a "locations" object of named positions, e.g. { "map": "chernarus", "locations": { "My trader": { "x": ..., "z": ... } } }.`);
+    }
+    let map = null;
+    try {
+        map = resolveMapProfile(data.map);
+    } catch (error) {
+        throw new SchemaError(`${label}: ${error.message}`);
+    }
+
+    const locations = new Map();
+    for (const [name, entry] of Object.entries(data.locations)) {
+        let position = null;
+        if (typeof entry === 'string') {
+            if (!map) {
+                throw new SchemaError(`${label} location "${name}" is a grid reference, which needs the gazetteer's "map".`);
+            }
+            try {
+                position = { ...parseGridReference(entry, map.size), y: null };
+            } catch (error) {
+                throw new SchemaError(`${label} location "${name}": ${error.message}`);
+            }
+        } else if (Array.isArray(entry) && entry.length === 3 && entry.every(isNumber)) {
+            position = { x: entry[0], y: entry[1], z: entry[2] };
+        } else if (entry && isNumber(entry.x) && isNumber(entry.z) && (entry.y === undefined || isNumber(entry.y))) {
+            position = { x: entry.x, y: isNumber(entry.y) ? entry.y : null, z: entry.z };
+        }
+        if (!position) {
+            throw new SchemaError(`${label} location "${name}" must be { "x", "y", "z" } with an optional "y", [x, y, z] or a grid reference.`);
+        }
+
+        const location = { name, x: position.x, y: position.y, z: position.z };
+        for (const alias of [name, ...(Array.isArray(entry.aliases) ? entry.aliases : [])]) {
+            locations.set(toLocationKey(alias), location);
+        }
+    }
+
+    return { path: absolutePath, map, locations };
+}
+
+/**
+ * Looks up a named location in a gazetteer, ignoring case and extra whitespace.
+ * @param {Object} gazetteer - The gazetteer returned by readGazetteer.
+ * @param {string} name - The location name or alias.
+ * @returns {Object} The location as { name, x, y, z }.
+ * @throws {OptionsError} If the gazetteer has no such location, listing names that contain it.
+ */
+export function findLocation(gazetteer, name) {
+    const key = toLocationKey(name);
+    const location = gazetteer.locations.get(key);
+    if (location) {
+        return location;
+    }
+
+    const names = [...new Set([...gazetteer.locations.values()].map(candidate => candidate.name))];
+    const similar = names.filter(candidate => toLocationKey(candidate).includes(key) || key.includes(toLocationKey(candidate)));
+    const hint = similar.length > 0 ? ` Did you mean "${similar.slice(0, 5).join('", "')}"?` : ` Known locations: ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', ...' : ''}.`;
+    throw new OptionsError(`Unknown location "${name}" in ${path.basename(gazetteer.path)}.${hint}`);
+}
+
+/**
+ * Turns a map grid reference or a named location into the warp coordinates of the reference object.
+ * The height is taken, in this order, from 'height', from the gazetteer entry, or from the ground of the target
+ * heightmap at that spot.
+ * @param {Object} options - The warpSet options.
+ * @param {string} [options.gridReference] - A grid reference such as '067 112', on the 'map' or 'mapSize'.
+ * @param {string} [options.location] - A location name looked up in the gazetteer.
+ * @param {string} [options.gazetteerPath] - Path to the gazetteer. Not needed when 'gazetteer' is given.
+ * @param {Object} [options.gazetteer] - A gazetteer returned by readGazetteer.
+ * @param {number} [options.height] - The height of the target.
+ * @param {string} [options.heightmapPath] - Target heightmap to take the height from, with heightmapSize and heightmapRange for raw files.
+ * @param {Object} [options.logger] - Receives the resolved coordinates.
+ * @returns {Promise<Object>} The target { x, y, z }, and the 'heightmap' when it was read.
+ * @throws {DzwarpError} If the reference or location can't be resolved or there is no height.
+ */
+export async function resolveWarpTarget(options) {
+    const { gridReference, location, height, heightmapPath, heightmapSize, heightmapRange } = options;
+    const logger = options.logger || silentLogger;
+
+    if (gridReference !== undefined && location !== undefined) {
+        throw new OptionsError('Give either a grid reference (gridReference) or a named location (location), not both.');
+    }
+    if (height !== undefined && !isNumber(height)) {
+        throw new OptionsError('The target height must be a number of meters.');
+    }
+
+    let target;
+    let description;
+    if (gridReference !== undefined) {
+        const map = resolveMapProfile(options.map, options.mapSize);
+        if (!map) {
+            throw new OptionsError(`Grid reference "${gridReference}" needs the target map (map or mapSize) to be converted.`);
+        }
+        const { x, z, cellSize } = parseGridReference(gridReference, map.size);
+        target = { x, y: null, z };
+        description = `grid reference ${gridReference} on ${map.name} (${cellSize} m cell)`;
+    } else {
+        if (!options.gazetteer && !options.gazetteerPath) {
+            throw new OptionsError(`Location "${location}" needs a gazetteer (gazetteerPath) to be looked up in.`);
+        }
+        const gazetteer = options.gazetteer || await readGazetteer(options.gazetteerPath);
+        const map = resolveMapProfile(options.map, options.mapSize);
+        if (map && gazetteer.map && map.name !== gazetteer.map.name) {
+            throw new OptionsError(`Gazetteer ${path.basename(gazetteer.path)} holds locations on ${gazetteer.map.name}, but the target map is ${map.name}.`);
+        }
+        const match = findLocation(gazetteer, location);
+        target = { x: match.x, y: match.y, z: match.z };
+        description = `location "${match.name}"`;
+    }
+
+    // Take the height from the options, the gazetteer or the ground of the target heightmap
+    let heightmap = null;
+    if (height !== undefined) {
+        target.y = height;
+    } else if (target.y === null) {
+        if (!heightmapPath) {
+            throw new OptionsError(`The ${description} has no height. Give one (height) or a target heightmap (heightmapPath) to take it from.`);
+        }
+        heightmap = await readHeightmap(path.resolve(process.cwd(), heightmapPath), heightmapSize, heightmapRange);
+        const ground = sampleHeightmap(heightmap, target.x, target.z);
+        if (ground === null) {
+            throw new OptionsError(`The ${description} lies outside the heightmap ${path.basename(heightmapPath)}. Give a height (height) instead.`);
+        }
+        target.y = ground;
+    }
+
+    logger.log(`Target from ${description}: (${target.x}, ${target.y}, ${target.z})`);
+    return { x: target.x, y: target.y, z: target.z, heightmap };
+}
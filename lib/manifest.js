@@ -0,0 +1,298 @@
+import path from 'path';
+import { SchemaError } from './errors.js';
+import { readHeightmap } from './heightmap.js';
+import { ensureOutputDirectory, readJSON, readXMLDocument, writeJSON, writeXML } from './io.js';
+import { JSON_FORMATS } from './json-formats.js';
+import { applySwaps, formatDateStamp, swapNames } from './naming.js';
+import { createSummaryEntry } from './report.js';
+import { describeSelection } from './selection.js';
+import { warpObjects } from './transform.js';
+import { invertTranslation } from './translation.js';
+import { silentLogger, sumCounts } from './util.js';
+import { XML_FORMATS } from './xml-formats.js';
+
+/**
+ * Version of the manifest layout, bumped when it changes incompatibly.
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Suffix of manifest files. Relation directories never pick these files up as sets.
+ */
+export const MANIFEST_SUFFIX = '.manifest.json';
+
+/**
+ * Derives the manifest path from the primary output, e.g. 'kb-base-neaf-1019.manifest.json'.
+ * @param {string} primaryOutputPath - The path of the warped primary set.
+ * @returns {string} The manifest path next to it.
+ */
+export function getManifestPath(primaryOutputPath) {
+    const ext = path.extname(primaryOutputPath);
+    return path.join(path.dirname(primaryOutputPath), `${path.basename(primaryOutputPath, ext)}${MANIFEST_SUFFIX}`);
+}
+
+/**
+ * Makes a path relative to the manifest's directory, with '/' separators.
+ * @param {string} manifestDir - The manifest's directory.
+ * @param {string} filePath - The absolute path.
+ * @returns {string} The relative path.
+ */
+function relativeTo(manifestDir, filePath) {
+    return path.relative(manifestDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Builds the transform manifest of a warp: the source and output of every file, the translation vector,
+ * offsets, rotation and terrain snapping exactly as applied, and the settings that named and selected the files and objects.
+ * Event files also list the events that were warped, by their names in the output, so undo selects the same events.
+ * Paths are stored relative to the manifest, so the output directory can be moved along with it.
+ * @param {string} manifestPath - The absolute path the manifest will be written to.
+ * @param {Object} result - The warpSet result: translation and files.
+ * @param {Object} settings - The warpSet options.
+ * @returns {Object} The manifest.
+ */
+export function buildManifest(manifestPath, result, settings) {
+    const manifestDir = path.dirname(manifestPath);
+    const { translation, files } = result;
+    const { offsets = {} } = settings;
+    const relationDir = settings.inputSetRelationDir ? path.resolve(process.cwd(), settings.inputSetRelationDir) : null;
+
+    // Files of the relation directory are restored to their path below it, anything else by name
+    const restoreAs = (source) => {
+        const relative = relationDir ? path.relative(relationDir, source) : '';
+        const inside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        return (inside ? relative : path.basename(source)).split(path.sep).join('/');
+    };
+
+    const resolveFrom = filePath => (filePath ? relativeTo(manifestDir, path.resolve(process.cwd(), filePath)) : null);
+    const rename = name => (settings.swapContent ? applySwaps(name, settings.swaps || []) : name);
+
+    return {
+        version: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        translation: {
+            vector: translation.vector
+                ? { x: translation.vector.deltaX, y: translation.vector.deltaY, z: translation.vector.deltaZ }
+                : null,
+            offsets: { x: offsets.offsetX || 0, y: offsets.offsetY || 0, z: offsets.offsetZ || 0 },
+            x: translation.newDeltaX,
+            y: translation.newDeltaY,
+            z: translation.newDeltaZ,
+            rotation: translation.rotation || 0,
+            pivot: translation.pivot || null
+        },
+        terrain: translation.terrain
+            ? {
+                heightmap: resolveFrom(settings.heightmapPath),
+                heightmapSize: settings.heightmapSize,
+                heightmapRange: settings.heightmapRange,
+                sourceHeightmap: resolveFrom(settings.sourceHeightmapPath),
+                sourceHeightmapSize: settings.sourceHeightmapSize,
+                sourceHeightmapRange: settings.sourceHeightmapRange,
+                lift: translation.terrain.lift
+            }
+            : null,
+        swaps: (settings.swaps || []).map(({ from, to, regex }) => ({ from, to, regex: Boolean(regex) })),
+        swapContent: Boolean(settings.swapContent),
+        dateStamp: formatDateStamp(settings.date),
+        modules: settings.modules,
+        events: settings.events,
+        keepEventAngles: Boolean(settings.keepEventAngles),
+        selection: describeSelection(settings.selection),
+        files: files.map(entry => ({
+            source: relativeTo(manifestDir, entry.source),
+            output: relativeTo(manifestDir, entry.output),
+            restoreAs: restoreAs(entry.source),
+            kind: entry.kind,
+            // The warped events by their names in the output, which --swap-content may have changed
+            ...(entry.kind === 'events' && entry.details ? { events: Object.keys(entry.details).map(rename) } : {})
+        }))
+    };
+}
+
+/**
+ * Writes a transform manifest.
+ * @param {string} manifestPath - The path of the manifest.
+ * @param {Object} manifest - The manifest built by buildManifest.
+ * @throws {FileError} If the manifest can't be written.
+ */
+export async function writeManifest(manifestPath, manifest) {
+    await writeJSON(manifestPath, manifest);
+}
+
+/**
+ * Reads and validates a transform manifest.
+ * @param {string} manifestPath - The path of the manifest.
+ * @returns {Promise<Object>} The manifest, with its absolute 'path'.
+ * @throws {FileError} If the manifest can't be read or parsed.
+ * @throws {SchemaError} If it isn't a manifest this version of dzwarp can undo.
+ */
+export async function readManifest(manifestPath) {
+    const absolutePath = path.resolve(process.cwd(), manifestPath);
+    const manifest = await readJSON(absolutePath);
+
+    if (!manifest || typeof manifest !== 'object' || !manifest.translation || !Array.isArray(manifest.files)) {
+        throw new SchemaError(`${absolutePath} is not a dzwarp manifest: it needs "translation" and a "files" array.`);
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new SchemaError(`Manifest ${absolutePath} has version ${manifest.version}, this version of dzwarp reads version ${MANIFEST_VERSION}.`);
+    }
+    const { x, y, z, rotation, pivot } = manifest.translation;
+    if (![x, y, z, rotation].every(value => typeof value === 'number') || (rotation && !(pivot && typeof pivot.x === 'number' && typeof pivot.z === 'number'))) {
+        throw new SchemaError(`Manifest ${absolutePath} does not hold a valid translation.`);
+    }
+
+    return { ...manifest, path: absolutePath };
+}
+
+/**
+ * Rebuilds the translation a manifest recorded, loading its heightmaps when terrain snapping was used.
+ * @param {Object} manifest - The manifest read by readManifest.
+ * @returns {Promise<Object>} The translation as applied by the warp.
+ * @throws {FileError} If a heightmap can't be read.
+ */
+async function toTranslation(manifest) {
+    const { x, y, z, rotation, pivot } = manifest.translation;
+    const translation = { newDeltaX: x, newDeltaY: y, newDeltaZ: z };
+    if (rotation) {
+        translation.rotation = rotation;
+        translation.pivot = pivot;
+    }
+
+    if (manifest.terrain) {
+        const manifestDir = path.dirname(manifest.path);
+        const { heightmap, heightmapSize, heightmapRange, sourceHeightmap, sourceHeightmapSize, sourceHeightmapRange, lift } = manifest.terrain;
+        const target = await readHeightmap(path.resolve(manifestDir, heightmap), heightmapSize, heightmapRange);
+        const source = sourceHeightmap
+            ? await readHeightmap(path.resolve(manifestDir, sourceHeightmap), sourceHeightmapSize || heightmapSize, sourceHeightmapRange || heightmapRange)
+            : target;
+        translation.terrain = { source, target, lift, misses: 0 };
+    }
+
+    return translation;
+}
+
+/**
+ * Builds the swaps that take names renamed by --swap-content back, by swapping each literal swap the other way
+ * in reverse order. Regular expression swaps can't be reversed and are left out.
+ * @param {Object} manifest - The manifest read by readManifest.
+ * @param {Object} logger - Receives a warning when swaps can't be reversed.
+ * @returns {Array} The reverse swaps, empty when the warp didn't rename content.
+ */
+function reverseContentSwaps(manifest, logger) {
+    if (!manifest.swapContent) {
+        return [];
+    }
+    const swaps = manifest.swaps || [];
+    if (swaps.some(swap => swap.regex)) {
+        logger.warn('Warning: Names renamed by regular expression swaps can\'t be restored and keep their new names.');
+    }
+    return swaps.filter(swap => !swap.regex).map(({ from, to }) => ({ from: to, to: from })).reverse();
+}
+
+/**
+ * Maps the outputs listed in a manifest, including any edits made to them since, back into the original
+ * frame and file names. Files that no longer exist are skipped. Object and event names renamed by literal
+ * swaps are renamed back.
+ * @param {Object} options - Options.
+ * @param {string} options.manifestPath - The manifest written next to the outputs.
+ * @param {string} [options.outputDir] - Where to write the restored files, mirroring the relation directory. (Default: 'unwarped' next to the manifest)
+ * @param {boolean} [options.dryRun] - Compute everything without writing files.
+ * @param {Object} [options.logger] - Receives progress messages and warnings. (Default: silent)
+ * @returns {Promise<Object>} The inverse 'translation', per-file summary 'files', the 'skipped' files and the 'outputDir'.
+ * @throws {DzwarpError} If the manifest or a heightmap can't be read, or the manifest is invalid.
+ */
+export async function undoWarp(options) {
+    const { manifestPath, dryRun = false } = options;
+    const logger = options.logger || silentLogger;
+    const manifest = await readManifest(manifestPath);
+    const manifestDir = path.dirname(manifest.path);
+    const outputDir = options.outputDir ? path.resolve(process.cwd(), options.outputDir) : path.join(manifestDir, 'unwarped');
+
+    const translation = invertTranslation(await toTranslation(manifest));
+    if (manifest.selection) {
+        logger.warn('Warning: The warp only kept the selected objects, so the restored files hold only those. Restore them next to the sources rather than over them.');
+    }
+    const unswaps = reverseContentSwaps(manifest, logger);
+    const files = [];
+    const skipped = [];
+    const writes = [];
+
+    for (const entry of manifest.files) {
+        const warpedPath = path.resolve(manifestDir, entry.output);
+        const restoredPath = path.join(outputDir, ...entry.restoreAs.split('/'));
+        translation.bounds = { before: null, after: null };
+
+        // Read the warped file as it is now, edits included
+        let data;
+        let details;
+        let type = 'json';
+        try {
+            if (path.extname(warpedPath).toLowerCase() === '.xml') {
+                type = 'xml';
+                data = await readXMLDocument(warpedPath);
+            } else {
+                data = await readJSON(warpedPath);
+            }
+        } catch (error) {
+            skipped.push({ file: entry.output, reason: error.cause ? error.cause.message : error.message });
+            continue;
+        }
+
+        // Move it back with the handler that warped it
+        if (type === 'xml') {
+            const format = XML_FORMATS.find(candidate => candidate.root in data);
+            if (!format) {
+                skipped.push({ file: entry.output, reason: 'not a recognised XML format' });
+                continue;
+            }
+            if (typeof data[format.root] !== 'object') data[format.root] = {};
+            details = format.warp(data, translation, {
+                events: entry.events || manifest.events,
+                keepEventAngles: manifest.keepEventAngles,
+                fileName: path.basename(warpedPath),
+                logger
+            });
+            if (unswaps.length > 0 && format.rename) {
+                format.rename(data, name => applySwaps(name, unswaps));
+            }
+        } else if (data && Array.isArray(data.Objects)) {
+            data.Objects = warpObjects(data.Objects, translation, logger);
+            swapNames(data.Objects, unswaps);
+            details = { objects: data.Objects.length };
+        } else {
+            const format = JSON_FORMATS.find(candidate => data && candidate.detect(data));
+            if (!format) {
+                skipped.push({ file: entry.output, reason: 'no longer an object set or a recognised schema' });
+                continue;
+            }
+            details = format.warp(data, translation, { logger });
+        }
+
+        writes.push({ outputPath: restoredPath, data, type });
+        files.push(createSummaryEntry(warpedPath, restoredPath, entry.kind, sumCounts(details || {}), null, translation));
+    }
+
+    if (skipped.length > 0) {
+        logger.warn(`Warning: ${skipped.length} file(s) listed in the manifest were skipped:`);
+        skipped.forEach(({ file, reason }) => logger.warn(`  ${file}: ${reason}`));
+    }
+    if (translation.terrain && translation.terrain.misses > 0) {
+        logger.warn(`Warning: ${translation.terrain.misses} position(s) fell outside the heightmaps and were shifted by the translation vector instead of snapped.`);
+    }
+
+    // Write the restored files
+    if (!dryRun) {
+        for (const { outputPath, data, type } of writes) {
+            await ensureOutputDirectory(path.dirname(outputPath));
+            if (type === 'xml') {
+                await writeXML(outputPath, data);
+            } else {
+                await writeJSON(outputPath, data);
+            }
+            logger.log(`Restored data written to ${outputPath}`);
+        }
+    }
+
+    return { translation, files, skipped, outputDir };
+}
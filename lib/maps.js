@@ -0,0 +1,96 @@
+import { OptionsError } from './errors.js';
+
+/**
+ * Built-in map profiles, keyed by the name accepted by --map. Maps are square and start at 0, 0.
+ */
+export const MAP_PROFILES = {
+    chernarus: { name: 'Chernarus', size: 15360, aliases: ['chernarusplus'] },
+    livonia: { name: 'Livonia', size: 12800, aliases: ['enoch'] },
+    sakhal: { name: 'Sakhal', size: 15360, aliases: [] }
+};
+
+/**
+ * Resolves the map to check warped positions against.
+ * @param {string|Object} [map] - A built-in profile name or alias, or a { name, size } profile.
+ * @param {number} [mapSize] - A custom map size in meters. Overrides the size of the profile.
+ * @returns {Object|null} The map as { name, size }, or null when neither is given.
+ * @throws {OptionsError} If the profile is unknown or the size isn't a positive number.
+ */
+export function resolveMapProfile(map, mapSize) {
+    if (!map && mapSize === undefined) {
+        return null;
+    }
+
+    let profile = { name: 'Custom map', size: mapSize };
+    if (typeof map === 'string') {
+        const key = map.toLowerCase();
+        const match = Object.entries(MAP_PROFILES).find(([name, candidate]) => name === key || candidate.aliases.includes(key));
+        if (!match) {
+            throw new OptionsError(`Unknown map "${map}". Built-in maps: ${Object.keys(MAP_PROFILES).join(', ')}. Use a map size for other maps.`);
+        }
+        profile = { name: match[1].name, size: match[1].size };
+    } else if (map) {
+        profile = { name: map.name || 'Custom map', size: map.size };
+    }
+
+    if (mapSize !== undefined) {
+        profile.size = mapSize;
+    }
+    if (typeof profile.size !== 'number' || !(profile.size > 0)) {
+        throw new OptionsError('The map size must be a positive number of meters.');
+    }
+
+    return profile;
+}
+
+/**
+ * Checks a warped position against the map in the translation's 'mapCheck' and records it if it is
+ * outside the map or below sea level. Positions without a height skip the sea level check.
+ * @param {Object} mapCheck - The check state: { map, file, violations }.
+ * @param {Array} before - The [x, y, z] position before the warp.
+ * @param {Array} after - The [x, y, z] position after the warp.
+ */
+export function checkMapPosition(mapCheck, before, after) {
+    const [x, y, z] = after;
+    const problems = [];
+
+    if (x < 0 || z < 0 || x > mapCheck.map.size || z > mapCheck.map.size) {
+        problems.push('outside map');
+    }
+    if (y < 0) {
+        problems.push('below sea level');
+    }
+
+    if (problems.length > 0) {
+        mapCheck.violations.push({ file: mapCheck.file, before, after, problems });
+    }
+}
+
+/**
+ * Formats map violations as lines grouped per file, listing the first few positions of each file.
+ * @param {Array} violations - The recorded violations.
+ * @param {number} [limit] - How many positions to list per file. (Default: 5)
+ * @returns {Array} The formatted lines.
+ */
+export function formatMapViolations(violations, limit = 5) {
+    const byFile = new Map();
+    for (const violation of violations) {
+        if (!byFile.has(violation.file)) byFile.set(violation.file, []);
+        byFile.get(violation.file).push(violation);
+    }
+
+    const format = values => `(${values.map(value => isNaN(value) ? '-' : value.toFixed(2)).join(', ')})`;
+    const lines = [];
+    for (const [file, fileViolations] of byFile) {
+        const outside = fileViolations.filter(violation => violation.problems.includes('outside map')).length;
+        const below = fileViolations.filter(violation => violation.problems.includes('below sea level')).length;
+        lines.push(`  ${file}: ${outside} outside the map, ${below} below sea level`);
+        fileViolations.slice(0, limit).forEach(violation => {
+            lines.push(`    ${format(violation.before)} -> ${format(violation.after)}: ${violation.problems.join(', ')}`);
+        });
+        if (fileViolations.length > limit) {
+            lines.push(`    ... and ${fileViolations.length - limit} more`);
+        }
+    }
+    return lines;
+}
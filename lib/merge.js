@@ -0,0 +1,176 @@
+import path from 'path';
+import { createSpatialIndex, querySpatialIndex } from './collisions.js';
+import { OptionsError } from './errors.js';
+import { ensureOutputDirectory, readJSON, writeJSON } from './io.js';
+import { getOutputPath } from './naming.js';
+import { createSummaryEntry } from './report.js';
+import { extendBoundingBox, normalizeYaw } from './transform.js';
+import { silentLogger } from './util.js';
+import { toSpawnFile, validateObjectSet } from './warp.js';
+
+/**
+ * Checks whether two objects are the same object: the same name, positions within the distance on every axis
+ * combined, and every ypr angle within the angle tolerance. A missing ypr counts as [0, 0, 0].
+ * @param {Object} a - The first object.
+ * @param {Object} b - The second object.
+ * @param {number} distance - The position tolerance in meters.
+ * @param {number} angle - The angle tolerance in degrees.
+ * @returns {boolean} True if the objects are duplicates.
+ */
+function isDuplicate(a, b, distance, angle) {
+    if (a.name !== b.name) {
+        return false;
+    }
+    if (Math.hypot(a.pos[0] - b.pos[0], a.pos[1] - b.pos[1], a.pos[2] - b.pos[2]) > distance) {
+        return false;
+    }
+    const yprA = Array.isArray(a.ypr) ? a.ypr : [];
+    const yprB = Array.isArray(b.ypr) ? b.ypr : [];
+    return [0, 1, 2].every(axis => Math.abs(normalizeYaw((yprA[axis] || 0) - (yprB[axis] || 0))) <= angle);
+}
+
+/**
+ * Finds the objects that repeat an earlier object of the merge. Objects without a valid pos array are never duplicates.
+ * @param {Array} entries - The objects in merge order, as { obj, file, index }.
+ * @param {number} distance - The position tolerance in meters.
+ * @param {number} angle - The angle tolerance in degrees.
+ * @returns {Array} The duplicates as { file, index, order, name, pos, duplicateOf: { file, index }, distance }, in merge order,
+ * where order is the duplicate's position in entries.
+ */
+export function findDuplicates(entries, distance, angle) {
+    const placed = entries
+        .map((entry, order) => ({ ...entry, order }))
+        .filter(({ obj }) => Array.isArray(obj.pos) && obj.pos.length >= 3 && obj.pos.every(value => typeof value === 'number'));
+    const index = createSpatialIndex(placed.map(entry => ({ x: entry.obj.pos[0], z: entry.obj.pos[2], radius: 0, entry })), Math.max(distance * 4, 5));
+    const dropped = new Set();
+    const duplicates = [];
+
+    for (const entry of placed) {
+        // Compare with the earlier objects that are kept, nearest first
+        const original = querySpatialIndex(index, entry.obj.pos[0], entry.obj.pos[2], distance)
+            .map(({ item }) => item.entry)
+            .find(candidate => candidate.order < entry.order && !dropped.has(candidate.order) && isDuplicate(entry.obj, candidate.obj, distance, angle));
+        if (!original) continue;
+
+        dropped.add(entry.order);
+        duplicates.push({
+            file: entry.file,
+            index: entry.index,
+            order: entry.order,
+            name: entry.obj.name,
+            pos: entry.obj.pos,
+            duplicateOf: { file: original.file, index: original.index },
+            distance: Math.hypot(...entry.obj.pos.slice(0, 3).map((value, axis) => value - original.obj.pos[axis]))
+        });
+    }
+    return duplicates;
+}
+
+/**
+ * Formats duplicates for printing, grouped by the file they were found in.
+ * @param {Array} duplicates - The duplicates returned by findDuplicates.
+ * @param {number} [limit] - The number of duplicates listed per file. (Default: 5)
+ * @returns {Array} The lines to print.
+ */
+export function formatDuplicates(duplicates, limit = 5) {
+    const byFile = new Map();
+    for (const duplicate of duplicates) {
+        if (!byFile.has(duplicate.file)) byFile.set(duplicate.file, []);
+        byFile.get(duplicate.file).push(duplicate);
+    }
+
+    const lines = [];
+    for (const [file, fileDuplicates] of byFile) {
+        lines.push(`  ${file}: ${fileDuplicates.length} object(s)`);
+        fileDuplicates.slice(0, limit).forEach(({ name, index, pos, duplicateOf, distance }) => {
+            lines.push(`    #${index + 1} ${name} at (${pos[0].toFixed(2)}, ${pos[2].toFixed(2)}): repeats #${duplicateOf.index + 1} of ${duplicateOf.file} (${distance.toFixed(3)} m)`);
+        });
+        if (fileDuplicates.length > limit) {
+            lines.push(`    ... and ${fileDuplicates.length - limit} more`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Merges several object sets into one spawner file, joining their objects in order.
+ * Duplicate objects, the same name with positions and ypr within the tolerances, are dropped or only reported.
+ * The merged file keeps the other keys of the first set and is named like a warped output of the first set,
+ * or of outputName.
+ * @param {Object} options - Merge options.
+ * @param {Array} options.inputSetPaths - Paths to the JSON sets, in merge order.
+ * @param {string} [options.outputName] - File name to derive the output name from. (Default: the first set's name)
+ * @param {number} [options.distance] - Position tolerance in meters for duplicates. (Default: 0.01)
+ * @param {number} [options.angle] - Angle tolerance in degrees for duplicates. (Default: 0.1)
+ * @param {boolean} [options.keepDuplicates] - Only report duplicates instead of dropping them.
+ * @param {string} [options.outputDir] - Output directory. (Default: the first set's directory)
+ * @param {Array} [options.swaps] - Keyword swaps { from, to, regex } for the output name, see parseSwap.
+ * @param {Date} [options.date] - Date stamped into the output name. (Default: now)
+ * @param {string} [options.nameTemplate] - Template for the output name, see getOutputPath.
+ * @param {boolean} [options.dryRun] - Compute everything without writing files.
+ * @param {Object} [options.logger] - Receives progress messages and warnings. (Default: silent)
+ * @returns {Promise<Object>} The summary 'files' of the merged file, its 'spawnFiles', the 'duplicates' and the 'outputDir'.
+ * @throws {DzwarpError} On invalid options, unreadable sets or sets without usable objects.
+ */
+export async function mergeSets(options) {
+    const { inputSetPaths, distance = 0.01, angle = 0.1, keepDuplicates = false, swaps = [], date, nameTemplate, dryRun = false } = options;
+    const logger = options.logger || silentLogger;
+
+    if (!Array.isArray(inputSetPaths) || inputSetPaths.length < 2) {
+        throw new OptionsError('At least two sets (inputSetPaths) are needed to merge.');
+    }
+    if (!(distance >= 0) || !(angle >= 0)) {
+        throw new OptionsError('The duplicate tolerances (distance, angle) must not be negative.');
+    }
+
+    // Determine output directory
+    const firstPath = path.resolve(process.cwd(), inputSetPaths[0]);
+    const outputDir = options.outputDir ? path.resolve(process.cwd(), options.outputDir) : path.dirname(firstPath);
+    const outputPath = getOutputPath(options.outputName || firstPath, outputDir, swaps, date, nameTemplate);
+
+    // Read every set, remembering where each object comes from. Sets are named by their path relative to the
+    // working directory, so sets with the same file name in different folders stay apart
+    const sets = [];
+    const entries = [];
+    for (const inputSetPath of inputSetPaths) {
+        const absolutePath = path.resolve(process.cwd(), inputSetPath);
+        const file = path.relative(process.cwd(), absolutePath).split(path.sep).join('/');
+        const data = await readJSON(absolutePath);
+        validateObjectSet(data, `Set ${file}`);
+        sets.push({ file, data });
+        data.Objects.forEach((obj, index) => entries.push({ obj, file, index }));
+    }
+
+    // Drop, or only report, the objects that repeat an earlier one
+    const duplicates = findDuplicates(entries, distance, angle);
+    if (duplicates.length > 0) {
+        logger.warn(`Warning: ${duplicates.length} duplicate object(s) within ${distance} m and ${angle}° ${keepDuplicates ? 'kept' : 'dropped'}:`);
+        formatDuplicates(duplicates).forEach(line => logger.warn(line));
+    }
+    const dropped = new Set(keepDuplicates ? [] : duplicates.map(({ order }) => order));
+    const kept = entries.filter((entry, order) => !dropped.has(order));
+
+    // Count the merged objects per set and record the bounding box
+    const details = {};
+    const bounds = { before: null, after: null };
+    for (const { obj, file } of kept) {
+        details[file] = (details[file] || 0) + 1;
+        if (Array.isArray(obj.pos) && obj.pos.length >= 3) {
+            bounds.before = extendBoundingBox(bounds.before, obj.pos[0], obj.pos[1], obj.pos[2]);
+        }
+    }
+    bounds.after = bounds.before;
+
+    const merged = { ...sets[0].data, Objects: kept.map(({ obj }) => obj) };
+    const spawnFiles = [toSpawnFile(outputDir, outputPath)];
+    const files = [createSummaryEntry(firstPath, outputPath, 'objects', merged.Objects.length, details, { bounds })];
+
+    // Write the merged set
+    if (!dryRun) {
+        await ensureOutputDirectory(outputDir);
+        await writeJSON(outputPath, merged);
+        logger.log(`Merged data written to ${outputPath}`);
+    }
+
+    return { files, spawnFiles, duplicates, outputDir };
+}
@@ -0,0 +1,170 @@
+import path from 'path';
+import { OptionsError } from './errors.js';
+
+/**
+ * Matches a date stamp in a file name: MMDD, or YYYYMMDD as written by name templates, that is a valid date
+ * and not part of a longer number. Years such as the '2024' of 'kb-base-2024' are not date stamps.
+ */
+const DATE_STAMP_PATTERN = /(?<!\d)(?:(?:19|20)\d{2})?(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])(?!\d)/;
+
+/**
+ * Placeholders accepted by name templates, besides {date:FORMAT}.
+ */
+const TEMPLATE_FIELDS = ['base', 'name', 'date'];
+
+/**
+ * Formats a date in MMDD format, e.g. '0303' for March 3rd.
+ * @param {Date} [date] - The date to format. Defaults to now.
+ * @returns {string} The MMDD date stamp.
+ */
+export function formatDateStamp(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are zero-based
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${month}${day}`;
+}
+
+/**
+ * Formats a date with the YYYY, YY, MM and DD tokens of a name template, e.g. 'YYYYMMDD'.
+ * @param {Date} date - The date to format.
+ * @param {string} format - The format.
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, format) {
+    const values = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0')
+    };
+    return format.replace(/YYYY|YY|MM|DD/g, token => values[token]);
+}
+
+/**
+ * Checks a name template such as '{base}-{date:YYYYMMDD}'.
+ * @param {string} template - The template.
+ * @returns {string} The template.
+ * @throws {OptionsError} If it uses an unknown placeholder or names a folder.
+ */
+export function checkNameTemplate(template) {
+    if (typeof template !== 'string' || template.trim() === '' || /[/\\]/.test(template)) {
+        throw new OptionsError(`Invalid name template "${template}". It names a file, without folders, e.g. '{base}-{date:YYYYMMDD}'.`);
+    }
+    for (const [, field] of template.matchAll(/\{([^}]*)\}/g)) {
+        if (!TEMPLATE_FIELDS.includes(field) && !/^date:[^{}]+$/.test(field)) {
+            throw new OptionsError(`Unknown placeholder {${field}} in name template "${template}". Use {base}, {name}, {date} or {date:FORMAT}.`);
+        }
+    }
+    return template;
+}
+
+/**
+ * Applies keyword swaps to a text, e.g. a file name or an object name.
+ * Literal swaps replace every occurrence of 'from'; regex swaps replace every match, with $1-style groups in 'to'.
+ * @param {string} text - The text.
+ * @param {Array} swaps - The swaps as { from, to, regex }.
+ * @returns {string} The text with every swap applied in order.
+ */
+export function applySwaps(text, swaps) {
+    return swaps.reduce((result, { from, to, regex }) => (regex ? result.replace(new RegExp(from, 'g'), to) : result.split(from).join(to)), text);
+}
+
+/**
+ * Applies keyword swaps to the 'name' of every entry that has one, e.g. the objects of a set.
+ * @param {Array} entries - The entries, renamed in place.
+ * @param {Array} swaps - The swaps as { from, to, regex }.
+ * @returns {number} The number of entries whose name changed.
+ */
+export function swapNames(entries, swaps) {
+    let renamed = 0;
+    for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string') continue;
+        const name = applySwaps(entry.name, swaps);
+        if (name !== entry.name) {
+            entry.name = name;
+            renamed++;
+        }
+    }
+    return renamed;
+}
+
+/**
+ * Generates the output file path by applying keyword swaps and replacing the date stamp with the current date,
+ * or by filling in a name template. Removes the '-warp' suffix if present.
+ * @param {string} inputPath - The original file path.
+ * @param {string} outputDir - The output directory where the warped file will be saved.
+ * @param {Array} swaps - An array of swap objects with 'from' and 'to' properties, and 'regex' for regex swaps.
+ * @param {Date} [date] - The date to stamp into the name. Defaults to now.
+ * @param {string} [template] - A name template: {name} is the swapped name, {base} the same without its date stamp,
+ * and {date} or {date:FORMAT} the date, e.g. '{base}-{date:YYYYMMDD}'. The extension is kept.
+ * @returns {string} The new file path with applied swaps and current date in the output directory.
+ */
+export function getOutputPath(inputPath, outputDir, swaps, date = new Date(), template) {
+    const dateStr = formatDateStamp(date);
+    const ext = path.extname(inputPath);
+    let base = path.basename(inputPath, ext);
+
+    // Remove '-warp' suffix if present
+    base = base.replace(/-warp$/, '');
+
+    // Apply keyword swaps
+    base = applySwaps(base, swaps);
+
+    // Fill in the name template
+    if (template) {
+        const fields = {
+            name: base,
+            base: base.replace(new RegExp(`[-_.]?${DATE_STAMP_PATTERN.source}`), '') || base,
+            date: dateStr
+        };
+        const name = checkNameTemplate(template).replace(/\{([^}]*)\}/g, (placeholder, field) => (field.startsWith('date:') ? formatDate(date, field.slice(5)) : fields[field]));
+        return path.join(outputDir, `${name}${ext}`);
+    }
+
+    // Replace the existing date stamp with the current date
+    if (DATE_STAMP_PATTERN.test(base)) {
+        base = base.replace(DATE_STAMP_PATTERN, dateStr);
+    } else {
+        // If no date stamp is found, append the current date
+        base += `-${dateStr}`;
+    }
+
+    return path.join(outputDir, `${base}${ext}`);
+}
+
+/**
+ * Builds the key used to match spawner entries that differ only by their date stamp,
+ * by blanking the date stamp of the filename the same way getOutputPath replaces it.
+ * @param {string} entry - The spawner entry, e.g. 'custom/kb-base-cherno-0303.json'.
+ * @returns {string} The entry with its date stamp blanked.
+ */
+export function dateStampKey(entry) {
+    const directory = path.posix.dirname(entry);
+    const filename = path.posix.basename(entry).replace(DATE_STAMP_PATTERN, '####');
+    return path.posix.join(directory, filename);
+}
+
+/**
+ * Parses a 'from/to' keyword swap as accepted by --swap and --swap-regex.
+ * @param {string} swap - The swap, e.g. 'cherno/neaf'.
+ * @param {boolean} [regex] - Whether 'from' is a regular expression rather than literal text.
+ * @returns {Object} The swap as { from, to, regex }.
+ * @throws {OptionsError} If the swap isn't in 'from/to' format, a keyword is empty or the regular expression is invalid.
+ */
+export function parseSwap(swap, regex = false) {
+    const swapParts = String(swap).split('/');
+    if (swapParts.length !== 2) {
+        throw new OptionsError(`Invalid swap format. Expected from/to, got "${swap}".`);
+    }
+    const [from, to] = swapParts;
+    if (!from || !to) {
+        throw new OptionsError(`Both 'from' and 'to' keywords must be specified for a swap. Received "${swap}".`);
+    }
+    if (regex) {
+        try {
+            new RegExp(from, 'g');
+        } catch (error) {
+            throw new OptionsError(`Invalid regular expression in swap "${swap}": ${error.message}`);
+        }
+    }
+    return { from, to, regex: Boolean(regex) };
+}
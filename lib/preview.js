@@ -0,0 +1,232 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FileError, SchemaError } from './errors.js';
+import { readJSON } from './io.js';
+
+/**
+ * Colours given to the files of a preview, in order, repeating after the last.
+ */
+const PREVIEW_COLOURS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+/**
+ * Size of the plot area in pixels; the legend is drawn to its right.
+ */
+const PLOT_SIZE = 1000;
+
+/**
+ * Escapes text for SVG element content and attributes.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Picks a grid spacing of 1, 2 or 5 times a power of ten giving about ten lines across the plot.
+ * @param {number} span - The plotted span in meters.
+ * @returns {number} The grid spacing in meters.
+ */
+function gridStep(span) {
+    const rough = span / 10;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    return [1, 2, 5, 10].map(factor => factor * power).find(step => step >= rough);
+}
+
+/**
+ * Reads the zones of a dzzones run to overlay on a preview: the 'json' or 'geojson' format.
+ * @param {string} zonesPath - The path of the dzzones output.
+ * @returns {Promise<Array>} The zones as { shape: 'circle', x, z, radius } or { shape: 'polygon', vertices: [[x, z]] }.
+ * @throws {FileError} If the file can't be read or parsed.
+ * @throws {SchemaError} If it isn't dzzones json or geojson output.
+ */
+export async function readPreviewZones(zonesPath) {
+    const absolutePath = path.resolve(process.cwd(), zonesPath);
+    const data = await readJSON(absolutePath);
+
+    let zones;
+    if (data && Array.isArray(data.zones)) {
+        // dzzones --format json
+        zones = data.zones.map(zone => (zone && zone.shape === 'polygon'
+            ? { shape: 'polygon', vertices: zone.vertices }
+            : { shape: 'circle', x: zone && zone.x, z: zone && zone.z, radius: zone && zone.radius }));
+    } else if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        // dzzones --format geojson: circles keep their centre and radius in the properties
+        zones = data.features.map(({ properties, geometry } = {}) => (properties && properties.shape === 'circle' && Array.isArray(properties.center)
+            ? { shape: 'circle', x: properties.center[0], z: properties.center[1], radius: properties.radius }
+            : { shape: 'polygon', vertices: geometry && Array.isArray(geometry.coordinates) && Array.isArray(geometry.coordinates[0]) ? geometry.coordinates[0].slice(0, -1) : null }));
+    } else {
+        throw new SchemaError(`${absolutePath} is not dzzones output. Write the zones with --format json or --format geojson.`);
+    }
+
+    const isPoint = point => Array.isArray(point) && point.length >= 2 && point.slice(0, 2).every(value => typeof value === 'number');
+    const invalid = zones.findIndex(zone => (zone.shape === 'circle'
+        ? ![zone.x, zone.z, zone.radius].every(value => typeof value === 'number')
+        : !(Array.isArray(zone.vertices) && zone.vertices.length >= 3 && zone.vertices.every(isPoint))));
+    if (invalid !== -1) {
+        throw new SchemaError(`Zone #${invalid + 1} of ${absolutePath} is neither a circle with a centre and radius nor a polygon.`);
+    }
+    return zones;
+}
+
+/**
+ * Draws a top-down X/Z plot of a warp as SVG: the positions of every file before (rings) and after (dots)
+ * the warp, colour-coded per file, an arrow from the centre of the original positions to the centre of the
+ * warped ones, and optionally the zones of a dzzones run. North (+Z) is up.
+ * @param {Object} options - Options.
+ * @param {Array} options.traces - The traces recorded by warpSet with 'trace': { file, positions: [[x, z, newX, newZ]] }.
+ * @param {Object} options.translation - The translation of the warp, for the arrow's label.
+ * @param {Object} [options.map] - The map as { name, size }. The plot covers the whole map. (Default: the positions, padded)
+ * @param {Array} [options.zones] - Zones to overlay, as returned by readPreviewZones.
+ * @param {string} [options.title] - The title drawn above the legend.
+ * @returns {string} The SVG document.
+ */
+export function renderPreview(options) {
+    const { traces, translation, map = null, zones = [], title = 'dzwarp preview' } = options;
+    const positions = traces.flatMap(trace => trace.positions);
+    const valid = value => typeof value === 'number' && Number.isFinite(value);
+
+    // The plotted square: the whole map, or every position and zone with some room around it
+    let minX = 0;
+    let minZ = 0;
+    let span = map ? map.size : 0;
+    if (!map) {
+        const xs = [];
+        const zs = [];
+        positions.forEach(([x, z, newX, newZ]) => {
+            xs.push(x, newX);
+            zs.push(z, newZ);
+        });
+        zones.forEach((zone) => {
+            if (zone.shape === 'circle') {
+                xs.push(zone.x - zone.radius, zone.x + zone.radius);
+                zs.push(zone.z - zone.radius, zone.z + zone.radius);
+            } else {
+                zone.vertices.forEach(([x, z]) => {
+                    xs.push(x);
+                    zs.push(z);
+                });
+            }
+        });
+        const range = (values) => {
+            const finite = values.filter(valid);
+            return finite.length > 0
+                ? finite.reduce(([low, high], value) => [Math.min(low, value), Math.max(high, value)], [Infinity, -Infinity])
+                : [0, 100];
+        };
+        const [lowX, highX] = range(xs);
+        const [lowZ, highZ] = range(zs);
+        span = Math.max(highX - lowX, highZ - lowZ, 10) * 1.1;
+        minX = (lowX + highX) / 2 - span / 2;
+        minZ = (lowZ + highZ) / 2 - span / 2;
+    }
+    const scale = PLOT_SIZE / span;
+    const toX = x => ((x - minX) * scale).toFixed(1);
+    const toY = z => ((minZ + span - z) * scale).toFixed(1);
+
+    const parts = [];
+    const legendX = PLOT_SIZE + 20;
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${PLOT_SIZE + 340}" height="${PLOT_SIZE}" viewBox="0 0 ${PLOT_SIZE + 340} ${PLOT_SIZE}" font-family="sans-serif" font-size="12">`);
+    parts.push('<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#000"/></marker></defs>');
+    parts.push(`<rect x="0" y="0" width="${PLOT_SIZE}" height="${PLOT_SIZE}" fill="#f4f1e8" stroke="#000"/>`);
+
+    // Grid lines labelled in meters
+    const step = gridStep(span);
+    const grid = [];
+    for (let x = Math.ceil(minX / step) * step; x <= minX + span; x += step) {
+        grid.push(`<line x1="${toX(x)}" y1="0" x2="${toX(x)}" y2="${PLOT_SIZE}"/>`);
+        grid.push(`<text x="${toX(x)}" y="${PLOT_SIZE - 4}" stroke="none" fill="#888" font-size="10">${Math.round(x)}</text>`);
+    }
+    for (let z = Math.ceil(minZ / step) * step; z <= minZ + span; z += step) {
+        grid.push(`<line x1="0" y1="${toY(z)}" x2="${PLOT_SIZE}" y2="${toY(z)}"/>`);
+        grid.push(`<text x="4" y="${toY(z)}" stroke="none" fill="#888" font-size="10">${Math.round(z)}</text>`);
+    }
+    parts.push(`<g stroke="#ddd" stroke-width="1">${grid.join('')}</g>`);
+
+    // Zones of a dzzones run
+    if (zones.length > 0) {
+        const shapes = zones.map(zone => (zone.shape === 'circle'
+            ? `<circle cx="${toX(zone.x)}" cy="${toY(zone.z)}" r="${Math.max(zone.radius * scale, 1).toFixed(1)}"/>`
+            : `<polygon points="${zone.vertices.map(([x, z]) => `${toX(x)},${toY(z)}`).join(' ')}"/>`));
+        parts.push(`<g fill="#000" fill-opacity="0.06" stroke="#333" stroke-dasharray="4 3">${shapes.join('')}</g>`);
+    }
+
+    // Every file's positions, rings before the warp and dots after
+    traces.forEach((trace, i) => {
+        const colour = PREVIEW_COLOURS[i % PREVIEW_COLOURS.length];
+        const before = [];
+        const after = [];
+        for (const [x, z, newX, newZ] of trace.positions) {
+            if (valid(x) && valid(z)) before.push(`<circle cx="${toX(x)}" cy="${toY(z)}" r="3"/>`);
+            if (valid(newX) && valid(newZ)) after.push(`<circle cx="${toX(newX)}" cy="${toY(newZ)}" r="2.5"/>`);
+        }
+        parts.push(`<g fill="none" stroke="${colour}" stroke-opacity="0.6">${before.join('')}</g>`);
+        parts.push(`<g fill="${colour}">${after.join('')}</g>`);
+    });
+
+    // The translation arrow, between the centres of the positions before and after
+    const centre = (xIndex, zIndex) => {
+        const points = positions.filter(position => valid(position[xIndex]) && valid(position[zIndex]));
+        return points.length > 0
+            ? [points.reduce((sum, position) => sum + position[xIndex], 0) / points.length, points.reduce((sum, position) => sum + position[zIndex], 0) / points.length]
+            : null;
+    };
+    const from = centre(0, 1);
+    const to = centre(2, 3);
+    if (from && to) {
+        parts.push(`<line x1="${toX(from[0])}" y1="${toY(from[1])}" x2="${toX(to[0])}" y2="${toY(to[1])}" stroke="#000" stroke-width="2" marker-end="url(#arrow)"/>`);
+    }
+
+    // Legend
+    let y = 30;
+    parts.push(`<text x="${legendX}" y="${y}" font-size="16" font-weight="bold">${escapeText(title)}</text>`);
+    y += 22;
+    if (map) {
+        parts.push(`<text x="${legendX}" y="${y}">${escapeText(map.name)} (${map.size} m)</text>`);
+        y += 18;
+    }
+    parts.push(`<text x="${legendX}" y="${y}">Move: x ${translation.newDeltaX.toFixed(2)}, y ${translation.newDeltaY.toFixed(2)}, z ${translation.newDeltaZ.toFixed(2)}</text>`);
+    y += 18;
+    if (translation.rotation) {
+        parts.push(`<text x="${legendX}" y="${y}">Rotation: ${translation.rotation.toFixed(2)}°</text>`);
+        y += 18;
+    }
+    parts.push(`<circle cx="${legendX + 5}" cy="${y - 4}" r="3" fill="none" stroke="#555"/><text x="${legendX + 14}" y="${y}">before</text>`);
+    parts.push(`<circle cx="${legendX + 70}" cy="${y - 4}" r="2.5" fill="#555"/><text x="${legendX + 79}" y="${y}">after</text>`);
+    if (zones.length > 0) {
+        parts.push(`<rect x="${legendX + 125}" y="${y - 9}" width="10" height="10" fill="#000" fill-opacity="0.06" stroke="#333" stroke-dasharray="2 2"/><text x="${legendX + 140}" y="${y}">zones (${zones.length})</text>`);
+    }
+    y += 24;
+    const listed = Math.floor((PLOT_SIZE - y - 18) / 18);
+    traces.slice(0, listed).forEach((trace, i) => {
+        const colour = PREVIEW_COLOURS[i % PREVIEW_COLOURS.length];
+        parts.push(`<rect x="${legendX}" y="${y - 10}" width="12" height="12" fill="${colour}"/><text x="${legendX + 18}" y="${y}">${escapeText(trace.file)} (${trace.positions.length})</text>`);
+        y += 18;
+    });
+    if (traces.length > listed) {
+        parts.push(`<text x="${legendX}" y="${y}">... and ${traces.length - listed} more file(s)</text>`);
+    }
+
+    parts.push('</svg>');
+    return `${parts.join('\n')}\n`;
+}
+
+/**
+ * Writes a preview, creating its directory if needed.
+ * @param {string} previewPath - The path of the SVG file.
+ * @param {string} svg - The SVG document built by renderPreview.
+ * @returns {Promise<string>} The absolute path of the written preview.
+ * @throws {FileError} If the preview can't be written.
+ */
+export async function writePreview(previewPath, svg) {
+    const absolutePreviewPath = path.resolve(process.cwd(), previewPath);
+
+    try {
+        await fs.mkdir(path.dirname(absolutePreviewPath), { recursive: true });
+        await fs.writeFile(absolutePreviewPath, svg, 'utf-8');
+    } catch (error) {
+        throw new FileError(`Cannot write preview at ${absolutePreviewPath}: ${error.message}`, absolutePreviewPath, error);
+    }
+
+    return absolutePreviewPath;
+}
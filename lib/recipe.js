@@ -0,0 +1,353 @@
+import path from 'path';
+import { DzwarpError, OptionsError, RecipeError } from './errors.js';
+import { readJSON } from './io.js';
+import { resolveMapProfile } from './maps.js';
+import { checkNameTemplate, parseSwap } from './naming.js';
+import { createSelection } from './selection.js';
+import { silentLogger } from './util.js';
+import { SUPPORTED_MODULES, warpSet } from './warp.js';
+
+/**
+ * Job keys that hold paths. They are resolved against the recipe's directory.
+ */
+const PATH_KEYS = ['source', 'relationDir', 'warpSet', 'outputDir', 'heightmap', 'sourceHeightmap', 'gazetteer'];
+
+/**
+ * Every key a recipe job (or the recipe's 'defaults') may contain.
+ */
+const JOB_KEYS = [
+    'name', ...PATH_KEYS, 'target', 'offsets', 'fit', 'fitYaw', 'fitTolerance', 'rotate', 'pivot', 'swaps',
+    'swapContent', 'nameTemplate', 'modules', 'events', 'keepEventAngles', 'heightmapSize', 'heightmapRange',
+    'sourceHeightmapSize', 'sourceHeightmapRange', 'snapHeight', 'map', 'mapSize', 'recursive', 'include', 'exclude',
+    'manifest', 'select'
+];
+
+/**
+ * Checks that a value is a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a finite number.
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Converts a recipe elevation range, [min, max] or { min, max }, into { min, max }.
+ * @param {Array|Object} range - The range from the recipe.
+ * @param {string} key - The job key, for error messages.
+ * @returns {Object} The range as { min, max }.
+ * @throws {OptionsError} If the range is malformed.
+ */
+function toRange(range, key) {
+    const [min, max] = Array.isArray(range) ? range : [range && range.min, range && range.max];
+    if (!isNumber(min) || !isNumber(max) || min >= max) {
+        throw new OptionsError(`"${key}" must be [min, max] with min below max.`);
+    }
+    return { min, max };
+}
+
+/**
+ * Converts a recipe pivot, 'reference', 'centroid', [x, z] or { x, z }, into a warpSet pivot.
+ * @param {string|Array|Object} pivot - The pivot from the recipe.
+ * @returns {string|Object} The pivot as accepted by warpSet.
+ * @throws {OptionsError} If the pivot is malformed.
+ */
+function toPivot(pivot) {
+    if (typeof pivot === 'string' && ['reference', 'centroid'].includes(pivot.toLowerCase())) {
+        return pivot.toLowerCase();
+    }
+    const [x, z] = Array.isArray(pivot) ? pivot : [pivot && pivot.x, pivot && pivot.z];
+    if (!isNumber(x) || !isNumber(z)) {
+        throw new OptionsError(`"pivot" must be 'reference', 'centroid', [x, z] or { "x": ..., "z": ... }, got ${JSON.stringify(pivot)}.`);
+    }
+    return { x, z };
+}
+
+/**
+ * Converts one recipe job, merged with the recipe defaults, into warpSet options.
+ * @param {Object} job - The job, with the defaults already applied.
+ * @param {string} baseDir - The directory that relative paths in the recipe are resolved against.
+ * @returns {Object} The warpSet options.
+ * @throws {OptionsError} If the job is missing keys or has invalid values.
+ */
+export function toJobOptions(job, baseDir) {
+    const unknownKeys = Object.keys(job).filter(key => !JOB_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new OptionsError(`Unknown key(s) "${unknownKeys.join('", "')}".`);
+    }
+
+    // Resolve paths against the recipe's directory
+    const paths = {};
+    for (const key of PATH_KEYS) {
+        if (job[key] === undefined) continue;
+        if (typeof job[key] !== 'string' || job[key] === '') {
+            throw new OptionsError(`"${key}" must be a path.`);
+        }
+        paths[key] = path.resolve(baseDir, job[key]);
+    }
+
+    if (!paths.source) {
+        throw new OptionsError('Missing "source", the input set to warp.');
+    }
+
+    // The target is either coordinates, a grid reference or named location with an optional height, or a warp set
+    const { target } = job;
+    const namedTarget = Boolean(target && (target.gridRef !== undefined || target.location !== undefined));
+    if (namedTarget) {
+        const { gridRef, location, y } = target;
+        if ((gridRef === undefined) === (location === undefined) || typeof (gridRef !== undefined ? gridRef : location) !== 'string'
+            || target.x !== undefined || target.z !== undefined || (y !== undefined && !isNumber(y))) {
+            throw new OptionsError('"target" must hold either a "gridRef" or a "location" string, with an optional numeric "y" height.');
+        }
+        if (location !== undefined && !paths.gazetteer) {
+            throw new OptionsError('A "location" target requires a "gazetteer" file.');
+        }
+        if (gridRef !== undefined && !job.map && job.mapSize === undefined) {
+            throw new OptionsError('A "gridRef" target requires the target "map" or "mapSize".');
+        }
+    } else if (target !== undefined && !(target && ['x', 'y', 'z'].every(axis => isNumber(target[axis])))) {
+        throw new OptionsError('"target" must be an object with numeric "x", "y" and "z", or a "gridRef" or "location".');
+    }
+    if (!target && !paths.warpSet) {
+        throw new OptionsError('Either "target" coordinates or a "warpSet" file must be provided.');
+    }
+    if ((job.fit || job.fitYaw) && !paths.warpSet) {
+        throw new OptionsError('"fit" and "fitYaw" require a "warpSet" file.');
+    }
+    if ((job.fit || job.fitYaw) && job.rotate) {
+        throw new OptionsError('"rotate" cannot be combined with "fit". Use "fitYaw" to solve the rotation from the warp set.');
+    }
+    if (job.pivot !== undefined && job.rotate === undefined) {
+        throw new OptionsError('"pivot" requires "rotate".');
+    }
+
+    const offsets = job.offsets || {};
+    for (const axis of Object.keys(offsets)) {
+        if (!['x', 'y', 'z'].includes(axis) || !isNumber(offsets[axis])) {
+            throw new OptionsError('"offsets" must be an object with numeric "x", "y" and/or "z".');
+        }
+    }
+
+    for (const key of ['fitTolerance', 'rotate', 'heightmapSize', 'sourceHeightmapSize', 'mapSize']) {
+        if (job[key] !== undefined && !isNumber(job[key])) {
+            throw new OptionsError(`"${key}" must be a number.`);
+        }
+    }
+    if (job.fitTolerance < 0) {
+        throw new OptionsError('"fitTolerance" must not be negative.');
+    }
+    if (job.snapHeight && !paths.heightmap) {
+        throw new OptionsError('"snapHeight" requires a "heightmap".');
+    }
+
+    // Modules, events and globs may be given as an array or a comma-separated string
+    const toList = value => (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+    const modules = job.modules !== undefined ? toList(job.modules).map(module => module.toLowerCase()) : ['json'];
+    const unknownModules = modules.filter(module => !SUPPORTED_MODULES.includes(module));
+    if (unknownModules.length > 0) {
+        throw new OptionsError(`Unknown module(s) "${unknownModules.join('", "')}". Supported modules: ${SUPPORTED_MODULES.join(', ')}.`);
+    }
+    const events = job.events !== undefined ? toList(job.events) : ['*'];
+    const include = job.include !== undefined ? toList(job.include) : [];
+    const exclude = job.exclude !== undefined ? toList(job.exclude) : [];
+
+    // Fail on an unknown map name now rather than when the job runs
+    resolveMapProfile(job.map, job.mapSize);
+
+    // The object selection takes { name, bbox, radius }, checked now rather than when the job runs
+    if (job.select !== undefined) {
+        const unknownCriteria = Object.keys(job.select || {}).filter(key => !['name', 'bbox', 'radius'].includes(key));
+        if (!job.select || typeof job.select !== 'object' || unknownCriteria.length > 0) {
+            throw new OptionsError('"select" must be an object with "name", "bbox" and/or "radius".');
+        }
+        createSelection(job.select);
+    }
+
+    // Swaps may be literal 'from/to' strings like --swap, or { from, to, regex } objects
+    const swaps = (job.swaps || []).map(swap => (typeof swap === 'string' ? parseSwap(swap) : parseSwap(`${swap.from}/${swap.to}`, swap.regex)));
+    if (job.nameTemplate !== undefined) {
+        checkNameTemplate(job.nameTemplate);
+    }
+
+    return {
+        inputSetPath: paths.source,
+        inputSetRelationDir: paths.relationDir,
+        recursive: job.recursive !== false,
+        include,
+        exclude,
+        target: target && !namedTarget ? { x: target.x, y: target.y, z: target.z } : undefined,
+        gridReference: namedTarget ? target.gridRef : undefined,
+        location: namedTarget ? target.location : undefined,
+        gazetteerPath: paths.gazetteer,
+        height: namedTarget ? target.y : undefined,
+        warpSetPath: paths.warpSet,
+        fit: Boolean(job.fit || job.fitYaw),
+        fitYaw: Boolean(job.fitYaw),
+        fitTolerance: job.fitTolerance !== undefined ? job.fitTolerance : 0.5,
+        offsets: {
+            offsetX: offsets.x || 0,
+            offsetY: offsets.y || 0,
+            offsetZ: offsets.z || 0
+        },
+        rotation: job.rotate,
+        pivot: job.pivot !== undefined ? toPivot(job.pivot) : undefined,
+        swaps,
+        swapContent: Boolean(job.swapContent),
+        nameTemplate: job.nameTemplate,
+        modules,
+        events,
+        keepEventAngles: Boolean(job.keepEventAngles),
+        snapHeight: Boolean(job.snapHeight),
+        heightmapPath: paths.heightmap,
+        heightmapSize: job.heightmapSize,
+        heightmapRange: job.heightmapRange !== undefined ? toRange(job.heightmapRange, 'heightmapRange') : undefined,
+        sourceHeightmapPath: paths.sourceHeightmap,
+        sourceHeightmapSize: job.sourceHeightmapSize,
+        sourceHeightmapRange: job.sourceHeightmapRange !== undefined ? toRange(job.sourceHeightmapRange, 'sourceHeightmapRange') : undefined,
+        map: job.map,
+        mapSize: job.mapSize,
+        outputDir: paths.outputDir,
+        manifest: job.manifest !== false,
+        selection: job.select
+    };
+}
+
+/**
+ * Builds the label used for a job in messages, e.g. '#2 "neaf-base"'.
+ * @param {Object} job - The job.
+ * @param {number} index - The zero-based index of the job.
+ * @returns {string} The job label.
+ */
+function jobLabel(job, index) {
+    return job && job.name ? `#${index + 1} "${job.name}"` : `#${index + 1}`;
+}
+
+/**
+ * Wraps an error thrown while validating or running a job so it names the job.
+ * @param {Error} error - The original error.
+ * @param {Object} job - The failing job.
+ * @param {number} index - The zero-based index of the failing job.
+ * @returns {RecipeError} The wrapped error.
+ */
+function toRecipeError(error, job, index) {
+    const name = job && job.name ? job.name : `job ${index + 1}`;
+    return new RecipeError(`Job ${jobLabel(job, index)}: ${error.message}`, index, name, error);
+}
+
+/**
+ * Runs the warp of a single validated job, wrapping library errors so they name the job.
+ * @param {Object} entry - The validated job: { job, options }.
+ * @param {number} index - The zero-based index of the job.
+ * @param {Object} overrides - Run options passed on to warpSet, e.g. dryRun, force, date and logger.
+ * @returns {Promise<Object>} The result of warpSet.
+ * @throws {RecipeError} If the job fails.
+ */
+async function runJob(entry, index, overrides) {
+    try {
+        return await warpSet({ ...entry.options, ...overrides });
+    } catch (error) {
+        if (error instanceof DzwarpError) {
+            throw toRecipeError(error, entry.job, index);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Records the output files of a job, so two jobs writing the same file stop the recipe instead of the later
+ * one silently replacing the earlier one.
+ * @param {Map} outputs - The output paths of the jobs before, mapped to their job labels. Updated in place.
+ * @param {Object} result - The warpSet result of the job.
+ * @param {Object} entry - The validated job: { label, job }.
+ * @param {number} index - The zero-based index of the job.
+ * @throws {RecipeError} If the job writes a file an earlier job also writes.
+ */
+function claimOutputs(outputs, result, entry, index) {
+    for (const file of result.files) {
+        if (outputs.has(file.output)) {
+            const error = new OptionsError(`Writes ${file.output}, which job ${outputs.get(file.output)} also writes. Add a "swaps" entry or a different "outputDir" to keep both.`);
+            throw toRecipeError(error, entry.job, index);
+        }
+        outputs.set(file.output, entry.label);
+    }
+}
+
+/**
+ * Reads a warp recipe file.
+ * @param {string} recipePath - The path to the recipe JSON file.
+ * @returns {Promise<Object>} The parsed recipe, with 'baseDir' set to the recipe's directory.
+ * @throws {FileError} If the recipe can't be read or parsed.
+ */
+export async function readRecipe(recipePath) {
+    const absoluteRecipePath = path.resolve(process.cwd(), recipePath);
+    const recipe = await readJSON(absoluteRecipePath);
+    return { ...recipe, baseDir: path.dirname(absoluteRecipePath) };
+}
+
+/**
+ * Runs every job of a warp recipe in one pass. All jobs are validated and warped without writing before
+ * anything is written, so a typo, an off-map target or two jobs writing the same file don't leave the first
+ * jobs half deployed.
+ * @param {Object} recipe - The recipe: 'jobs', optional 'defaults' merged into every job, and optional 'baseDir'.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.dryRun] - Compute every job without writing anything.
+ * @param {boolean} [options.force] - Write even if positions fall outside a job's map or below sea level.
+ * @param {Object} [options.collisionIndex] - Existing objects to check every job's object sets against.
+ * @param {number} [options.collisionDistance] - Clearance in meters reported as a collision.
+ * @param {Date} [options.date] - The date to stamp into output names.
+ * @param {Object} [options.logger] - Receives progress messages and warnings.
+ * @returns {Promise<Object>} The per-job results (the warpSet result with the job's 'name') and the combined 'spawnFiles'.
+ * @throws {OptionsError} If the recipe has no jobs.
+ * @throws {RecipeError} If a job is invalid or fails, or writes a file an earlier job also writes.
+ */
+export async function runRecipe(recipe, options = {}) {
+    const { dryRun = false, force = false, date = new Date(), collisionIndex, collisionDistance, logger = silentLogger } = options;
+
+    if (!recipe || !Array.isArray(recipe.jobs) || recipe.jobs.length === 0) {
+        throw new OptionsError('Recipe does not contain a non-empty "jobs" array.');
+    }
+    const baseDir = recipe.baseDir || process.cwd();
+    const defaults = recipe.defaults || {};
+
+    // Validate every job before running any of them
+    const jobs = recipe.jobs.map((job, index) => {
+        try {
+            if (!job || typeof job !== 'object' || Array.isArray(job)) {
+                throw new OptionsError('Job must be an object.');
+            }
+            const merged = { ...defaults, ...job };
+            return { label: jobLabel(job, index), name: job.name || `job ${index + 1}`, job, options: toJobOptions(merged, baseDir) };
+        } catch (error) {
+            throw toRecipeError(error, job, index);
+        }
+    });
+
+    // Warp every job without writing first, so a failing job or a clash of outputs stops the recipe before any file is written
+    if (!dryRun) {
+        const plannedOutputs = new Map();
+        for (const [index, entry] of jobs.entries()) {
+            claimOutputs(plannedOutputs, await runJob(entry, index, { dryRun: true, force, date }), entry, index);
+        }
+    }
+
+    const results = [];
+    const spawnFiles = [];
+    const outputs = new Map();
+
+    for (const [index, entry] of jobs.entries()) {
+        const { label, name } = entry;
+        logger.log(`Running job ${label}`);
+
+        const result = await runJob(entry, index, { dryRun, force, date, collisionIndex, collisionDistance, logger });
+
+        // A dry run has no first pass, so outputs clash here, still before anything is written
+        claimOutputs(outputs, result, entry, index);
+
+        result.spawnFiles.forEach(file => {
+            if (!spawnFiles.includes(file)) spawnFiles.push(file);
+        });
+        results.push({ name, ...result });
+    }
+
+    return { jobs: results, spawnFiles };
+}
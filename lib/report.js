@@ -0,0 +1,113 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FileError } from './errors.js';
+
+/**
+ * Creates a summary entry for a warped file, taking the bounding boxes recorded by transformPosition.
+ * @param {string} sourcePath - The path of the input file.
+ * @param {string} outputPath - The path of the warped file.
+ * @param {string} kind - The kind of file, e.g. 'objects' or 'events'.
+ * @param {number} count - The number of objects or positions moved.
+ * @param {Object|null} details - Optional counts per event, group or field.
+ * @param {Object} translation - The translation vector holding the recorded bounds.
+ * @returns {Object} The summary entry.
+ */
+export function createSummaryEntry(sourcePath, outputPath, kind, count, details, translation) {
+    const bounds = translation.bounds || { before: null, after: null };
+    delete translation.bounds;
+
+    return {
+        file: path.basename(outputPath),
+        source: path.resolve(process.cwd(), sourcePath),
+        output: outputPath,
+        kind,
+        count,
+        ...(details ? { details } : {}),
+        bboxBefore: bounds.before,
+        bboxAfter: bounds.after
+    };
+}
+
+/**
+ * Reduces a translation vector to the values worth reporting.
+ * @param {Object} translation - The translation vector.
+ * @returns {Object} The x, y and z deltas, rotation, pivot and whether terrain snapping was used.
+ */
+function summarizeTranslation(translation) {
+    return {
+        x: translation.newDeltaX,
+        y: translation.newDeltaY,
+        z: translation.newDeltaZ,
+        rotation: translation.rotation || 0,
+        pivot: translation.pivot || null,
+        snapHeight: Boolean(translation.terrain)
+    };
+}
+
+/**
+ * Builds the machine-readable run report.
+ * @param {Object} result - The result of warpSet: translation, files, spawnFiles, skipped, map, mapViolations, collisions and manifestPath.
+ * @param {boolean} dryRun - Whether nothing was written.
+ * @returns {Object} The report.
+ */
+export function buildReport(result, dryRun) {
+    const { translation, files, spawnFiles } = result;
+
+    return {
+        dryRun: Boolean(dryRun),
+        createdAt: new Date().toISOString(),
+        translation: summarizeTranslation(translation),
+        map: result.map || null,
+        mapViolations: result.mapViolations || [],
+        collisions: result.collisions || [],
+        files,
+        skipped: result.skipped || [],
+        manifest: result.manifestPath || null,
+        spawn_files: spawnFiles
+    };
+}
+
+/**
+ * Builds the machine-readable report of a recipe run, with the translation and files of every job.
+ * @param {Object} result - The result of runRecipe: jobs and the combined spawnFiles.
+ * @param {boolean} dryRun - Whether nothing was written.
+ * @returns {Object} The report.
+ */
+export function buildRecipeReport(result, dryRun) {
+    return {
+        dryRun: Boolean(dryRun),
+        createdAt: new Date().toISOString(),
+        jobs: result.jobs.map(job => ({
+            name: job.name,
+            translation: summarizeTranslation(job.translation),
+            map: job.map || null,
+            mapViolations: job.mapViolations || [],
+            collisions: job.collisions || [],
+            files: job.files,
+            skipped: job.skipped || [],
+            manifest: job.manifestPath || null,
+            spawn_files: job.spawnFiles
+        })),
+        spawn_files: result.spawnFiles
+    };
+}
+
+/**
+ * Writes the machine-readable run report, creating its directory if needed.
+ * @param {string} reportPath - The path of the report file.
+ * @param {Object} report - The report built by buildReport or buildRecipeReport.
+ * @returns {Promise<string>} The absolute path of the written report.
+ * @throws {FileError} If the report can't be written.
+ */
+export async function writeReport(reportPath, report) {
+    const absoluteReportPath = path.resolve(process.cwd(), reportPath);
+
+    try {
+        await fs.mkdir(path.dirname(absoluteReportPath), { recursive: true });
+        await fs.writeFile(absoluteReportPath, JSON.stringify(report, null, 4), 'utf-8');
+    } catch (error) {
+        throw new FileError(`Cannot write run report at ${absoluteReportPath}: ${error.message}`, absoluteReportPath, error);
+    }
+
+    return absoluteReportPath;
+}
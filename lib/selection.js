@@ -0,0 +1,92 @@
+import { OptionsError } from './errors.js';
+
+/**
+ * Checks that a value is a list of the given number of finite numbers.
+ * @param {*} value - The value to check.
+ * @param {number} length - The expected number of values.
+ * @returns {boolean} True if the value is such a list.
+ */
+function isNumberList(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+/**
+ * Compiles an object selection into a test for single objects. Every criterion given must match.
+ * Positions are taken before the warp, in the input set's frame.
+ * @param {Object} [selection] - The selection.
+ * @param {string|RegExp} [selection.name] - Regular expression the object's name must match.
+ * @param {Array} [selection.bbox] - Area the object must lie in, as [minX, minZ, maxX, maxZ].
+ * @param {Array} [selection.radius] - Circle the object must lie in, as [x, z, radius].
+ * @returns {Function|null} A function telling whether an object is selected, or null when nothing is filtered.
+ * @throws {OptionsError} If the regular expression is invalid or an area is malformed.
+ */
+export function createSelection(selection) {
+    if (!selection) {
+        return null;
+    }
+    const { name, bbox, radius } = selection;
+    const tests = [];
+
+    if (name !== undefined) {
+        let pattern = name;
+        if (!(pattern instanceof RegExp)) {
+            try {
+                pattern = new RegExp(name);
+            } catch (error) {
+                throw new OptionsError(`Invalid name pattern "${name}": ${error.message}`);
+            }
+        }
+        tests.push(obj => pattern.test(String(obj.name || '')));
+    }
+
+    if (bbox !== undefined) {
+        if (!isNumberList(bbox, 4) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+            throw new OptionsError(`The selection box must be [minX, minZ, maxX, maxZ] with the minimums first, got ${JSON.stringify(bbox)}.`);
+        }
+        const [minX, minZ, maxX, maxZ] = bbox;
+        tests.push(obj => obj.pos[0] >= minX && obj.pos[0] <= maxX && obj.pos[2] >= minZ && obj.pos[2] <= maxZ);
+    }
+
+    if (radius !== undefined) {
+        if (!isNumberList(radius, 3) || radius[2] <= 0) {
+            throw new OptionsError(`The selection radius must be [x, z, radius] with a positive radius, got ${JSON.stringify(radius)}.`);
+        }
+        const [x, z, r] = radius;
+        tests.push(obj => Math.hypot(obj.pos[0] - x, obj.pos[2] - z) <= r);
+    }
+
+    if (tests.length === 0) {
+        return null;
+    }
+
+    // Objects without a position can't be placed in an area, so they only pass a name-only selection
+    const needsPosition = bbox !== undefined || radius !== undefined;
+    return obj => (!needsPosition || (Array.isArray(obj.pos) && obj.pos.length >= 3)) && tests.every(test => test(obj));
+}
+
+/**
+ * Keeps the objects of a set that match a selection.
+ * @param {Array} objects - The objects.
+ * @param {Function|null} select - The test built by createSelection, or null to keep every object.
+ * @returns {Array} The selected objects.
+ */
+export function selectObjects(objects, select) {
+    return select ? objects.filter(select) : objects;
+}
+
+/**
+ * Describes a selection for messages and the transform manifest.
+ * @param {Object} [selection] - The selection as passed to createSelection.
+ * @returns {Object|null} The selection with the name pattern as a string, or null without criteria.
+ */
+export function describeSelection(selection) {
+    if (!selection || (selection.name === undefined && selection.bbox === undefined && selection.radius === undefined)) {
+        return null;
+    }
+    const { name } = selection;
+    return {
+        name: name === undefined ? null : String(name instanceof RegExp ? name.source : name),
+        bbox: selection.bbox || null,
+        radius: selection.radius || null
+    };
+}
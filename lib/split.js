@@ -0,0 +1,142 @@
+import path from 'path';
+import { OptionsError } from './errors.js';
+import { ensureOutputDirectory, readJSON, writeJSON } from './io.js';
+import { getOutputPath } from './naming.js';
+import { createSummaryEntry } from './report.js';
+import { createSelection, selectObjects } from './selection.js';
+import { extendBoundingBox } from './transform.js';
+import { silentLogger } from './util.js';
+import { toSpawnFile, validateObjectSet } from './warp.js';
+
+/**
+ * Ways a set can be split, keyed by the 'by' option. Each returns the part an object belongs to,
+ * as a label used in the file name and a sort key.
+ */
+const SPLITTERS = {
+    grid: (obj, options) => {
+        const cellX = Math.floor(obj.pos[0] / options.gridSize) * options.gridSize;
+        const cellZ = Math.floor(obj.pos[2] / options.gridSize) * options.gridSize;
+        return { label: `x${cellX}-z${cellZ}`, sortKey: [cellZ, cellX] };
+    },
+    class: obj => {
+        const label = String(obj.name || 'unnamed').replace(/[^A-Za-z0-9_.-]+/g, '_');
+        return { label, sortKey: [label.toLowerCase()] };
+    }
+};
+
+/**
+ * Compares two part sort keys, element by element.
+ * @param {Array} a - The first sort key.
+ * @param {Array} b - The second sort key.
+ * @returns {number} Negative, zero or positive as for Array.prototype.sort.
+ */
+function compareSortKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+/**
+ * Splits an object set into several spawner files, one per grid cell or per object class.
+ * Part files are named like the set after a warp (getOutputPath, with swaps and the date stamp), with the
+ * part's label appended, e.g. 'kb-base-cherno-1019-x12000-z4000.json'. Objects are not moved.
+ * @param {Object} options - Split options.
+ * @param {string} [options.inputSetPath] - Path to the JSON set. Names the output files.
+ * @param {Object} [options.inputSet] - The parsed set. Read from inputSetPath when omitted.
+ * @param {string} [options.outputName] - File name to derive the output names from when only a parsed inputSet is given.
+ * @param {string} options.by - 'grid' to split by area, 'class' to split by object name.
+ * @param {number} [options.gridSize] - The cell size in meters when splitting by grid.
+ * @param {Object} [options.selection] - Split only the objects matching { name, bbox, radius }, see createSelection.
+ * @param {string} [options.outputDir] - Output directory. (Default: the input set's directory)
+ * @param {Array} [options.swaps] - Keyword swaps { from, to, regex } for output names, see parseSwap.
+ * @param {Date} [options.date] - Date stamped into output names. (Default: now)
+ * @param {string} [options.nameTemplate] - Template for the name the part labels are appended to, see getOutputPath.
+ * @param {boolean} [options.dryRun] - Compute everything without writing files.
+ * @param {Object} [options.logger] - Receives progress messages and warnings. (Default: silent)
+ * @returns {Promise<Object>} The per-part summary 'files', 'spawnFiles' and the 'outputDir'.
+ * @throws {DzwarpError} On invalid options, an unreadable set or a set without usable objects.
+ */
+export async function splitSet(options) {
+    const { by, gridSize, swaps = [], date, nameTemplate, dryRun = false } = options;
+    const logger = options.logger || silentLogger;
+
+    if (!(by in SPLITTERS)) {
+        throw new OptionsError(`Unknown split "${by}". Split by: ${Object.keys(SPLITTERS).join(', ')}.`);
+    }
+    if (by === 'grid' && !(typeof gridSize === 'number' && gridSize > 0)) {
+        throw new OptionsError('Splitting by grid needs a positive cell size (gridSize).');
+    }
+    if (!options.inputSet && !options.inputSetPath) {
+        throw new OptionsError('An input set (inputSet or inputSetPath) must be provided.');
+    }
+    if (!options.inputSetPath && !options.outputName) {
+        throw new OptionsError('An inputSetPath or outputName is needed to name the output of a parsed input set.');
+    }
+    const select = createSelection(options.selection);
+
+    // Determine output directory
+    const outputDir = options.outputDir
+        ? path.resolve(process.cwd(), options.outputDir)
+        : (options.inputSetPath ? path.dirname(path.resolve(process.cwd(), options.inputSetPath)) : process.cwd());
+
+    const inputSet = options.inputSet || await readJSON(path.resolve(process.cwd(), options.inputSetPath));
+    validateObjectSet(inputSet, 'Input');
+
+    // Objects without a position can't be placed in a cell
+    let objects = inputSet.Objects;
+    if (by === 'grid') {
+        const placed = objects.filter(obj => Array.isArray(obj.pos) && obj.pos.length >= 3);
+        if (placed.length < objects.length) {
+            logger.warn(`Warning: ${objects.length - placed.length} object(s) without a valid pos array were left out.`);
+        }
+        objects = placed;
+    }
+    const selected = selectObjects(objects, select);
+    if (selected.length === 0) {
+        throw new OptionsError(select ? 'No object of the input set matches the selection.' : 'No object of the input set has a valid pos array.');
+    }
+
+    // Group the objects, keeping their order within each part
+    const parts = new Map();
+    for (const obj of selected) {
+        const { label, sortKey } = SPLITTERS[by](obj, options);
+        if (!parts.has(label)) parts.set(label, { label, sortKey, objects: [] });
+        parts.get(label).objects.push(obj);
+    }
+    const sortedParts = [...parts.values()].sort((a, b) => compareSortKeys(a.sortKey, b.sortKey));
+
+    // Name every part after the set's output name
+    const baseOutputPath = getOutputPath(options.inputSetPath || options.outputName, outputDir, swaps, date, nameTemplate);
+    const ext = path.extname(baseOutputPath);
+    const base = path.basename(baseOutputPath, ext);
+
+    const files = [];
+    const spawnFiles = [];
+    const writes = [];
+    for (const part of sortedParts) {
+        const outputPath = path.join(outputDir, `${base}-${part.label}${ext}`);
+        const bounds = { before: null, after: null };
+        for (const obj of part.objects) {
+            if (!Array.isArray(obj.pos) || obj.pos.length < 3) continue;
+            bounds.before = extendBoundingBox(bounds.before, obj.pos[0], obj.pos[1], obj.pos[2]);
+        }
+        bounds.after = bounds.before;
+
+        writes.push({ outputPath, data: { ...inputSet, Objects: part.objects } });
+        spawnFiles.push(toSpawnFile(outputDir, outputPath));
+        files.push(createSummaryEntry(options.inputSetPath || baseOutputPath, outputPath, 'objects', part.objects.length, null, { bounds }));
+    }
+
+    // Write the parts
+    if (!dryRun) {
+        await ensureOutputDirectory(outputDir);
+        for (const { outputPath, data } of writes) {
+            await writeJSON(outputPath, data);
+            logger.log(`Split data written to ${outputPath}`);
+        }
+    }
+
+    return { files, spawnFiles, outputDir };
+}
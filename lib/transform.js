@@ -0,0 +1,175 @@
+import { sampleHeightmap } from './heightmap.js';
+import { checkMapPosition } from './maps.js';
+import { silentLogger } from './util.js';
+
+/**
+ * Normalizes an angle in degrees to the range (-180, 180].
+ * @param {number} angle - The angle in degrees.
+ * @returns {number} The normalized angle.
+ */
+export function normalizeYaw(angle) {
+    let normalized = angle % 360;
+    if (normalized > 180) normalized -= 360;
+    if (normalized <= -180) normalized += 360;
+    return normalized;
+}
+
+/**
+ * Normalizes an angle in degrees to the range [0, 360).
+ * @param {number} angle - The angle in degrees.
+ * @returns {number} The normalized angle.
+ */
+export function normalizeHeading(angle) {
+    const normalized = angle % 360;
+    return normalized < 0 ? normalized + 360 : normalized;
+}
+
+/**
+ * Applies the translation vector, and the rotation around its pivot if any, to a single position.
+ * Rotation happens on the X/Z plane in the original frame, positive angles turning clockwise
+ * when viewed from above like DayZ yaw, before the translation is added. When the translation
+ * carries 'terrain' heightmaps, the height is re-seated on the target terrain instead of shifted.
+ * When it carries 'bounds', the position is added to the bounding boxes before and after the warp.
+ * When it carries 'mapCheck', positions outside the target map or below sea level are recorded, and when it carries
+ * 'trace', the position is recorded on the X/Z plane before and after for the preview.
+ * @param {Object} translation - The translation vector, with optional 'rotation', 'pivot', 'terrain', 'bounds', 'mapCheck' and 'trace'.
+ * @param {number} x - The X coordinate.
+ * @param {number} y - The Y coordinate (height).
+ * @param {number} z - The Z coordinate.
+ * @returns {Array} The transformed [x, y, z] position.
+ */
+export function transformPosition(translation, x, y, z) {
+    let newX = x;
+    let newZ = z;
+
+    if (translation.rotation) {
+        const radians = translation.rotation * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const dx = x - translation.pivot.x;
+        const dz = z - translation.pivot.z;
+        newX = translation.pivot.x + dx * cos + dz * sin;
+        newZ = translation.pivot.z - dx * sin + dz * cos;
+    }
+
+    newX += translation.newDeltaX;
+    newZ += translation.newDeltaZ;
+    let newY = y + translation.newDeltaY;
+
+    // Re-seat on the target terrain, keeping the original height above ground
+    if (translation.terrain && !isNaN(y)) {
+        const { source, target, lift } = translation.terrain;
+        const sourceGround = sampleHeightmap(source, x, z);
+        const targetGround = sampleHeightmap(target, newX, newZ);
+        if (sourceGround !== null && targetGround !== null) {
+            newY = targetGround + (y - sourceGround) + lift;
+        } else {
+            translation.terrain.misses++;
+        }
+    }
+
+    // Record the bounding boxes of the file being warped
+    if (translation.bounds) {
+        translation.bounds.before = extendBoundingBox(translation.bounds.before, x, y, z);
+        translation.bounds.after = extendBoundingBox(translation.bounds.after, newX, newY, newZ);
+    }
+
+    // Check the final position, offsets included, against the target map
+    if (translation.mapCheck) {
+        checkMapPosition(translation.mapCheck, [x, y, z], [newX, newY, newZ]);
+    }
+
+    // Record where the position was and where it ends up for the preview
+    if (translation.trace) {
+        translation.trace.positions.push([x, z, newX, newZ]);
+    }
+
+    return [newX, newY, newZ];
+}
+
+/**
+ * Extends a bounding box to include a position.
+ * @param {Object|null} box - The bounding box as { min: [x, y, z], max: [x, y, z] }, or null when empty.
+ * @param {number} x - The X coordinate.
+ * @param {number} y - The Y coordinate.
+ * @param {number} z - The Z coordinate.
+ * @returns {Object} The extended bounding box.
+ */
+export function extendBoundingBox(box, x, y, z) {
+    if (!box) {
+        return { min: [x, y, z], max: [x, y, z] };
+    }
+    // Positions without a height pass NaN for Y, which must not poison the box
+    [x, y, z].forEach((value, axis) => {
+        if (isNaN(value)) return;
+        box.min[axis] = isNaN(box.min[axis]) ? value : Math.min(box.min[axis], value);
+        box.max[axis] = isNaN(box.max[axis]) ? value : Math.max(box.max[axis], value);
+    });
+    return box;
+}
+
+/**
+ * Warps the positions of objects in the JSON data based on the translation vector.
+ * When the translation carries a rotation, each object's yaw (ypr[0]) is turned by the same angle.
+ * @param {Array} objects - The array of objects to warp.
+ * @param {Object} translation - The translation vector, with optional 'rotation' and 'pivot'.
+ * @param {Object} [logger] - Receives warnings about objects without a valid pos array.
+ * @returns {Array} The updated array of objects.
+ */
+export function warpObjects(objects, translation, logger = silentLogger) {
+    return objects.map((obj) => {
+        if (Array.isArray(obj.pos) && obj.pos.length >= 3) {
+            const [x, y, z] = transformPosition(translation, obj.pos[0], obj.pos[1], obj.pos[2]);
+            obj.pos[0] = x;
+            obj.pos[1] = y;
+            obj.pos[2] = z;
+
+            if (translation.rotation && Array.isArray(obj.ypr) && obj.ypr.length >= 1) {
+                obj.ypr[0] = normalizeYaw(obj.ypr[0] + translation.rotation);
+            }
+        } else {
+            logger.warn(`Warning: Object "${obj.name}" does not have a valid pos array.`);
+        }
+        return obj;
+    });
+}
+
+/**
+ * Warps an [x, y, z] position array in place.
+ * @param {Array} position - The position array.
+ * @param {Object} translation - The translation vector.
+ * @returns {boolean} Whether the array was a valid position and was warped.
+ */
+export function warpPositionArray(position, translation) {
+    if (!Array.isArray(position) || position.length < 3) {
+        return false;
+    }
+
+    const [x, y, z] = transformPosition(translation, position[0], position[1], position[2]);
+    position[0] = x;
+    position[1] = y;
+    position[2] = z;
+    return true;
+}
+
+/**
+ * Resolves the rotation pivot on the X/Z plane from the primary input set.
+ * @param {string|Object} pivot - 'reference', 'centroid' or an explicit { x, z } point.
+ * @param {Array} objects - The primary input set objects, before warping.
+ * @returns {Object} The pivot as { x, z }.
+ */
+export function resolvePivot(pivot, objects) {
+    if (pivot === 'centroid') {
+        const positioned = objects.filter(obj => Array.isArray(obj.pos) && obj.pos.length >= 3);
+        const sumX = positioned.reduce((sum, obj) => sum + obj.pos[0], 0);
+        const sumZ = positioned.reduce((sum, obj) => sum + obj.pos[2], 0);
+        return { x: sumX / positioned.length, z: sumZ / positioned.length };
+    }
+
+    if (pivot === 'reference') {
+        const referencePos = objects[0].pos;
+        return { x: referencePos[0], z: referencePos[2] };
+    }
+
+    return { x: pivot.x, z: pivot.z };
+}
@@ -0,0 +1,322 @@
+import { transformPosition, resolvePivot } from './transform.js';
+import { FitError, OptionsError, SchemaError } from './errors.js';
+import { silentLogger } from './util.js';
+
+/**
+ * Matches objects between two sets by name and order: the n-th object with a given name in
+ * the first set is paired with the n-th object with the same name in the second set.
+ * Objects without a valid pos array are ignored.
+ * @param {Array} sourceObjects - The objects of the input set.
+ * @param {Array} targetObjects - The objects of the warp set.
+ * @returns {Object} The matched 'pairs' and the number of 'unmatched' objects on either side.
+ */
+export function matchObjects(sourceObjects, targetObjects) {
+    const hasPos = obj => Array.isArray(obj.pos) && obj.pos.length >= 3;
+    const targetsByName = new Map();
+
+    for (const obj of targetObjects.filter(hasPos)) {
+        if (!targetsByName.has(obj.name)) {
+            targetsByName.set(obj.name, []);
+        }
+        targetsByName.get(obj.name).push(obj);
+    }
+
+    const pairs = [];
+    let unmatched = 0;
+
+    for (const source of sourceObjects.filter(hasPos)) {
+        const candidates = targetsByName.get(source.name);
+        if (candidates && candidates.length > 0) {
+            pairs.push({ source, target: candidates.shift() });
+        } else {
+            unmatched++;
+        }
+    }
+
+    for (const candidates of targetsByName.values()) {
+        unmatched += candidates.length;
+    }
+
+    return { pairs, unmatched };
+}
+
+/**
+ * Solves the least-squares rigid transform that maps the matched input set objects onto the warp set.
+ * The translation is always solved; the yaw around the vertical axis only when requested.
+ * The result uses the centroid of the matched input objects as the rotation pivot, so it can be fed
+ * straight into transformPosition once offsets have been applied.
+ * @param {Array} pairs - The matched { source, target } object pairs.
+ * @param {boolean} solveYaw - Whether to solve the rotation as well.
+ * @returns {Object} An object containing deltaX, deltaY, deltaZ, rotation and pivot.
+ */
+export function solveBestFit(pairs, solveYaw) {
+    const count = pairs.length;
+    const mean = (select) => pairs.reduce((sum, pair) => sum + select(pair), 0) / count;
+
+    const sourceCentroid = {
+        x: mean(pair => pair.source.pos[0]),
+        y: mean(pair => pair.source.pos[1]),
+        z: mean(pair => pair.source.pos[2])
+    };
+    const targetCentroid = {
+        x: mean(pair => pair.target.pos[0]),
+        y: mean(pair => pair.target.pos[1]),
+        z: mean(pair => pair.target.pos[2])
+    };
+
+    let rotation = 0;
+    if (solveYaw) {
+        // Closed-form 2D Procrustes on the X/Z plane, clockwise positive to match transformPosition
+        let sumCos = 0;
+        let sumSin = 0;
+        for (const { source, target } of pairs) {
+            const ax = source.pos[0] - sourceCentroid.x;
+            const az = source.pos[2] - sourceCentroid.z;
+            const bx = target.pos[0] - targetCentroid.x;
+            const bz = target.pos[2] - targetCentroid.z;
+            sumCos += ax * bx + az * bz;
+            sumSin += bx * az - bz * ax;
+        }
+        rotation = Math.atan2(sumSin, sumCos) * 180 / Math.PI;
+    }
+
+    return {
+        deltaX: targetCentroid.x - sourceCentroid.x,
+        deltaY: targetCentroid.y - sourceCentroid.y,
+        deltaZ: targetCentroid.z - sourceCentroid.z,
+        rotation,
+        pivot: { x: sourceCentroid.x, z: sourceCentroid.z }
+    };
+}
+
+/**
+ * Calculates the best-fit transform between the primary set and the warp set and the
+ * per-object residual error, and throws if any residual exceeds the tolerance.
+ * @param {Object} primaryData - The primary input set JSON object.
+ * @param {Object} warpSetData - The warp set JSON object.
+ * @param {Object} options - Fit options.
+ * @param {boolean} [options.fitYaw] - Whether to solve the yaw as well.
+ * @param {number} [options.fitTolerance] - Maximum residual error in meters. (Default: 0.5)
+ * @param {Object} [options.logger] - Receives the residual report.
+ * @returns {Object} An object containing deltaX, deltaY, deltaZ, rotation, pivot and the per-object residuals.
+ * @throws {SchemaError} If too few objects can be matched.
+ * @throws {FitError} If a residual exceeds the tolerance.
+ */
+export function calculateBestFitTransform(primaryData, warpSetData, options = {}) {
+    const { fitYaw = false, fitTolerance = 0.5, logger = silentLogger } = options;
+    const { pairs, unmatched } = matchObjects(primaryData.Objects, warpSetData.Objects);
+    const minimumPairs = fitYaw ? 2 : 1;
+
+    if (pairs.length < minimumPairs) {
+        throw new SchemaError(`Best fit needs at least ${minimumPairs} object(s) matched by name between the input set and the warp set, found ${pairs.length}.`);
+    }
+
+    if (unmatched > 0) {
+        logger.warn(`Warning: ${unmatched} object(s) could not be matched by name between the input set and the warp set and were left out of the fit.`);
+    }
+
+    const fit = solveBestFit(pairs, fitYaw);
+    const translation = {
+        newDeltaX: fit.deltaX,
+        newDeltaY: fit.deltaY,
+        newDeltaZ: fit.deltaZ,
+        rotation: fit.rotation,
+        pivot: fit.pivot
+    };
+
+    logger.log(`Best fit over ${pairs.length} matched object(s):`);
+    const residuals = pairs.map(({ source, target }, index) => {
+        const [x, y, z] = transformPosition(translation, source.pos[0], source.pos[1], source.pos[2]);
+        const residual = Math.hypot(x - target.pos[0], y - target.pos[1], z - target.pos[2]);
+        logger.log(`  #${index} ${source.name}: residual ${residual.toFixed(4)}`);
+        return { name: source.name, residual };
+    });
+    const maxResidual = Math.max(...residuals.map(entry => entry.residual));
+
+    logger.log('Calculated Translation Vector based on best fit:');
+    logger.log(`  X: ${fit.deltaX}`);
+    logger.log(`  Y: ${fit.deltaY}`);
+    logger.log(`  Z: ${fit.deltaZ}`);
+    if (fitYaw) {
+        logger.log(`  Yaw: ${fit.rotation} degrees around pivot (${fit.pivot.x}, ${fit.pivot.z})`);
+    }
+
+    if (maxResidual > fitTolerance) {
+        throw new FitError(`Maximum residual ${maxResidual.toFixed(4)} exceeds the fit tolerance of ${fitTolerance}. Check that the warp set matches the input set.`, residuals);
+    }
+
+    return { ...fit, residuals };
+}
+
+/**
+ * Checks that a position array holds at least three coordinates.
+ * @param {*} pos - The position to check.
+ * @returns {boolean} Whether the position is valid.
+ */
+function isValidPos(pos) {
+    return Array.isArray(pos) && pos.length >= 3;
+}
+
+/**
+ * Calculates the translation vector based on warp coordinates or a warp set.
+ * The warp set takes precedence when both are given.
+ * @param {Object} primaryData - The primary input set JSON object.
+ * @param {Object} options - Target options.
+ * @param {Object} [options.target] - Warp coordinates { x, y, z } for the reference object.
+ * @param {Object} [options.warpSet] - The warp set JSON object.
+ * @param {boolean} [options.fit] - Solve a best fit over all matched objects of the warp set.
+ * @param {boolean} [options.fitYaw] - Also solve the yaw of the best fit.
+ * @param {number} [options.fitTolerance] - Maximum residual error of the best fit.
+ * @param {Object} [options.logger] - Receives progress messages.
+ * @returns {Object} An object containing deltaX, deltaY, and deltaZ, plus rotation and pivot for a best fit.
+ * @throws {SchemaError} If the sets don't have usable reference objects.
+ * @throws {OptionsError} If neither a target nor a warp set is given.
+ */
+export function calculateTranslationVector(primaryData, options = {}) {
+    const { target, warpSet, fit = false, logger = silentLogger } = options;
+    let deltaX = 0;
+    let deltaY = 0;
+    let deltaZ = 0;
+
+    const primaryReferenceObject = primaryData.Objects[0];
+    if (!isValidPos(primaryReferenceObject.pos)) {
+        throw new SchemaError(`Reference object "${primaryReferenceObject.name}" in primary set does not have a valid pos array.`);
+    }
+    const primaryReferencePos = primaryReferenceObject.pos;
+
+    if (warpSet) {
+        // Warp using a warped set file
+        if (!Array.isArray(warpSet.Objects)) {
+            throw new SchemaError('Warp set JSON does not contain an "Objects" array.');
+        }
+
+        if (warpSet.Objects.length === 0) {
+            throw new SchemaError('Warp set "Objects" array is empty.');
+        }
+
+        if (fit) {
+            return calculateBestFitTransform(primaryData, warpSet, options);
+        }
+
+        const warpReferenceObject = warpSet.Objects[0];
+        if (!isValidPos(warpReferenceObject.pos)) {
+            throw new SchemaError(`Reference object "${warpReferenceObject.name}" in warp set does not have a valid pos array.`);
+        }
+
+        const warpReferencePos = warpReferenceObject.pos;
+
+        deltaX = warpReferencePos[0] - primaryReferencePos[0];
+        deltaY = warpReferencePos[1] - primaryReferencePos[1];
+        deltaZ = warpReferencePos[2] - primaryReferencePos[2];
+
+        logger.log('Calculated Translation Vector based on warp set:');
+    } else if (target) {
+        // Warp using provided coordinates
+        deltaX = target.x - primaryReferencePos[0];
+        deltaY = target.y - primaryReferencePos[1];
+        deltaZ = target.z - primaryReferencePos[2];
+
+        logger.log('Calculated Translation Vector based on provided coordinates:');
+    } else {
+        throw new OptionsError('Either warp coordinates (target) or a warp set must be provided.');
+    }
+
+    logger.log(`  X: ${deltaX}`);
+    logger.log(`  Y: ${deltaY}`);
+    logger.log(`  Z: ${deltaZ}`);
+
+    return { deltaX, deltaY, deltaZ };
+}
+
+/**
+ * Applies additional offsets to the translation vector.
+ * @param {Object} delta - The original translation vector.
+ * @param {Object} offsets - The additional offsets.
+ * @param {Object} [logger] - Receives the final translation vector.
+ * @returns {Object} The updated translation vector with offsets applied.
+ */
+export function applyOffsets(delta, offsets, logger = silentLogger) {
+    const { deltaX, deltaY, deltaZ } = delta;
+    const { offsetX = 0, offsetY = 0, offsetZ = 0 } = offsets;
+
+    const newDeltaX = deltaX + offsetX;
+    const newDeltaY = deltaY + offsetY;
+    const newDeltaZ = deltaZ + offsetZ;
+
+    logger.log('Final Translation Vector after applying offsets:');
+    logger.log(`  X: ${newDeltaX}`);
+    logger.log(`  Y: ${newDeltaY}`);
+    logger.log(`  Z: ${newDeltaZ}`);
+
+    return { newDeltaX, newDeltaY, newDeltaZ };
+}
+
+/**
+ * Computes the final translation applied to every warped position: the translation vector from
+ * warp coordinates, a warp set or a best fit, the additional offsets, and the rotation around a pivot.
+ * @param {Object} primaryData - The primary input set JSON object, before warping.
+ * @param {Object} options - Translation options, see calculateTranslationVector.
+ * @param {Object} [options.offsets] - Additional offsets { offsetX, offsetY, offsetZ }.
+ * @param {number} [options.rotation] - Rotation in degrees, clockwise viewed from above.
+ * @param {string|Object} [options.pivot] - 'reference', 'centroid' or an explicit { x, z } point. (Default: 'reference')
+ * @returns {Object} The translation { newDeltaX, newDeltaY, newDeltaZ }, with 'rotation' and 'pivot' when rotating,
+ * and the 'vector' from calculateTranslationVector before offsets.
+ * @throws {OptionsError} If a rotation is combined with a best fit.
+ */
+export function computeTranslation(primaryData, options = {}) {
+    const { offsets = {}, rotation: requestedRotation, pivot: requestedPivot = 'reference', logger = silentLogger } = options;
+
+    if (options.fit && requestedRotation) {
+        throw new OptionsError('A rotation cannot be combined with a best fit. Use fitYaw to solve the rotation from the warp set.');
+    }
+
+    // Calculate translation vector
+    const { deltaX, deltaY, deltaZ, rotation, pivot } = calculateTranslationVector(primaryData, options);
+
+    // Apply additional offsets if provided
+    const translation = applyOffsets({ deltaX, deltaY, deltaZ }, offsets, logger);
+    translation.vector = { deltaX, deltaY, deltaZ };
+
+    // Keep the rotation solved by a best fit, or rotate around the pivot if requested
+    if (rotation) {
+        translation.rotation = rotation;
+        translation.pivot = pivot;
+    } else if (requestedRotation) {
+        translation.rotation = requestedRotation;
+        translation.pivot = resolvePivot(requestedPivot, primaryData.Objects);
+
+        logger.log(`Rotation: ${translation.rotation} degrees around pivot (${translation.pivot.x}, ${translation.pivot.z})`);
+    }
+
+    return translation;
+}
+
+/**
+ * Inverts a translation, so that transformPosition maps warped positions back into the original frame.
+ * The warp rotates around the pivot and then translates; the inverse rotates back around the translated
+ * pivot and then subtracts the translation. Terrain snapping is inverted by swapping the heightmaps.
+ * @param {Object} translation - The translation { newDeltaX, newDeltaY, newDeltaZ }, with optional 'rotation', 'pivot' and 'terrain'.
+ * @returns {Object} The inverse translation.
+ */
+export function invertTranslation(translation) {
+    const inverse = {
+        newDeltaX: -translation.newDeltaX,
+        newDeltaY: -translation.newDeltaY,
+        newDeltaZ: -translation.newDeltaZ
+    };
+
+    if (translation.rotation) {
+        inverse.rotation = -translation.rotation;
+        inverse.pivot = {
+            x: translation.pivot.x + translation.newDeltaX,
+            z: translation.pivot.z + translation.newDeltaZ
+        };
+    }
+
+    if (translation.terrain) {
+        const { source, target, lift } = translation.terrain;
+        inverse.terrain = { source: target, target: source, lift: -lift, misses: 0 };
+    }
+
+    return inverse;
+}
@@ -0,0 +1,102 @@
+/**
+ * Logger used when the caller doesn't pass one: the library stays quiet unless asked.
+ */
+export const silentLogger = {
+    log() {},
+    warn() {}
+};
+
+/**
+ * Wraps a parsed xml2js child into an array, since single children are not wrapped with explicitArray off.
+ * @param {*} value - The parsed child element(s).
+ * @returns {Array} The child elements as an array.
+ */
+export function asArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Converts a glob pattern into a regular expression. Supports '*' (any run of characters except '/'),
+ * '?' (one character except '/') and '**' (any run of characters, '/' included; '**\/' also matches no directory).
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} The anchored regular expression.
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks a relative path against glob patterns. Patterns without a '/' are matched against the file name
+ * at any depth, others against the whole path.
+ * @param {string} relativePath - The path, with '/' separators.
+ * @param {Array} patterns - The glob patterns.
+ * @returns {boolean} True if any pattern matches.
+ */
+export function matchesAnyGlob(relativePath, patterns) {
+    const fileName = relativePath.split('/').pop();
+    return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relativePath : fileName));
+}
+
+/**
+ * Sums the per-name counts returned by the format handlers.
+ * @param {Object} details - Counts keyed by event, group or field name.
+ * @returns {number} The total count.
+ */
+export function sumCounts(details) {
+    return Object.values(details).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Formats a number in the style of the original value it replaces. An unchanged value keeps its original text;
+ * a changed one gets the original's decimals, and only more when the new value needs them to be written exactly,
+ * up to six, so rewriting a file doesn't round anything off.
+ * @param {string} original - The original value, e.g. '7665.50'.
+ * @param {number} value - The new value.
+ * @returns {string} The formatted value, e.g. '1007.8357'.
+ */
+export function formatNumberLike(original, value) {
+    if (Math.abs(value - parseFloat(original)) < 1e-9) {
+        return String(original);
+    }
+    const match = /\.(\d+)/.exec(String(original));
+    const originalDecimals = match ? match[1].length : 0;
+    let decimals = originalDecimals;
+    while (decimals < Math.max(originalDecimals, 6) && Math.abs(parseFloat(value.toFixed(decimals)) - value) >= 1e-9) {
+        decimals++;
+    }
+    const formatted = value.toFixed(decimals);
+    // Don't turn a value that rounds to zero into '-0'
+    return /^-0(\.0+)?$/.test(formatted) ? formatted.slice(1) : formatted;
+}
+
+/**
+ * Replaces the numbers of a whitespace-separated attribute such as '7660.12 20.14 2390.55' in order,
+ * each in the style of the number it replaces (see formatNumberLike), keeping the original separators.
+ * @param {string} original - The original attribute value.
+ * @param {Array} values - The new values.
+ * @returns {string} The updated attribute value.
+ */
+export function formatNumbersLike(original, values) {
+    let index = 0;
+    return original.replace(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g, token => (index < values.length ? formatNumberLike(token, values[index++]) : token));
+}
@@ -0,0 +1,579 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { findCollisions, formatCollisions } from './collisions.js';
+import { FileError, MapBoundsError, OptionsError, SchemaError } from './errors.js';
+import { readHeightmap } from './heightmap.js';
+import { ensureOutputDirectory, readJSON, readXMLDocument, writeJSON, writeXML } from './io.js';
+import { JSON_FORMATS } from './json-formats.js';
+import { resolveWarpTarget } from './locations.js';
+import { MANIFEST_SUFFIX, buildManifest, getManifestPath, writeManifest } from './manifest.js';
+import { formatMapViolations, resolveMapProfile } from './maps.js';
+import { applySwaps, getOutputPath, swapNames } from './naming.js';
+import { createSummaryEntry } from './report.js';
+import { createSelection, selectObjects } from './selection.js';
+import { warpObjects } from './transform.js';
+import { computeTranslation } from './translation.js';
+import { matchesAnyGlob, silentLogger, sumCounts } from './util.js';
+import { XML_FORMATS } from './xml-formats.js';
+
+/**
+ * Module types accepted by the 'modules' option. 'json' only warps JSON object sets; the others also warp
+ * the matching XML files in the relation directory.
+ */
+export const SUPPORTED_MODULES = ['json', ...XML_FORMATS.map(format => format.module)];
+
+/**
+ * Checks that parsed JSON is an object set with at least one object.
+ * @param {Object} data - The parsed JSON data.
+ * @param {string} label - How to refer to the set in error messages.
+ * @throws {SchemaError} If the data has no "Objects" array or it is empty.
+ */
+export function validateObjectSet(data, label) {
+    if (!data || !Array.isArray(data.Objects)) {
+        throw new SchemaError(`${label} JSON does not contain an "Objects" array.`);
+    }
+
+    // Identify the reference object (first object)
+    if (data.Objects.length === 0) {
+        throw new SchemaError(`${label} "Objects" array is empty.`);
+    }
+}
+
+/**
+ * Loads the heightmaps for terrain snapping into the translation.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} options - The warpSet options holding the heightmap paths, sizes and ranges.
+ * @param {Object} [loadedTarget] - The target heightmap, when it was already read to resolve the warp target.
+ */
+async function attachTerrain(translation, options, loadedTarget = null) {
+    const { heightmapPath, heightmapSize, heightmapRange, sourceHeightmapPath, sourceHeightmapSize, sourceHeightmapRange, offsets = {} } = options;
+
+    if (!heightmapPath) {
+        throw new OptionsError('Terrain snapping requires a heightmap (heightmapPath).');
+    }
+
+    const target = loadedTarget || await readHeightmap(path.resolve(process.cwd(), heightmapPath), heightmapSize, heightmapRange);
+    const source = sourceHeightmapPath
+        ? await readHeightmap(
+            path.resolve(process.cwd(), sourceHeightmapPath),
+            sourceHeightmapSize || heightmapSize,
+            sourceHeightmapRange || heightmapRange
+        )
+        : target;
+
+    translation.terrain = { source, target, lift: offsets.offsetY || 0, misses: 0 };
+}
+
+/**
+ * Builds the 'custom/...' spawn file entry of an output, keeping its subfolder below the output directory.
+ * @param {string} outputDir - The output directory.
+ * @param {string} outputPath - The path of the warped file.
+ * @returns {string} The spawn file entry.
+ */
+export function toSpawnFile(outputDir, outputPath) {
+    return `custom/${path.relative(outputDir, outputPath).split(path.sep).join('/')}`;
+}
+
+/**
+ * Starts recording the bounding boxes, map violations and, for the preview, the positions of the next file.
+ * @param {Object} context - The run context: translation and, when positions are traced, traces.
+ * @param {string} file - How to refer to the file, its path below the relation directory or its name.
+ */
+function beginFile(context, file) {
+    const { translation, traces } = context;
+    translation.bounds = { before: null, after: null };
+    if (translation.mapCheck) translation.mapCheck.file = file;
+    if (traces) {
+        translation.trace = { file, positions: [] };
+        traces.push(translation.trace);
+    }
+}
+
+/**
+ * Processes a single XML file based on the module type.
+ * The format is recognised by the root element and warped only if its module is enabled.
+ * @param {Object} context - The run context: options, translation, select, outputDir, spawnFiles, files, writes, skipped and logger.
+ * @param {Object} xmlData - The parsed XML data.
+ * @param {string} filePath - The path to the XML file.
+ * @param {string} [relativePath] - The path below the relation directory, mirrored into the output directory.
+ */
+async function processXMLFile(context, xmlData, filePath, relativePath = path.basename(filePath)) {
+    const { options, translation, outputDir, spawnFiles, files, writes, skipped, logger } = context;
+    const fileName = path.basename(filePath);
+    const format = XML_FORMATS.find(candidate => xmlData && candidate.root in xmlData);
+
+    if (!format) {
+        skipped.push({ file: relativePath, reason: 'not a recognised XML format' });
+        return;
+    }
+
+    if (!options.modules.includes(format.module)) {
+        skipped.push({ file: relativePath, reason: `module '${format.module}' is not enabled` });
+        return;
+    }
+
+    // xml2js leaves an empty string for a root element without children
+    if (typeof xmlData[format.root] !== 'object') {
+        xmlData[format.root] = {};
+    }
+
+    beginFile(context, relativePath);
+    const details = format.warp(xmlData, translation, {
+        events: options.events,
+        keepEventAngles: options.keepEventAngles,
+        fileName,
+        logger
+    });
+    if (!details) {
+        return;
+    }
+
+    // Apply the keyword swaps to the names inside the file too
+    if (options.swapContent && format.rename) {
+        format.rename(xmlData, name => applySwaps(name, options.swaps));
+    }
+
+    // Determine output path, mirroring the file's subfolder
+    const outputPath = getOutputPath(filePath, path.join(outputDir, path.dirname(relativePath)), options.swaps, options.date, options.nameTemplate);
+    writes.push({ outputPath, data: xmlData, type: 'xml' });
+
+    // Add to spawnFiles with 'custom/' prefix
+    if (format.spawnFile) {
+        spawnFiles.push(toSpawnFile(outputDir, outputPath));
+    }
+
+    files.push(createSummaryEntry(filePath, outputPath, format.kind, sumCounts(details), details, translation));
+}
+
+/**
+ * Explains why a JSON file of the relation directory isn't an object set or another recognised schema.
+ * Files that look like object sets get a specific reason so they stand out from unrelated config files.
+ * @param {Object} jsonData - The parsed JSON data.
+ * @returns {string} The reason the file is skipped.
+ */
+function describeUnrecognisedJSON(jsonData) {
+    if (jsonData && typeof jsonData === 'object' && 'Objects' in jsonData) {
+        return 'looks like an object set, but "Objects" is not an array';
+    }
+    if (Array.isArray(jsonData) && jsonData.some(entry => entry && typeof entry === 'object' && 'pos' in entry)) {
+        return 'looks like an object set, but the objects are not wrapped in an "Objects" array';
+    }
+    return 'not an object set, cfgeffectarea.json or cfgundergroundtriggers.json';
+}
+
+/**
+ * Processes a single JSON file of the relation directory: an object set or another recognised schema.
+ * @param {Object} context - The run context: options, translation, select, outputDir, spawnFiles, files, writes, skipped and logger.
+ * @param {string} filePath - The path to the JSON file.
+ * @param {string} [relativePath] - The path below the relation directory, mirrored into the output directory.
+ */
+async function processJSONFile(context, filePath, relativePath = path.basename(filePath)) {
+    const { options, translation, select, outputDir, spawnFiles, files, writes, skipped, logger } = context;
+    let jsonData;
+    try {
+        jsonData = await readJSON(filePath);
+    } catch (error) {
+        skipped.push({ file: relativePath, reason: `invalid JSON: ${error.cause ? error.cause.message : error.message}` });
+        return;
+    }
+    beginFile(context, relativePath);
+    const targetDir = path.join(outputDir, path.dirname(relativePath));
+
+    if (!jsonData || !Array.isArray(jsonData.Objects)) {
+        // Not an object set, try the other position-bearing schemas
+        const format = JSON_FORMATS.find(candidate => jsonData && candidate.detect(jsonData));
+        if (!format) {
+            skipped.push({ file: relativePath, reason: describeUnrecognisedJSON(jsonData) });
+            return;
+        }
+
+        const details = format.warp(jsonData, translation, { logger });
+        const outputPath = getOutputPath(filePath, targetDir, options.swaps, options.date, options.nameTemplate);
+        writes.push({ outputPath, data: jsonData, type: 'json' });
+
+        files.push(createSummaryEntry(filePath, outputPath, format.kind, sumCounts(details), details, translation));
+        return;
+    }
+
+    // Keep only the selected objects
+    if (select) {
+        const selected = selectObjects(jsonData.Objects, select);
+        if (selected.length === 0) {
+            skipped.push({ file: relativePath, reason: 'no object matches the selection' });
+            return;
+        }
+        logger.log(`Selected ${selected.length} of ${jsonData.Objects.length} object(s) in ${relativePath}`);
+        jsonData.Objects = selected;
+    }
+
+    // Warp the additional set
+    const warpedObjects = warpObjects(jsonData.Objects, translation, logger);
+    jsonData.Objects = warpedObjects;
+    if (options.swapContent) {
+        swapNames(jsonData.Objects, options.swaps);
+    }
+
+    const outputPath = getOutputPath(filePath, targetDir, options.swaps, options.date, options.nameTemplate);
+    writes.push({ outputPath, data: jsonData, type: 'json' });
+
+    // Add to spawnFiles with 'custom/' prefix
+    spawnFiles.push(toSpawnFile(outputDir, outputPath));
+    files.push(createSummaryEntry(filePath, outputPath, 'objects', jsonData.Objects.length, null, translation));
+}
+
+/**
+ * Lists the JSON and XML files of the relation directory and, unless told otherwise, of its subfolders.
+ * Hidden folders and the output directory, when it lies inside the relation directory, are not descended into,
+ * and transform manifests are never listed.
+ * @param {string} rootDir - The absolute relation directory.
+ * @param {Object} options - Options.
+ * @param {boolean} [options.recursive] - Descend into subfolders. (Default: true)
+ * @param {Array} [options.include] - Globs a file must match to be listed. (Default: every file)
+ * @param {Array} [options.exclude] - Globs of files to leave out.
+ * @param {string} [options.outputDir] - The absolute output directory.
+ * @returns {Promise<Array>} The paths of the files relative to rootDir, with '/' separators, sorted per folder.
+ * @throws {FileError} If a directory can't be read.
+ */
+async function listRelationFiles(rootDir, options) {
+    const { recursive = true, include = [], exclude = [], outputDir } = options;
+    const files = [];
+
+    const walk = async (relativeDir) => {
+        const absoluteDir = path.join(rootDir, relativeDir);
+        let entries;
+        try {
+            entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+        } catch (error) {
+            throw new FileError(`Cannot read directory ${absoluteDir}: ${error.message}`, absoluteDir, error);
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                const absoluteEntry = path.join(absoluteDir, entry.name);
+                if (recursive && !entry.name.startsWith('.') && absoluteEntry !== outputDir) {
+                    await walk(relativePath);
+                }
+                continue;
+            }
+
+            if (!['.json', '.xml'].includes(path.extname(entry.name).toLowerCase())) continue;
+            if (entry.name.endsWith(MANIFEST_SUFFIX)) continue;
+            if (include.length > 0 && !matchesAnyGlob(relativePath, include)) continue;
+            if (matchesAnyGlob(relativePath, exclude)) continue;
+            files.push(relativePath);
+        }
+    };
+
+    await walk('');
+    return files;
+}
+
+/**
+ * Warps every JSON and XML file of the relation directory with the translation of the primary set.
+ * Files that are outputs of this run, such as an earlier output of the primary set, are not warped again.
+ * @param {Object} context - The run context: options, translation, select, outputDir, primaryOutputPath, spawnFiles, files, writes, skipped and logger.
+ */
+async function processRelationDirectory(context) {
+    const { options, outputDir, skipped } = context;
+    const absoluteRelationDir = path.resolve(process.cwd(), options.inputSetRelationDir);
+    let entries = await listRelationFiles(absoluteRelationDir, {
+        recursive: options.recursive,
+        include: options.include,
+        exclude: options.exclude,
+        outputDir
+    });
+
+    // Leave out earlier outputs that this run writes again from another file, which happens when the output
+    // directory is the relation directory, so they aren't warped twice and written over the fresh output
+    const outputs = new Map(entries.map(file => [file, getOutputPath(path.join(absoluteRelationDir, file), path.join(outputDir, path.dirname(file)), options.swaps, options.date, options.nameTemplate)]));
+    const isOutput = (file) => {
+        const filePath = path.join(absoluteRelationDir, file);
+        return filePath === context.primaryOutputPath || entries.some(other => other !== file && outputs.get(other) === filePath);
+    };
+    const ownOutputs = entries.filter(isOutput);
+    ownOutputs.forEach(file => skipped.push({ file, reason: 'an output of this run' }));
+    entries = entries.filter(file => !ownOutputs.includes(file));
+
+    // Re-warp only the requested files
+    if (options.only) {
+        entries = entries.filter(file => options.only.includes(file));
+    }
+
+    // Process both JSON and XML files
+    const jsonFiles = entries.filter(file => path.extname(file).toLowerCase() === '.json');
+    const xmlFiles = entries.filter(file => path.extname(file).toLowerCase() === '.xml');
+
+    // Process JSON files
+    for (const file of jsonFiles) {
+        const filePath = path.join(absoluteRelationDir, file);
+
+        // Skip the primary input set and warp set if it's within the relation directory
+        if ((options.inputSetPath && path.resolve(filePath) === path.resolve(options.inputSetPath)) ||
+            (options.warpSetPath && path.resolve(filePath) === path.resolve(options.warpSetPath))) {
+            continue;
+        }
+
+        await processJSONFile(context, filePath, file);
+    }
+
+    // Process XML files
+    for (const file of xmlFiles) {
+        const filePath = path.join(absoluteRelationDir, file);
+
+        let xmlData;
+        try {
+            xmlData = await readXMLDocument(filePath);
+        } catch (error) {
+            skipped.push({ file, reason: `invalid XML: ${error.cause ? error.cause.message : error.message}` });
+            continue;
+        }
+
+        // Determine the XML structure based on the module
+        await processXMLFile(context, xmlData, filePath, file);
+    }
+}
+
+/**
+ * Warps a primary object set, and the files of its relation directory in relation to it.
+ * Parsed sets passed in are warped in place.
+ * @param {Object} options - Warp options.
+ * @param {string} [options.inputSetPath] - Path to the primary JSON set. Names the output file.
+ * @param {Object} [options.inputSet] - The parsed primary set. Read from inputSetPath when omitted.
+ * @param {string} [options.outputName] - File name to derive the output name from when only a parsed inputSet is given.
+ * @param {string} [options.inputSetRelationDir] - Directory of additional JSON and XML files to warp.
+ * @param {boolean} [options.recursive] - Also warp the files in subfolders of the relation directory, mirroring them into the output directory. (Default: true)
+ * @param {Array} [options.include] - Globs of relation directory files to warp, matched against the path below it. (Default: every file)
+ * @param {Array} [options.exclude] - Globs of relation directory files to leave out.
+ * @param {Array} [options.only] - Re-warp only these relation directory files, as paths below it. The primary set is
+ * then only read for the translation, and neither it nor the manifest is written.
+ * @param {Object} [options.selection] - Warp only the objects of object sets matching { name, bbox, radius }, see createSelection.
+ * The translation is still computed from the whole primary set; unselected objects are left out of the outputs.
+ * @param {Object} [options.target] - Warp coordinates { x, y, z } for the reference object.
+ * @param {string} [options.gridReference] - A map grid reference such as '067 112' to warp the reference object to,
+ * converted on the 'map' or 'mapSize', see resolveWarpTarget.
+ * @param {string} [options.location] - A named location to warp the reference object to, looked up in the gazetteer.
+ * @param {string} [options.gazetteerPath] - Path to the gazetteer of named locations, see readGazetteer.
+ * @param {number} [options.height] - Height of a grid reference or location target. (Default: the gazetteer's, or the
+ * ground of the target heightmap)
+ * @param {string} [options.warpSetPath] - Path to a warp set JSON file.
+ * @param {Object} [options.warpSet] - The parsed warp set. Read from warpSetPath when omitted.
+ * @param {boolean} [options.fit] - Solve a best fit over all matched objects of the warp set.
+ * @param {boolean} [options.fitYaw] - Also solve the yaw of the best fit.
+ * @param {number} [options.fitTolerance] - Maximum residual error of the best fit. (Default: 0.5)
+ * @param {Object} [options.offsets] - Additional offsets { offsetX, offsetY, offsetZ }.
+ * @param {number} [options.rotation] - Rotation in degrees, clockwise viewed from above.
+ * @param {string|Object} [options.pivot] - 'reference', 'centroid' or an explicit { x, z } point, with a rotation. (Default: 'reference')
+ * @param {boolean} [options.snapHeight] - Re-seat positions on the target terrain.
+ * @param {string} [options.heightmapPath] - Target heightmap, with heightmapSize and heightmapRange for raw files.
+ * @param {string} [options.sourceHeightmapPath] - Source heightmap, with sourceHeightmapSize and sourceHeightmapRange.
+ * @param {Array} [options.modules] - Module types to warp. (Default: ['json'])
+ * @param {Array} [options.events] - Event name globs for the 'events' module. (Default: all events)
+ * @param {boolean} [options.keepEventAngles] - Leave event angles untouched when rotating.
+ * @param {string|Object} [options.map] - Target map to check positions against: a built-in profile name or { name, size }.
+ * @param {number} [options.mapSize] - Custom target map size in meters.
+ * @param {boolean} [options.force] - Write even if positions fall outside the map or below sea level.
+ * @param {Object} [options.collisionIndex] - Existing objects to check warped object sets against, from loadCollisionIndex.
+ * @param {number} [options.collisionDistance] - Clearance in meters reported as a collision. (Default: 1)
+ * @param {string} [options.outputDir] - Output directory. (Default: the input set's directory)
+ * @param {Array} [options.swaps] - Keyword swaps { from, to, regex } for output names, see parseSwap.
+ * @param {boolean} [options.swapContent] - Also apply the swaps to object names and event names inside the files.
+ * @param {string} [options.nameTemplate] - Template for output names, e.g. '{base}-{date:YYYYMMDD}', see getOutputPath.
+ * @param {Date} [options.date] - Date stamped into output names. (Default: now)
+ * @param {boolean} [options.dryRun] - Compute everything without writing files.
+ * @param {boolean} [options.manifest] - Write a transform manifest next to the primary output, for undoWarp. (Default: true)
+ * @param {boolean} [options.trace] - Record every position before and after the warp, per file, for renderPreview.
+ * @param {Object} [options.logger] - Receives progress messages and warnings. (Default: silent)
+ * @returns {Promise<Object>} The 'translation', per-file summary 'files', 'spawnFiles', the 'skipped' relation directory files,
+ * 'terrainMisses', the 'map' and its 'mapViolations', the 'collisions', the 'manifestPath' if one was written, the 'outputDir',
+ * and with 'trace' the 'traces' of the warped files as { file, positions: [[x, z, newX, newZ]] }.
+ * @throws {MapBoundsError} If positions fall outside the map or below sea level and the run isn't forced. Nothing is written.
+ * @throws {DzwarpError} On invalid options, unreadable files or sets without usable objects.
+ */
+export async function warpSet(options) {
+    const logger = options.logger || silentLogger;
+    const settings = {
+        modules: ['json'],
+        events: ['*'],
+        swaps: [],
+        ...options
+    };
+
+    const unknownModules = settings.modules.filter(module => !SUPPORTED_MODULES.includes(module));
+    if (unknownModules.length > 0) {
+        throw new OptionsError(`Unknown module(s) "${unknownModules.join('", "')}". Supported modules: ${SUPPORTED_MODULES.join(', ')}.`);
+    }
+
+    if (!settings.inputSet && !settings.inputSetPath) {
+        throw new OptionsError('An input set (inputSet or inputSetPath) must be provided.');
+    }
+    if (!settings.inputSetPath && !settings.outputName) {
+        throw new OptionsError('An inputSetPath or outputName is needed to name the output of a parsed input set.');
+    }
+    if (settings.pivot !== undefined && settings.rotation === undefined) {
+        throw new OptionsError('A pivot only applies to a rotation; give the rotation too or leave the pivot out.');
+    }
+
+    // Determine output directory
+    let outputDir = settings.inputSetPath
+        ? path.dirname(path.resolve(process.cwd(), settings.inputSetPath)) // Default to input file's directory
+        : process.cwd();
+    if (settings.outputDir) {
+        outputDir = path.resolve(process.cwd(), settings.outputDir);
+    }
+
+    // Compile the object selection before reading anything
+    const select = createSelection(settings.selection);
+
+    // Resolve the target map to check warped positions against
+    const map = resolveMapProfile(settings.map, settings.mapSize);
+
+    // Read the primary input set (assumed to be JSON)
+    const primaryJSON = settings.inputSet || await readJSON(path.resolve(process.cwd(), settings.inputSetPath));
+    validateObjectSet(primaryJSON, 'Primary');
+
+    // Read the warp set if provided
+    let warpSetData = settings.warpSet || null;
+    if (!warpSetData && settings.warpSetPath) {
+        warpSetData = await readJSON(path.resolve(process.cwd(), settings.warpSetPath));
+    }
+
+    // Turn a grid reference or a named location into warp coordinates
+    let { target } = settings;
+    let targetHeightmap = null;
+    if (settings.gridReference !== undefined || settings.location !== undefined) {
+        if (target || warpSetData) {
+            throw new OptionsError('A grid reference or named location replaces the warp coordinates (target) and the warp set; give only one of them.');
+        }
+        const { heightmap, ...resolved } = await resolveWarpTarget({ ...settings, logger });
+        target = resolved;
+        targetHeightmap = heightmap;
+    }
+
+    // Calculate the translation vector, offsets and rotation
+    const translation = computeTranslation(primaryJSON, { ...settings, target, warpSet: warpSetData, logger });
+
+    // Load the heightmaps for terrain snapping
+    if (settings.snapHeight) {
+        await attachTerrain(translation, settings, targetHeightmap);
+        logger.log(`Terrain snapping enabled using heightmap ${settings.heightmapPath}`);
+    }
+
+    // Keep only the selected objects of the primary set, which are placed as in a warp of the whole set
+    if (select) {
+        const selected = selectObjects(primaryJSON.Objects, select);
+        if (selected.length === 0) {
+            throw new OptionsError('No object of the primary set matches the selection.');
+        }
+        logger.log(`Selected ${selected.length} of ${primaryJSON.Objects.length} object(s) in the primary set`);
+        primaryJSON.Objects = selected;
+    }
+
+    const primaryOutputPath = getOutputPath(settings.inputSetPath || settings.outputName, outputDir, settings.swaps, settings.date, settings.nameTemplate);
+    const context = { options: settings, translation, select, outputDir, primaryOutputPath, spawnFiles: [], files: [], writes: [], skipped: [], traces: settings.trace ? [] : null, logger };
+
+    // Record positions that end up outside the map or below sea level
+    if (map) {
+        translation.mapCheck = { map, file: null, violations: [] };
+    }
+
+    // Warp the primary input set, unless only some relation directory files are re-warped
+    const partial = Array.isArray(settings.only);
+    if (!partial) {
+        beginFile(context, path.basename(settings.inputSetPath || primaryOutputPath));
+        primaryJSON.Objects = warpObjects(primaryJSON.Objects, translation, logger);
+        if (settings.swapContent) {
+            const renamed = swapNames(primaryJSON.Objects, settings.swaps);
+            logger.log(`Swapped keywords in the names of ${renamed} object(s) of the primary set`);
+        }
+        context.writes.push({ outputPath: primaryOutputPath, data: primaryJSON, type: 'json' });
+
+        // Add to spawnFiles with 'custom/' prefix
+        context.spawnFiles.push(toSpawnFile(outputDir, primaryOutputPath));
+        context.files.push(createSummaryEntry(settings.inputSetPath || primaryOutputPath, primaryOutputPath, 'objects', primaryJSON.Objects.length, null, translation));
+    }
+
+    // If input set relation directory is provided, process additional sets
+    if (settings.inputSetRelationDir) {
+        await processRelationDirectory(context);
+    }
+
+    // List the relation directory files that were not warped, so nothing is skipped silently
+    if (context.skipped.length > 0) {
+        logger.warn(`Warning: ${context.skipped.length} file(s) in the relation directory were skipped:`);
+        context.skipped.forEach(({ file, reason }) => logger.warn(`  ${file}: ${reason}`));
+    }
+
+    const terrainMisses = translation.terrain ? translation.terrain.misses : 0;
+    if (terrainMisses > 0) {
+        logger.warn(`Warning: ${terrainMisses} position(s) fell outside the heightmaps and were shifted by the translation vector instead of snapped.`);
+    }
+
+    // Stop before writing anything if positions ended up off the map, unless forced
+    const mapViolations = map ? translation.mapCheck.violations : [];
+    delete translation.mapCheck;
+    delete translation.trace;
+    if (mapViolations.length > 0) {
+        const heading = `${mapViolations.length} warped position(s) fall outside ${map.name} (0 to ${map.size} m) or below sea level`;
+        const lines = formatMapViolations(mapViolations);
+        if (!settings.force) {
+            throw new MapBoundsError(`${heading}. Nothing was written; check the target and offsets, or force the write.\n${lines.join('\n')}`, mapViolations);
+        }
+        logger.warn(`Warning: ${heading}. Writing anyway because the run is forced.`);
+        lines.forEach(line => logger.warn(line));
+    }
+
+    // Report warped objects that land on existing map objects or other custom sets
+    const collisions = [];
+    if (settings.collisionIndex) {
+        const distance = settings.collisionDistance !== undefined ? settings.collisionDistance : 1;
+        for (const { outputPath, data } of context.writes) {
+            if (!Array.isArray(data.Objects)) continue;
+            collisions.push(...findCollisions(data.Objects, settings.collisionIndex, {
+                file: path.relative(outputDir, outputPath).split(path.sep).join('/'),
+                distance,
+                ownSpawnFiles: context.spawnFiles
+            }));
+        }
+        if (collisions.length > 0) {
+            logger.warn(`Warning: ${collisions.length} warped object(s) lie within ${distance} m of existing objects:`);
+            formatCollisions(collisions).forEach(line => logger.warn(line));
+        } else {
+            logger.log(`No collisions within ${distance} m of ${settings.collisionIndex.size} existing object(s).`);
+        }
+    }
+
+    // Write the warped files
+    if (!settings.dryRun) {
+        if (settings.outputDir) {
+            await ensureOutputDirectory(outputDir);
+            logger.log(`Output directory is set to: ${outputDir}`);
+        }
+        for (const { outputPath, data, type } of context.writes) {
+            // Subfolders of the relation directory are mirrored below the output directory
+            if (path.dirname(outputPath) !== outputDir) {
+                await ensureOutputDirectory(path.dirname(outputPath));
+            }
+            if (type === 'xml') {
+                await writeXML(outputPath, data);
+                logger.log(`Warped XML data written to ${outputPath}`);
+            } else {
+                await writeJSON(outputPath, data);
+                logger.log(`Warped data written to ${outputPath}`);
+            }
+        }
+    }
+
+    // Record how the files were warped, so edits to the outputs can be mapped back
+    let manifestPath = null;
+    if (!settings.dryRun && settings.manifest !== false && !partial) {
+        manifestPath = getManifestPath(primaryOutputPath);
+        await writeManifest(manifestPath, buildManifest(manifestPath, { translation, files: context.files }, settings));
+        logger.log(`Transform manifest written to ${manifestPath}`);
+    }
+
+    const traces = context.traces ? context.traces.filter(trace => trace.positions.length > 0) : null;
+    return { translation, files: context.files, spawnFiles: context.spawnFiles, skipped: context.skipped, terrainMisses, map, mapViolations, collisions, manifestPath, outputDir, traces };
+}
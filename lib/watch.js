@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { DzwarpError } from './errors.js';
+import { MANIFEST_SUFFIX } from './manifest.js';
+import { matchesAnyGlob, silentLogger } from './util.js';
+import { toSpawnFile, warpSet } from './warp.js';
+
+/**
+ * Classifies a changed path: a change to the input set or warp set changes the translation and needs a full
+ * run, a change to a relation directory file only needs that file re-warped.
+ * @param {Object} settings - The warpSet options.
+ * @param {string} changedPath - The absolute path reported by the watcher.
+ * @param {Set} ownOutputs - The absolute paths written by the last run, which are ignored.
+ * @returns {Object|null} { full: true }, { relativePath } below the relation directory, or null to ignore the change.
+ */
+function classifyChange(settings, changedPath, ownOutputs) {
+    const resolve = filePath => (filePath ? path.resolve(process.cwd(), filePath) : null);
+    if (changedPath === resolve(settings.inputSetPath) || changedPath === resolve(settings.warpSetPath)) {
+        return { full: true };
+    }
+    if (!settings.inputSetRelationDir || ownOutputs.has(changedPath) || changedPath.endsWith(MANIFEST_SUFFIX)) {
+        return null;
+    }
+
+    // Only files the relation directory walk would pick up
+    const relativePath = path.relative(resolve(settings.inputSetRelationDir), changedPath).split(path.sep).join('/');
+    const folders = relativePath.split('/').slice(0, -1);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+    if (folders.length > 0 && (settings.recursive === false || folders.some(folder => folder.startsWith('.')))) return null;
+    if (!['.json', '.xml'].includes(path.extname(relativePath).toLowerCase())) return null;
+    if (settings.include && settings.include.length > 0 && !matchesAnyGlob(relativePath, settings.include)) return null;
+    if (matchesAnyGlob(relativePath, settings.exclude || [])) return null;
+
+    return { relativePath };
+}
+
+/**
+ * Runs warpSet, then keeps running it whenever the input set, the warp set or a file of the relation directory
+ * changes. Changes to the input or warp set re-run everything; changes to relation directory files re-warp only
+ * those files with the same translation, and their results are merged into the last full run, so the files, spawn
+ * files and traces reported are always complete. New and deleted relation files trigger a full run.
+ * @param {Object} options - The warpSet options. 'only' is managed by the watcher.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onRun - Called with the merged result and { full, changed } after every run.
+ * @param {Function} [handlers.onError] - Called with the error of a failed run. Watching goes on after a DzwarpError
+ * and stops after any other error.
+ * @param {number} [handlers.delay] - How long to wait for more changes before running, in milliseconds. (Default: 200)
+ * @returns {Object} The watcher: 'ready', a promise resolved after the first run, and 'close()' to stop watching.
+ */
+export function watchWarp(options, handlers) {
+    const { onRun, onError = () => {}, delay = 200 } = handlers;
+    const logger = options.logger || silentLogger;
+    const state = { order: [], files: new Map(), spawnFiles: new Map(), skipped: new Map(), traces: new Map(), outputs: new Set() };
+    const pending = { full: false, files: new Set(), paths: new Set() };
+    let running = null;
+    let timer = null;
+    let closed = false;
+
+    // Folders of the input and warp set, so editors that save by renaming are still noticed
+    const watchedDirs = new Map();
+    for (const filePath of [options.inputSetPath, options.warpSetPath]) {
+        if (!filePath) continue;
+        const dir = path.dirname(path.resolve(process.cwd(), filePath));
+        if (!watchedDirs.has(dir)) watchedDirs.set(dir, false);
+    }
+    if (options.inputSetRelationDir) {
+        watchedDirs.set(path.resolve(process.cwd(), options.inputSetRelationDir), options.recursive !== false);
+    }
+
+    const remember = (result, changedSources, changed) => {
+        // Replace what the changed files produced last time
+        for (const source of changedSources) {
+            state.files.delete(source);
+            state.spawnFiles.delete(source);
+        }
+        changed.forEach(file => state.traces.delete(file));
+        (result.traces || []).forEach(trace => state.traces.set(trace.file, trace));
+        for (const entry of result.files) {
+            if (!state.order.includes(entry.source)) state.order.push(entry.source);
+            state.files.set(entry.source, entry);
+            const spawnFile = toSpawnFile(result.outputDir, entry.output);
+            state.spawnFiles.set(entry.source, result.spawnFiles.includes(spawnFile) ? spawnFile : null);
+            state.outputs.add(entry.output);
+        }
+        if (result.manifestPath) state.outputs.add(result.manifestPath);
+
+        const sources = state.order.filter(source => state.files.has(source));
+        return {
+            ...result,
+            files: sources.map(source => state.files.get(source)),
+            spawnFiles: sources.map(source => state.spawnFiles.get(source)).filter(Boolean),
+            skipped: [...state.skipped.entries()].map(([file, reason]) => ({ file, reason })),
+            traces: result.traces ? [...state.traces.values()] : null
+        };
+    };
+
+    const run = async (full, changed) => {
+        const relationDir = options.inputSetRelationDir ? path.resolve(process.cwd(), options.inputSetRelationDir) : null;
+        const knownFiles = new Set(state.order);
+        const changedSources = changed.map(file => path.join(relationDir, ...file.split('/')));
+
+        // Files that weren't warped before, or are gone now, change the file list and the manifest
+        if (!full && changedSources.some(source => !knownFiles.has(source) || !fs.existsSync(source))) {
+            full = true;
+        }
+
+        try {
+            const result = await warpSet(full ? options : { ...options, only: changed });
+            if (full) {
+                state.order = [];
+                state.files.clear();
+                state.spawnFiles.clear();
+                state.skipped.clear();
+                state.traces.clear();
+            }
+            changed.forEach(file => state.skipped.delete(file));
+            result.skipped.forEach(({ file, reason }) => state.skipped.set(file, reason));
+            onRun(remember(result, full ? [] : changedSources, full ? [] : changed), { full, changed });
+        } catch (error) {
+            // Anything but a DzwarpError is a bug or an I/O failure that the next change won't fix
+            if (!(error instanceof DzwarpError)) watcher.close();
+            onError(error);
+        }
+    };
+
+    // Run once for every burst of changes, one run at a time. Changes are classified only when no run is going on,
+    // so the files a run writes are known as its outputs by then
+    const flush = () => {
+        timer = null;
+        if (running) {
+            running.then(() => schedule());
+            return;
+        }
+        for (const changedPath of pending.paths) {
+            const change = classifyChange(options, changedPath, state.outputs);
+            if (!change) continue;
+            if (change.full) pending.full = true; else pending.files.add(change.relativePath);
+        }
+        pending.paths.clear();
+        if (!pending.full && pending.files.size === 0) {
+            return;
+        }
+        const full = pending.full;
+        const changed = [...pending.files];
+        pending.full = false;
+        pending.files.clear();
+        running = run(full, changed).finally(() => {
+            running = null;
+        });
+    };
+    const schedule = () => {
+        if (!timer && !closed && pending.paths.size > 0) {
+            timer = setTimeout(flush, delay);
+        }
+    };
+
+    const watchers = [...watchedDirs].map(([dir, recursive]) => fs.watch(dir, { recursive }, (eventType, fileName) => {
+        if (!fileName) return;
+        pending.paths.add(path.join(dir, fileName.toString()));
+        schedule();
+    }));
+    logger.log(`Watching ${[...watchedDirs.keys()].join(', ')} for changes.`);
+
+    const watcher = {
+        ready: null,
+        close() {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            watchers.forEach(fsWatcher => fsWatcher.close());
+        }
+    };
+
+    running = run(true, []).finally(() => {
+        running = null;
+    });
+    watcher.ready = running;
+    return watcher;
+}
@@ -0,0 +1,177 @@
+import sax from 'sax';
+
+/**
+ * Key under which a parsed document keeps its source text and attribute locations.
+ */
+const SOURCE = Symbol('dzwarp.xmlSource');
+
+/**
+ * Escapes a value for an attribute delimited by the given quote character.
+ * @param {string} value - The attribute value.
+ * @param {string} quote - The quote character of the attribute, '"' or "'".
+ * @returns {string} The escaped value.
+ */
+function escapeAttribute(value, quote) {
+    const escaped = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return quote === '"' ? escaped.replace(/"/g, '&quot;') : escaped.replace(/'/g, '&apos;');
+}
+
+/**
+ * Finds where the values of a start tag's attributes sit in the source.
+ * @param {string} tag - The source of the start tag, from '<' to '>'.
+ * @param {number} offset - Where the tag starts in the source.
+ * @returns {Map} { start, end, quote } by attribute name, 'start' and 'end' delimiting the value between its quotes.
+ */
+function locateAttributes(tag, offset) {
+    const locations = new Map();
+    const attributePattern = /\s([^\s=/>]+)\s*=\s*(["'])/g;
+    let match;
+    while ((match = attributePattern.exec(tag)) !== null) {
+        const quote = match[2];
+        const start = attributePattern.lastIndex;
+        const end = tag.indexOf(quote, start);
+        locations.set(match[1], { start: offset + start, end: offset + end, quote });
+        attributePattern.lastIndex = end + 1;
+    }
+    return locations;
+}
+
+/**
+ * Parses XML source with sax into an element tree that remembers where every attribute value sits in the text.
+ * Comments, processing instructions, the XML declaration and DOCTYPE are skipped; CDATA counts as text, and
+ * entities declared in the DOCTYPE's internal subset are expanded.
+ * @param {string} text - The XML source.
+ * @returns {Object} The root element: { name, attributes: [{ name, value, start, end, quote }], children, text }.
+ * @throws {Error} If the source is not well-formed XML.
+ */
+function tokenize(text) {
+    const parser = sax.parser(true, { position: true });
+    const stack = [];
+    let root = null;
+
+    parser.onerror = (error) => {
+        throw error;
+    };
+    parser.ondoctype = (doctype) => {
+        for (const [, name, , value] of doctype.matchAll(/<!ENTITY\s+([^\s%]+)\s+(["'])([^]*?)\2\s*>/g)) {
+            parser.ENTITIES[name] = value;
+        }
+    };
+    parser.onopentag = (node) => {
+        // startTagPosition is one past the '<', position is just past the '>'
+        const start = parser.startTagPosition - 1;
+        const locations = locateAttributes(text.slice(start, parser.position), start);
+        const attributes = Object.entries(node.attributes).map(([name, value]) => ({ name, value, ...locations.get(name) }));
+        const element = { name: node.name, attributes, children: [], text: '' };
+        if (stack.length > 0) {
+            stack[stack.length - 1].children.push(element);
+        } else {
+            root = element;
+        }
+        stack.push(element);
+    };
+    parser.onclosetag = () => {
+        stack.pop();
+    };
+    parser.ontext = parser.oncdata = (chunk) => {
+        if (stack.length > 0) stack[stack.length - 1].text += chunk;
+    };
+
+    parser.write(text).close();
+    if (!root) {
+        throw new Error('No root element');
+    }
+    return root;
+}
+
+/**
+ * Converts an element into the shape xml2js produces with explicitArray off: attributes under '$',
+ * single children as objects, repeated children as arrays, and text-only elements as strings.
+ * @param {Object} element - The tokenized element.
+ * @param {Array} nodes - Collects { attributes, values } for every element with attributes.
+ * @returns {Object|string} The xml2js-shaped element.
+ */
+function toObject(element, nodes) {
+    const hasText = element.text.trim() !== '';
+    if (element.attributes.length === 0 && element.children.length === 0) {
+        return hasText ? element.text : '';
+    }
+
+    const result = {};
+    if (element.attributes.length > 0) {
+        result.$ = {};
+        for (const attribute of element.attributes) {
+            result.$[attribute.name] = attribute.value;
+        }
+        nodes.push({ attributes: element.attributes, values: result.$ });
+    }
+    if (hasText) {
+        result._ = element.text;
+    }
+    for (const child of element.children) {
+        const value = toObject(child, nodes);
+        if (!(child.name in result)) {
+            result[child.name] = value;
+        } else if (Array.isArray(result[child.name])) {
+            result[child.name].push(value);
+        } else {
+            result[child.name] = [result[child.name], value];
+        }
+    }
+    return result;
+}
+
+/**
+ * Parses XML into the same shape as xml2js with explicitArray off, keeping the source text so the
+ * document can be written back with only its changed attribute values replaced.
+ * @param {string} text - The XML source.
+ * @returns {Object} The parsed document, keyed by its root element name.
+ * @throws {Error} If the source is not well-formed enough to parse.
+ */
+export function parseXMLDocument(text) {
+    const root = tokenize(text);
+    const nodes = [];
+    const document = { [root.name]: toObject(root, nodes) };
+    Object.defineProperty(document, SOURCE, { value: { text, nodes } });
+    return document;
+}
+
+/**
+ * Checks whether a document was parsed by parseXMLDocument and can be written back in place.
+ * @param {Object} document - The parsed document.
+ * @returns {boolean} True if the document carries its source text.
+ */
+export function hasXMLSource(document) {
+    return Boolean(document && document[SOURCE]);
+}
+
+/**
+ * Writes a document parsed by parseXMLDocument back into its source text. Only attribute values that
+ * changed are replaced, so comments, whitespace, attribute order and untouched values stay byte for byte.
+ * Attributes added to '$' after parsing have no place in the source and are not written.
+ * @param {Object} document - The parsed document.
+ * @returns {string} The updated XML source.
+ */
+export function serializeXMLDocument(document) {
+    const { text, nodes } = document[SOURCE];
+    const replacements = [];
+
+    for (const { attributes, values } of nodes) {
+        for (const attribute of attributes) {
+            const value = values[attribute.name];
+            if (value === undefined || String(value) === attribute.value) continue;
+            replacements.push({ start: attribute.start, end: attribute.end, value: escapeAttribute(value, attribute.quote) });
+        }
+    }
+
+    // Stitch the untouched text between the replaced values back together
+    replacements.sort((a, b) => a.start - b.start);
+    const parts = [];
+    let offset = 0;
+    for (const { start, end, value } of replacements) {
+        parts.push(text.slice(offset, start), value);
+        offset = end;
+    }
+    parts.push(text.slice(offset));
+    return parts.join('');
+}
@@ -0,0 +1,204 @@
+import { normalizeHeading, normalizeYaw, transformPosition } from './transform.js';
+import { asArray, formatNumberLike, formatNumbersLike, globToRegExp, silentLogger } from './util.js';
+
+/**
+ * Warps the <event> entries of a parsed cfgeventspawns.xml file in place.
+ * Every <pos> child of a selected <event> is warped; 'y' is only written back when the position has one.
+ * <zone> children carry spawn parameters rather than coordinates and are kept as they are.
+ * @param {Object} xmlData - The parsed XML data.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} [options] - Event options.
+ * @param {Array} [options.events] - Event name globs to select. (Default: all events)
+ * @param {boolean} [options.keepEventAngles] - Leave the 'a' attribute untouched when rotating.
+ * @param {string} [options.fileName] - The file name used in warnings.
+ * @param {Object} [options.logger] - Receives warnings.
+ * @returns {Object|null} The number of positions moved per event, or null if nothing was selected.
+ */
+export function applyToEvents(xmlData, translation, options = {}) {
+    const { events = ['*'], keepEventAngles = false, fileName = 'XML', logger = silentLogger } = options;
+
+    // Check if 'eventposdef' and 'event' elements exist
+    if (!xmlData.eventposdef || !xmlData.eventposdef.event) {
+        logger.warn(`Warning: XML file "${fileName}" does not contain <eventposdef> with <event> elements. Skipping.`);
+        return null;
+    }
+
+    // Select events matching any of the event globs
+    const eventPatterns = events.map(globToRegExp);
+    const targetEvents = asArray(xmlData.eventposdef.event).filter(event => event.$ && eventPatterns.some(pattern => pattern.test(event.$.name)));
+
+    if (targetEvents.length === 0) {
+        logger.warn(`Warning: No events matching "${events.join('", "')}" found in XML file "${fileName}". Skipping.`);
+        return null;
+    }
+
+    const movedPerEvent = {};
+
+    // Process each target event
+    for (const event of targetEvents) {
+        const eventName = event.$.name;
+        movedPerEvent[eventName] = movedPerEvent[eventName] || 0;
+
+        for (const pos of asArray(event.pos)) {
+            if (!pos.$ || pos.$.x === undefined || pos.$.z === undefined) {
+                logger.warn(`Warning: Position in event "${eventName}" has no x/z attributes. Skipping.`);
+                continue;
+            }
+
+            // Parse original coordinates, height is optional
+            const originalX = parseFloat(pos.$.x);
+            const originalY = pos.$.y !== undefined ? parseFloat(pos.$.y) : NaN;
+            const originalZ = parseFloat(pos.$.z);
+
+            // Apply translation vector
+            const [newX, newY, newZ] = transformPosition(translation, originalX, originalY, originalZ);
+
+            // Update the pos attributes in the style of each value
+            pos.$.x = formatNumberLike(pos.$.x, newX);
+            if (pos.$.y !== undefined) {
+                pos.$.y = formatNumberLike(pos.$.y, newY);
+            }
+            pos.$.z = formatNumberLike(pos.$.z, newZ);
+
+            // Turn the angle attribute with the set unless asked to keep it
+            if (translation.rotation && !keepEventAngles && pos.$.a !== undefined) {
+                pos.$.a = formatNumberLike(pos.$.a, normalizeHeading(parseFloat(pos.$.a) + translation.rotation));
+            }
+
+            movedPerEvent[eventName]++;
+        }
+    }
+
+    return movedPerEvent;
+}
+
+/**
+ * Renames the <event> entries of a parsed cfgeventspawns.xml file in place.
+ * @param {Object} xmlData - The parsed XML data.
+ * @param {Function} rename - Returns the new name for an event name.
+ * @returns {number} The number of events renamed.
+ */
+export function renameEvents(xmlData, rename) {
+    let renamed = 0;
+    for (const event of asArray(xmlData.eventposdef && xmlData.eventposdef.event)) {
+        if (!event.$ || typeof event.$.name !== 'string') continue;
+        const name = rename(event.$.name);
+        if (name !== event.$.name) {
+            event.$.name = name;
+            renamed++;
+        }
+    }
+    return renamed;
+}
+
+/**
+ * Warps the <group> entries of a parsed mapgrouppos.xml file in place.
+ * 'pos' holds space-separated "x y z" coordinates. When rotating, the 'a' angle is turned with the set
+ * and the yaw in 'rpy' (its third value) the opposite way, as the file keeps a = 90 - yaw.
+ * @param {Object} xmlData - The parsed XML data.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.fileName] - The file name used in warnings.
+ * @param {Object} [options.logger] - Receives warnings.
+ * @returns {Object|null} The number of positions moved per group name, or null if there is nothing to warp.
+ */
+export function applyToMapGroups(xmlData, translation, options = {}) {
+    const { fileName = 'XML', logger = silentLogger } = options;
+
+    const groups = asArray(xmlData.map && xmlData.map.group);
+
+    if (groups.length === 0) {
+        logger.warn(`Warning: XML file "${fileName}" does not contain <map> with <group> elements. Skipping.`);
+        return null;
+    }
+
+    const movedPerGroup = {};
+
+    for (const group of groups) {
+        const coordinates = group.$ && group.$.pos ? group.$.pos.trim().split(/\s+/).map(parseFloat) : [];
+        if (coordinates.length !== 3 || coordinates.some(isNaN)) {
+            logger.warn(`Warning: Group "${group.$ && group.$.name}" does not have a valid pos attribute. Skipping.`);
+            continue;
+        }
+
+        const [newX, newY, newZ] = transformPosition(translation, ...coordinates);
+        group.$.pos = formatNumbersLike(group.$.pos, [newX, newY, newZ]);
+
+        if (translation.rotation) {
+            if (group.$.a !== undefined) {
+                group.$.a = formatNumberLike(group.$.a, normalizeYaw(parseFloat(group.$.a) + translation.rotation));
+            }
+            if (group.$.rpy !== undefined) {
+                const rpy = group.$.rpy.trim().split(/\s+/).map(parseFloat);
+                if (rpy.length === 3) {
+                    rpy[2] = normalizeYaw(rpy[2] - translation.rotation);
+                    group.$.rpy = formatNumbersLike(group.$.rpy, rpy);
+                }
+            }
+        }
+
+        const groupName = group.$.name;
+        movedPerGroup[groupName] = (movedPerGroup[groupName] || 0) + 1;
+    }
+
+    return movedPerGroup;
+}
+
+/**
+ * Warps the player spawn points of a parsed cfgplayerspawnpoints.xml file in place.
+ * Every <pos> under <generator_posbubbles> of the <fresh>, <hop> and <travel> sections is moved.
+ * These positions only have 'x' and 'z'; the height is picked by the game.
+ * @param {Object} xmlData - The parsed XML data.
+ * @param {Object} translation - The translation vector.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.fileName] - The file name used in warnings.
+ * @param {Object} [options.logger] - Receives warnings.
+ * @returns {Object|null} The number of positions moved per section, or null if there is nothing to warp.
+ */
+export function applyToSpawnPoints(xmlData, translation, options = {}) {
+    const { fileName = 'XML', logger = silentLogger } = options;
+
+    const root = xmlData.playerspawnpoints || {};
+    const movedPerSection = {};
+
+    for (const [section, sectionData] of Object.entries(root)) {
+        if (section === '$') continue;
+
+        for (const sectionElement of asArray(sectionData)) {
+            for (const bubbles of asArray(sectionElement && sectionElement.generator_posbubbles)) {
+                for (const pos of asArray(bubbles && bubbles.pos)) {
+                    if (!pos.$ || pos.$.x === undefined || pos.$.z === undefined) {
+                        logger.warn(`Warning: Spawn point in section "${section}" has no x/z attributes. Skipping.`);
+                        continue;
+                    }
+
+                    const [newX, , newZ] = transformPosition(translation, parseFloat(pos.$.x), NaN, parseFloat(pos.$.z));
+                    pos.$.x = formatNumberLike(pos.$.x, newX);
+                    pos.$.z = formatNumberLike(pos.$.z, newZ);
+
+                    movedPerSection[section] = (movedPerSection[section] || 0) + 1;
+                }
+            }
+        }
+    }
+
+    if (Object.keys(movedPerSection).length === 0) {
+        logger.warn(`Warning: XML file "${fileName}" does not contain <generator_posbubbles> with <pos> elements. Skipping.`);
+        return null;
+    }
+
+    return movedPerSection;
+}
+
+/**
+ * XML formats recognised by their root element, with the module that enables them and their handler.
+ * 'spawnFile' marks formats that are listed in the spawn_files output.
+ * Each handler is called as warp(xmlData, translation, options) and returns the counts per name.
+ * Handlers write every number they change in the style of the value it replaces, see formatNumberLike.
+ * Formats whose names carry location keywords have 'rename', called as rename(xmlData, rename) for --swap-content.
+ */
+export const XML_FORMATS = [
+    { root: 'eventposdef', module: 'events', kind: 'events', spawnFile: true, warp: applyToEvents, rename: renameEvents },
+    { root: 'map', module: 'mapgroup', kind: 'mapgroup', spawnFile: false, warp: applyToMapGroups },
+    { root: 'playerspawnpoints', module: 'spawnpoints', kind: 'spawnpoints', spawnFile: false, warp: applyToSpawnPoints }
+];
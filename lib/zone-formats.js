@@ -0,0 +1,233 @@
+import { OptionsError } from './errors.js';
+
+/**
+ * The SQL columns written by default, keyed by the value they hold. The height columns are only written
+ * when zones carry a height range.
+ */
+export const DEFAULT_ZONE_COLUMNS = { type: 'ztype', x: 'zcoordsx', z: 'zcoordsy', radius: 'zradius', sid: 'sid', minHeight: 'zminheight', maxHeight: 'zmaxheight' };
+
+/**
+ * Checks that a table or column name is a plain SQL identifier, optionally qualified with a schema.
+ * @param {string} name - The identifier.
+ * @param {string} what - What the identifier names, for the error message.
+ * @returns {string} The identifier.
+ * @throws {OptionsError} If the name isn't a plain identifier.
+ */
+function checkIdentifier(name, what) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(name)) {
+        throw new OptionsError(`Invalid SQL ${what} "${name}". Use letters, digits and underscores, optionally as schema.name.`);
+    }
+    return name;
+}
+
+/**
+ * Parses a list of SQL column overrides such as "type=zone_type,sid=server_id".
+ * @param {string} [list] - The comma-separated key=column pairs.
+ * @returns {Object} The columns, with the defaults for every key not overridden.
+ * @throws {OptionsError} If a pair is malformed, a key is unknown or a column isn't a plain identifier.
+ */
+export function parseZoneColumns(list) {
+    const columns = { ...DEFAULT_ZONE_COLUMNS };
+    if (!list) {
+        return columns;
+    }
+
+    for (const pair of list.split(',').map(entry => entry.trim()).filter(Boolean)) {
+        const [key, column, ...rest] = pair.split('=').map(part => part.trim());
+        if (!column || rest.length > 0) {
+            throw new OptionsError(`Invalid column mapping "${pair}". Use key=column, e.g. sid=server_id.`);
+        }
+        if (!(key in DEFAULT_ZONE_COLUMNS)) {
+            throw new OptionsError(`Unknown column key "${key}". Keys: ${Object.keys(DEFAULT_ZONE_COLUMNS).join(', ')}.`);
+        }
+        columns[key] = checkIdentifier(column, 'column');
+    }
+    return columns;
+}
+
+/**
+ * Quotes a value as an SQL string literal, doubling embedded quotes.
+ * Backslashes and control characters are refused, as databases disagree on how to escape them.
+ * @param {string} value - The value.
+ * @returns {string} The literal.
+ * @throws {OptionsError} If the value contains a backslash or a control character.
+ */
+function sqlString(value) {
+    const text = String(value);
+    if (/[\\\x00-\x1f]/.test(text)) {
+        throw new OptionsError(`Cannot write "${text}" to SQL: backslashes and control characters are not allowed.`);
+    }
+    return `'${text.replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Formats a SID as an SQL literal: integers as numbers, anything else as a string.
+ * @param {string|number} sid - The SID.
+ * @returns {string} The literal.
+ */
+function sqlSid(sid) {
+    return /^-?\d+$/.test(String(sid)) ? String(sid) : sqlString(sid);
+}
+
+/**
+ * Converts a circle or polygon of the zone plane to game coordinates. The plane's y is the game's z.
+ * @param {Object} zone - A circle as { center: { x, y }, radius, points } or a polygon as { vertices, points }.
+ * @param {boolean} heights - Whether to add the height range of the covered points.
+ * @returns {Object} The zone as { shape: 'circle', x, z, radius, count } or { shape: 'polygon', vertices: [[x, z]], count },
+ * with minHeight and maxHeight when heights are requested.
+ */
+function toZone(zone, heights) {
+    const result = zone.vertices
+        ? { shape: 'polygon', vertices: zone.vertices.map(vertex => [vertex.x, vertex.y]), count: zone.points.length }
+        : { shape: 'circle', x: zone.center.x, z: zone.center.y, radius: zone.radius, count: zone.points.length };
+
+    if (heights) {
+        const values = zone.points.map(point => point.height).filter(height => typeof height === 'number');
+        result.minHeight = values.length > 0 ? Math.min(...values) : null;
+        result.maxHeight = values.length > 0 ? Math.max(...values) : null;
+    }
+    return result;
+}
+
+/**
+ * Converts a zone to a closed GeoJSON ring, approximating circles with a polygon.
+ * @param {Object} zone - The zone as returned by toZone.
+ * @param {number} segments - The number of segments of a circle.
+ * @returns {Array} The ring as [x, z] positions, first and last equal.
+ */
+function zoneRing(zone, segments) {
+    if (zone.shape === 'polygon') {
+        return [...zone.vertices, zone.vertices[0]];
+    }
+
+    const ring = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = (2 * Math.PI * (i % segments)) / segments;
+        ring.push([zone.x + zone.radius * Math.cos(angle), zone.z + zone.radius * Math.sin(angle)]);
+    }
+    return ring;
+}
+
+/**
+ * Refuses polygon zones for formats that can only hold circles.
+ * @param {Array} zones - The zones.
+ * @param {string} format - The format name, for the error message.
+ * @throws {OptionsError} If a zone is a polygon.
+ */
+function requireCircles(zones, format) {
+    if (zones.some(zone => zone.shape === 'polygon')) {
+        throw new OptionsError(`The ${format} format only holds circles. Use json, geojson or expansion for polygons.`);
+    }
+}
+
+/**
+ * Gives the height of a zone's range, or 0 without one.
+ * @param {Object} zone - The zone as returned by toZone.
+ * @returns {number} The height of the range.
+ */
+function rangeHeight(zone) {
+    return typeof zone.minHeight === 'number' ? zone.maxHeight - zone.minHeight : 0;
+}
+
+/**
+ * Zone output formats, keyed by the name accepted by --format.
+ * Each formatter is called as format(zones, options) and returns the text to print.
+ */
+export const ZONE_FORMATS = {
+    sql: (zones, options) => {
+        requireCircles(zones, 'sql');
+        const table = checkIdentifier(options.table || 'dayz_zones', 'table');
+        const columns = { ...DEFAULT_ZONE_COLUMNS, ...options.columns };
+        const keys = ['type', 'x', 'z', 'radius', 'sid', ...(options.heights ? ['minHeight', 'maxHeight'] : [])];
+        const names = keys.map(key => checkIdentifier(columns[key], 'column'));
+        const lines = zones.map((zone) => {
+            const values = [sqlString(options.type), zone.x, zone.z, zone.radius, sqlSid(options.sid)];
+            if (options.heights) {
+                values.push(zone.minHeight === null ? 'null' : zone.minHeight, zone.maxHeight === null ? 'null' : zone.maxHeight);
+            }
+            return `insert into ${table} (${names.join(', ')})\nvalues (${values.join(', ')});`;
+        });
+
+        // Summarize the cover as SQL comments so the output stays runnable
+        if (options.stats) {
+            const { count, totalArea, maxOvershoot } = options.stats;
+            lines.push(`-- ${count} zone(s), total area ${totalArea.toFixed(1)} m², max overshoot ${maxOvershoot.toFixed(2)} m`);
+        }
+        return lines.join('\n');
+    },
+    json: (zones, options) => JSON.stringify({
+        type: options.type || null,
+        sid: options.sid ?? null,
+        ...(options.stats ? { stats: options.stats } : {}),
+        zones
+    }, null, 4),
+    geojson: (zones, options) => JSON.stringify({
+        type: 'FeatureCollection',
+        features: zones.map((zone, i) => ({
+            type: 'Feature',
+            properties: {
+                name: `${options.type || 'zone'}-${i + 1}`,
+                zoneType: options.type || null,
+                sid: options.sid ?? null,
+                shape: zone.shape,
+                ...(zone.shape === 'circle' ? { center: [zone.x, zone.z], radius: zone.radius } : {}),
+                count: zone.count,
+                ...(options.heights ? { minHeight: zone.minHeight, maxHeight: zone.maxHeight } : {})
+            },
+            geometry: { type: 'Polygon', coordinates: [zoneRing(zone, 64)] }
+        })),
+        ...(options.stats ? { stats: options.stats } : {})
+    }, null, 4),
+    effectarea: (zones, options) => {
+        requireCircles(zones, 'effectarea');
+        return JSON.stringify({
+            Areas: zones.map((zone, i) => ({
+                AreaName: `${options.type || 'Zone'}-${i + 1}`,
+                Type: 'ContaminatedArea_Static',
+                TriggerType: 'ContaminatedTrigger',
+                Data: {
+                    Pos: [zone.x, zone.minHeight || 0, zone.z],
+                    Radius: zone.radius,
+                    ...(options.heights ? { PosHeight: rangeHeight(zone), NegHeight: 0 } : {})
+                }
+            })),
+            SafePositions: []
+        }, null, 4);
+    },
+    expansion: (zones, options) => {
+        const circles = zones.filter(zone => zone.shape === 'circle');
+        const polygons = zones.filter(zone => zone.shape === 'polygon');
+        return JSON.stringify({
+            ...(options.heights
+                ? { CylinderZones: circles.map(zone => ({ Center: [zone.x, zone.minHeight || 0, zone.z], Radius: zone.radius, Height: rangeHeight(zone) })) }
+                : { CircleZones: circles.map(zone => ({ Center: [zone.x, 0, zone.z], Radius: zone.radius })) }),
+            PolygonZones: polygons.map(zone => ({ Points: zone.vertices.map(([x, z]) => [x, zone.minHeight || 0, z]) }))
+        }, null, 4);
+    }
+};
+
+/**
+ * Formats computed zones for output.
+ * @param {Array} zones - The circles computed by computeMinimumCircles, or polygons computed by computeZonePolygon.
+ * @param {Object} options - Options.
+ * @param {string} [options.format] - One of the ZONE_FORMATS keys. (Default: 'sql')
+ * @param {string} [options.type] - The zone type. Required for SQL; names the zones in the other formats.
+ * @param {string|number} [options.sid] - The SID. Required for SQL.
+ * @param {string} [options.table] - The SQL table. (Default: 'dayz_zones')
+ * @param {Object} [options.columns] - The SQL columns, as returned by parseZoneColumns.
+ * @param {boolean} [options.heights] - Whether to add the height range of the objects each zone covers.
+ * @param {Object} [options.stats] - The cover stats from summarizeCircles, included where the format has room for them.
+ * @returns {string} The formatted zones.
+ * @throws {OptionsError} If the format is unknown or can't hold polygons, or SQL is missing its type or SID, or gets invalid identifiers or values.
+ */
+export function formatZones(zones, options = {}) {
+    const format = options.format || 'sql';
+    if (!(format in ZONE_FORMATS)) {
+        throw new OptionsError(`Unknown zone format "${format}". Formats: ${Object.keys(ZONE_FORMATS).join(', ')}.`);
+    }
+    if (format === 'sql' && (!options.type || options.sid === undefined || options.sid === '')) {
+        throw new OptionsError('The SQL format needs a zone type and a SID.');
+    }
+
+    return ZONE_FORMATS[format](zones.map(zone => toZone(zone, options.heights)), options);
+}
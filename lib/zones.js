@@ -0,0 +1,659 @@
+import { createSpatialIndex, querySpatialIndex } from './collisions.js';
+
+/**
+ * Projects object set positions onto the horizontal plane.
+ * DayZ positions are [x, height, z]; the zone plane uses x and z, exposed as { x, y }. The height and
+ * name are kept alongside for height ranges and filtering.
+ * @param {Array} objects - The objects of a set.
+ * @param {Object} [options] - Options.
+ * @param {RegExp} [options.name] - Only objects whose name matches count.
+ * @returns {Array} The projected points as { x, y, height, name }.
+ */
+export function objectsToPoints(objects, options = {}) {
+    return objects
+        .filter(obj => Array.isArray(obj.pos) && obj.pos.length >= 3)
+        .filter(obj => !options.name || options.name.test(String(obj.name || '')))
+        .map((obj) => {
+            const [x, height, z] = obj.pos;
+            return { x, y: z, height, name: obj.name };
+        });
+}
+
+/**
+ * Indexes zone points in the spatial grid used by the collision check, with the zone plane's y as z.
+ * @param {Array} points - The points as { x, y }.
+ * @param {number} cellSize - The grid cell size.
+ * @returns {Object} The spatial index; every item keeps its point as 'point'.
+ */
+function indexPoints(points, cellSize) {
+    return createSpatialIndex(points.map(point => ({ x: point.x, z: point.y, radius: 0, point })), cellSize);
+}
+
+/**
+ * Computes the circle through two points, or through three points, as { x, y, radius }.
+ * @param {Array} points - Two or three points as { x, y }.
+ * @returns {Object|null} The circle, or null for three collinear points.
+ */
+function circleThrough(points) {
+    if (points.length === 2) {
+        const [a, b] = points;
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, radius: Math.hypot(a.x - b.x, a.y - b.y) / 2 };
+    }
+
+    const [a, b, c] = points;
+    const bx = b.x - a.x;
+    const by = b.y - a.y;
+    const cx = c.x - a.x;
+    const cy = c.y - a.y;
+    const d = 2 * (bx * cy - by * cx);
+    if (d === 0) {
+        return null;
+    }
+    const ux = (cy * (bx * bx + by * by) - by * (cx * cx + cy * cy)) / d;
+    const uy = (bx * (cx * cx + cy * cy) - cx * (bx * bx + by * by)) / d;
+    return { x: a.x + ux, y: a.y + uy, radius: Math.hypot(ux, uy) };
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so shuffles come out the same on every run.
+ * @param {number} seed - The seed.
+ * @returns {Function} A function returning numbers in [0, 1).
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Computes the smallest circle enclosing a set of points with Welzl's algorithm, in its iterative
+ * move-to-front form so large sets don't exhaust the stack.
+ * @param {Array} points - The points as { x, y }.
+ * @returns {Object} The circle as { x, y, radius }.
+ */
+export function smallestEnclosingCircle(points) {
+    // Shuffle so the expected running time is linear whatever the input order. The shuffle is seeded, so the
+    // same points always give the same circle and regenerated zone files don't change
+    const random = seededRandom(points.length);
+    const shuffled = [...points];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const epsilon = 1e-7;
+    const contains = (circle, point) => circle && Math.hypot(point.x - circle.x, point.y - circle.y) <= circle.radius + epsilon;
+    let circle = null;
+
+    for (let i = 0; i < shuffled.length; i++) {
+        const p = shuffled[i];
+        if (contains(circle, p)) continue;
+
+        // p lies on the boundary of the circle enclosing the first i + 1 points
+        circle = { x: p.x, y: p.y, radius: 0 };
+        for (let j = 0; j < i; j++) {
+            const q = shuffled[j];
+            if (contains(circle, q)) continue;
+
+            // p and q both lie on the boundary
+            circle = circleThrough([p, q]);
+            for (let k = 0; k < j; k++) {
+                const r = shuffled[k];
+                if (contains(circle, r)) continue;
+                circle = circleThrough([p, q, r]) || circle;
+            }
+        }
+    }
+
+    return circle || { x: 0, y: 0, radius: 0 };
+}
+
+/**
+ * Moves the last entry of a max-heap of candidates up to its place. Candidates compare by 'count',
+ * then by creation order.
+ * @param {Array} heap - The heap.
+ */
+function siftUp(heap) {
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!isBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+/**
+ * Removes and returns the top candidate of a max-heap.
+ * @param {Array} heap - The heap.
+ * @returns {Object} The candidate with the highest count.
+ */
+function popHeap(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let best = i;
+            if (left < heap.length && isBefore(heap[left], heap[best])) best = left;
+            if (right < heap.length && isBefore(heap[right], heap[best])) best = right;
+            if (best === i) break;
+            [heap[i], heap[best]] = [heap[best], heap[i]];
+            i = best;
+        }
+    }
+    return top;
+}
+
+/**
+ * Orders heap candidates: higher counts first, earlier candidates first on ties.
+ * @param {Object} a - A candidate.
+ * @param {Object} b - Another candidate.
+ * @returns {boolean} True if a comes before b.
+ */
+function isBefore(a, b) {
+    return a.count > b.count || (a.count === b.count && a.order < b.order);
+}
+
+/**
+ * Computes a small number of circles of at most maxRadius that cover every point.
+ * Candidate centres are the points themselves and the nodes of a lattice with a spacing of half the radius
+ * around them, so circles aren't tied to object positions. Candidates are picked greedily by how many
+ * uncovered points they reach, re-scoring lazily through a spatial grid instead of rescanning every point.
+ * Each chosen circle is then shrunk to the smallest circle enclosing the points it covers, but not below
+ * minRadius, so a circle around a single object still covers some ground.
+ * @param {Array} points - The points to cover as { x, y }.
+ * @param {number} maxRadius - The largest radius of a circle.
+ * @param {number} [minRadius] - The smallest radius of a circle. (Default: 1, or maxRadius if that is smaller)
+ * @returns {Array} The circles as { center, radius, points }.
+ */
+export function computeMinimumCircles(points, maxRadius, minRadius = 1) {
+    const index = indexPoints(points, maxRadius);
+    const covered = new Set();
+    const circles = [];
+
+    // Candidate centres: the points, and every lattice node within reach of a point
+    const spacing = maxRadius / 2;
+    const steps = Math.ceil(maxRadius / spacing);
+    const candidates = new Map();
+    for (const point of points) {
+        candidates.set(`p${point.x},${point.y}`, { x: point.x, y: point.y });
+        const column = Math.round(point.x / spacing);
+        const row = Math.round(point.y / spacing);
+        for (let i = column - steps; i <= column + steps; i++) {
+            for (let j = row - steps; j <= row + steps; j++) {
+                const x = i * spacing;
+                const y = j * spacing;
+                if (Math.hypot(x - point.x, y - point.y) <= maxRadius) {
+                    candidates.set(`${i},${j}`, { x, y });
+                }
+            }
+        }
+    }
+
+    // Uncovered points within reach of a centre
+    const reach = candidate => querySpatialIndex(index, candidate.x, candidate.y, maxRadius)
+        .map(({ item }) => item)
+        .filter(item => !covered.has(item));
+
+    const heap = [];
+    let order = 0;
+    for (const candidate of candidates.values()) {
+        candidate.count = reach(candidate).length;
+        candidate.order = order++;
+        heap.push(candidate);
+        siftUp(heap);
+    }
+
+    // Counts only ever drop, so a candidate whose fresh count still tops the heap is the best one
+    while (covered.size < index.size && heap.length > 0) {
+        const candidate = popHeap(heap);
+        const items = reach(candidate);
+        if (items.length === 0) continue;
+        if (heap.length > 0 && items.length < heap[0].count) {
+            candidate.count = items.length;
+            heap.push(candidate);
+            siftUp(heap);
+            continue;
+        }
+
+        // Shrink to the points this circle covers, and claim any other uncovered point inside it
+        const enclosing = smallestEnclosingCircle(items.map(item => item.point));
+        const radius = Math.min(Math.max(enclosing.radius, minRadius), maxRadius);
+        const inside = querySpatialIndex(index, enclosing.x, enclosing.y, radius + 1e-7)
+            .map(({ item }) => item)
+            .filter(item => !covered.has(item));
+        const claimed = new Set([...items, ...inside]);
+        claimed.forEach(item => covered.add(item));
+
+        circles.push({
+            center: { x: enclosing.x, y: enclosing.y },
+            radius,
+            points: [...claimed].map(item => item.point)
+        });
+    }
+
+    return circles;
+}
+
+/**
+ * Summarizes a zone cover: how many circles, the area they add up to, and the overshoot, i.e. how far
+ * the edge of a circle reaches from the nearest point. The edge is sampled every few degrees.
+ * @param {Array} circles - The circles computed by computeMinimumCircles.
+ * @param {Array} points - The covered points as { x, y }.
+ * @returns {Object} The stats: { count, totalArea, maxOvershoot }.
+ */
+export function summarizeCircles(circles, points) {
+    const samples = 64;
+    const largest = circles.reduce((max, circle) => Math.max(max, circle.radius), 0);
+    const index = indexPoints(points, Math.max(largest, 1));
+    let maxOvershoot = 0;
+
+    for (const circle of circles) {
+        for (let i = 0; i < samples && circle.radius > 0; i++) {
+            const angle = (2 * Math.PI * i) / samples;
+            const x = circle.center.x + circle.radius * Math.cos(angle);
+            const y = circle.center.y + circle.radius * Math.sin(angle);
+
+            // Every point of the circle is within its diameter of the edge
+            const [nearest] = querySpatialIndex(index, x, y, 2 * circle.radius);
+            if (nearest) {
+                maxOvershoot = Math.max(maxOvershoot, nearest.distance);
+            }
+        }
+    }
+
+    return {
+        count: circles.length,
+        totalArea: circles.reduce((sum, circle) => sum + Math.PI * circle.radius * circle.radius, 0),
+        maxOvershoot
+    };
+}
+
+/**
+ * The cross product of the vectors o->a and o->b; positive when a, b turn counterclockwise around o.
+ * @param {Object} o - The origin as { x, y }.
+ * @param {Object} a - The first point.
+ * @param {Object} b - The second point.
+ * @returns {number} The cross product.
+ */
+function cross(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+/**
+ * Drops points that share a position with an earlier one.
+ * @param {Array} points - The points as { x, y }.
+ * @returns {Array} The distinct points.
+ */
+function distinctPoints(points) {
+    const seen = new Map();
+    for (const point of points) {
+        const key = `${point.x},${point.y}`;
+        if (!seen.has(key)) seen.set(key, point);
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Computes the convex hull of a set of points with Andrew's monotone chain.
+ * @param {Array} points - The points as { x, y }.
+ * @returns {Array} The hull vertices in counterclockwise order, without repeating the first.
+ */
+export function convexHull(points) {
+    const sorted = distinctPoints(points).sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) {
+        return sorted;
+    }
+
+    const lower = [];
+    for (const point of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    }
+    const upper = [];
+    for (const point of [...sorted].reverse()) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
+    }
+    return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+/**
+ * Computes the distance from a point to a segment.
+ * @param {Object} p - The point as { x, y }.
+ * @param {Object} a - The start of the segment.
+ * @param {Object} b - The end of the segment.
+ * @returns {number} The distance.
+ */
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Checks whether two segments cross. Segments that only share an end point don't.
+ * @param {Object} a - The start of the first segment.
+ * @param {Object} b - The end of the first segment.
+ * @param {Object} c - The start of the second segment.
+ * @param {Object} d - The end of the second segment.
+ * @returns {boolean} True if the segments intersect.
+ */
+function segmentsCross(a, b, c, d) {
+    if (a === c || a === d || b === c || b === d) {
+        return false;
+    }
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * Checks whether a point lies inside or on a triangle.
+ * @param {Object} p - The point as { x, y }.
+ * @param {Object} a - A corner of the triangle.
+ * @param {Object} b - A corner of the triangle.
+ * @param {Object} c - A corner of the triangle.
+ * @returns {boolean} True if the point is inside or on the edge.
+ */
+function inTriangle(p, a, b, c) {
+    const d1 = cross(a, b, p);
+    const d2 = cross(b, c, p);
+    const d3 = cross(c, a, p);
+    return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+/**
+ * Computes a concave hull by digging into the convex hull: every edge longer than maxEdge is split at the
+ * nearest inner point whose new edges cross no other edge and leave no point outside. Every split uses up an
+ * inner point, so digging ends.
+ * @param {Array} points - The points as { x, y }.
+ * @param {number} maxEdge - The longest edge left undug, in meters. Smaller values follow the objects closer.
+ * @returns {Array} The hull vertices in counterclockwise order, without repeating the first.
+ */
+export function concaveHull(points, maxEdge) {
+    const hull = convexHull(points);
+    const onHull = new Set(hull);
+    const inner = new Set(distinctPoints(points).filter(point => !onHull.has(point)));
+
+    let i = 0;
+    while (i < hull.length && hull.length >= 3) {
+        const a = hull[i];
+        const b = hull[(i + 1) % hull.length];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length <= maxEdge) {
+            i++;
+            continue;
+        }
+
+        // Try the inner points nearest to the edge first
+        const candidates = [...inner]
+            .map(p => ({ p, distance: segmentDistance(p, a, b) }))
+            .sort((first, second) => first.distance - second.distance);
+
+        const found = candidates.find(({ p }) => {
+            for (let j = 0; j < hull.length; j++) {
+                const c = hull[j];
+                const d = hull[(j + 1) % hull.length];
+                if (j !== i && (segmentsCross(a, p, c, d) || segmentsCross(p, b, c, d))) return false;
+            }
+            for (const other of inner) {
+                if (other !== p && inTriangle(other, a, p, b)) return false;
+            }
+            return true;
+        });
+
+        if (found) {
+            hull.splice(i + 1, 0, found.p);
+            inner.delete(found.p);
+        } else {
+            i++;
+        }
+    }
+
+    return hull;
+}
+
+/**
+ * Walks the outer boundary of a closed, possibly self-intersecting line: the line is split where its segments
+ * meet, and the walk keeps the outside on its right by always taking the rightmost turn.
+ * @param {Array} line - The corners of the closed line as { x, y }, without repeating the first.
+ * @returns {Array} The outer boundary in counterclockwise order, without repeating the first vertex.
+ */
+function outerBoundary(line) {
+    const epsilon = 1e-9;
+    const segments = line.map((a, i) => [a, line[(i + 1) % line.length]])
+        .filter(([a, b]) => Math.hypot(b.x - a.x, b.y - a.y) > epsilon);
+
+    // Bucket the segments in a grid, so only segments sharing a cell are compared
+    const cellSize = 2 * segments.reduce((sum, [a, b]) => sum + Math.hypot(b.x - a.x, b.y - a.y), 0) / segments.length;
+    const grid = new Map();
+    segments.forEach(([a, b], i) => {
+        for (let column = Math.floor(Math.min(a.x, b.x) / cellSize); column <= Math.floor(Math.max(a.x, b.x) / cellSize); column++) {
+            for (let row = Math.floor(Math.min(a.y, b.y) / cellSize); row <= Math.floor(Math.max(a.y, b.y) / cellSize); row++) {
+                const key = `${column},${row}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(i);
+            }
+        }
+    });
+    const pairs = new Set();
+    for (const cell of grid.values()) {
+        for (let k = 0; k < cell.length; k++) {
+            for (let l = k + 1; l < cell.length; l++) pairs.add(cell[k] * segments.length + cell[l]);
+        }
+    }
+
+    // Where along each segment it meets another one, as fractions of its length
+    const cuts = segments.map(() => [0, 1]);
+    for (const pair of pairs) {
+        const i = Math.floor(pair / segments.length);
+        const j = pair % segments.length;
+        const [a, b] = segments[i];
+        const [c, d] = segments[j];
+        if (Math.max(a.x, b.x) < Math.min(c.x, d.x) - epsilon || Math.max(c.x, d.x) < Math.min(a.x, b.x) - epsilon
+            || Math.max(a.y, b.y) < Math.min(c.y, d.y) - epsilon || Math.max(c.y, d.y) < Math.min(a.y, b.y) - epsilon) {
+            continue;
+        }
+        const rx = b.x - a.x;
+        const ry = b.y - a.y;
+        const sx = d.x - c.x;
+        const sy = d.y - c.y;
+        const denominator = rx * sy - ry * sx;
+        const lengths = Math.hypot(rx, ry) * Math.hypot(sx, sy);
+        if (Math.abs(denominator) > epsilon * lengths) {
+            const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denominator;
+            const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denominator;
+            if (t >= -epsilon && t <= 1 + epsilon && u >= -epsilon && u <= 1 + epsilon) {
+                cuts[i].push(Math.min(1, Math.max(0, t)));
+                cuts[j].push(Math.min(1, Math.max(0, u)));
+            }
+            continue;
+        }
+
+        // Parallel segments only meet where they overlap, at the end points of one another
+        for (const [p, index, own] of [[c, i, [a, b]], [d, i, [a, b]], [a, j, [c, d]], [b, j, [c, d]]]) {
+            const [from, to] = own;
+            const ex = to.x - from.x;
+            const ey = to.y - from.y;
+            const t = ((p.x - from.x) * ex + (p.y - from.y) * ey) / (ex * ex + ey * ey);
+            if (t > 0 && t < 1 && segmentDistance(p, from, to) < 1e-6) cuts[index].push(t);
+        }
+    }
+
+    // Join the pieces into a graph whose nodes are positions, merging positions closer than rounding noise
+    const nodes = new Map();
+    const nodeAt = (x, y) => {
+        const key = `${Math.round(x * 1e6)},${Math.round(y * 1e6)}`;
+        if (!nodes.has(key)) nodes.set(key, { x, y, next: new Set() });
+        return nodes.get(key);
+    };
+    segments.forEach(([a, b], i) => {
+        const stops = [...new Set(cuts[i])].sort((first, second) => first - second)
+            .map(t => nodeAt(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t));
+        for (let k = 1; k < stops.length; k++) {
+            if (stops[k] === stops[k - 1]) continue;
+            stops[k - 1].next.add(stops[k]);
+            stops[k].next.add(stops[k - 1]);
+        }
+    });
+
+    // The rightmost turn at a node is its first neighbour counterclockwise from the way back
+    const rightmostTurn = (previous, current) => {
+        const back = Math.atan2(previous.y - current.y, previous.x - current.x);
+        let best = null;
+        let bestAngle = Infinity;
+        for (const node of current.next) {
+            let angle = Math.atan2(node.y - current.y, node.x - current.x) - back;
+            while (angle <= epsilon) angle += 2 * Math.PI;
+            while (angle > 2 * Math.PI + epsilon) angle -= 2 * Math.PI;
+            if (angle < bestAngle) {
+                best = node;
+                bestAngle = angle;
+            }
+        }
+        return best;
+    };
+
+    // The lowest node is on the outer boundary; start there heading right, and stop on leaving it the same way again
+    const start = [...nodes.values()].reduce((lowest, node) => (node.y < lowest.y || (node.y === lowest.y && node.x < lowest.x) ? node : lowest));
+    const edges = [...nodes.values()].reduce((sum, node) => sum + node.next.size, 0);
+    const boundary = [];
+    let previous = { x: start.x - 1, y: start.y };
+    let current = start;
+    let first = null;
+    while (boundary.length <= edges) {
+        const next = rightmostTurn(previous, current);
+        if (!next) break;
+        if (current === start) {
+            if (next === first) break;
+            first = first || next;
+        }
+        boundary.push(current);
+        previous = current;
+        current = next;
+    }
+
+    return boundary.map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * Grows a polygon by a margin: every edge is moved out by the margin, convex corners are rounded off with arcs
+ * and the outer boundary of the result is kept. The arcs are drawn from lines touching the circle, so every
+ * point of the grown polygon's edge is at least the margin away from the polygon.
+ * @param {Array} vertices - The polygon as { x, y } in counterclockwise order. One or two vertices are a point or a line.
+ * @param {number} margin - How far to grow the polygon, in meters.
+ * @returns {Array} The grown polygon in counterclockwise order.
+ */
+function bufferPolygon(vertices, margin) {
+    const segments = 16;
+    const line = [];
+
+    // A rounded corner from the direction 'from' to 'to', in radians counterclockwise
+    const addArc = (vertex, from, to) => {
+        const steps = Math.max(1, Math.ceil((to - from) / ((2 * Math.PI) / segments)));
+        const step = (to - from) / steps;
+        const reach = margin / Math.cos(step / 2);
+        line.push({ x: vertex.x + margin * Math.cos(from), y: vertex.y + margin * Math.sin(from) });
+        for (let k = 0; k < steps; k++) {
+            const angle = from + (k + 0.5) * step;
+            line.push({ x: vertex.x + reach * Math.cos(angle), y: vertex.y + reach * Math.sin(angle) });
+        }
+        line.push({ x: vertex.x + margin * Math.cos(to), y: vertex.y + margin * Math.sin(to) });
+    };
+
+    if (vertices.length === 1) {
+        addArc(vertices[0], -Math.PI / 2, (3 * Math.PI) / 2);
+        return outerBoundary(line);
+    }
+
+    // The outward normal of an edge is on its right, pointing away from the inside on its left
+    const normals = vertices.map((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        return Math.atan2(-(b.x - a.x), b.y - a.y);
+    });
+    vertices.forEach((vertex, i) => {
+        const from = normals[(i + vertices.length - 1) % vertices.length];
+        let turn = Math.atan2(Math.sin(normals[i] - from), Math.cos(normals[i] - from));
+        if (turn < -Math.PI + 1e-9) turn += 2 * Math.PI;
+
+        if (Math.abs(turn) <= 1e-9) {
+            // A straight corner: the moved edges meet
+            line.push({ x: vertex.x + margin * Math.cos(from), y: vertex.y + margin * Math.sin(from) });
+        } else if (turn > 0) {
+            addArc(vertex, from, from + turn);
+        } else {
+            // A reflex corner: the moved edges cross outside of it and the walk cuts off the loop
+            line.push({ x: vertex.x + margin * Math.cos(from), y: vertex.y + margin * Math.sin(from) });
+            line.push({ x: vertex.x, y: vertex.y });
+            line.push({ x: vertex.x + margin * Math.cos(normals[i]), y: vertex.y + margin * Math.sin(normals[i]) });
+        }
+    });
+
+    return outerBoundary(line);
+}
+
+/**
+ * Computes a polygon zone around a set of points.
+ * A margin is applied by growing the hull of the objects, so every object is at least the margin from the edge.
+ * @param {Array} points - The points as { x, y }.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.hull] - 'convex' or 'concave'. (Default: 'convex')
+ * @param {number} [options.concavity] - The longest edge of a concave hull in meters. (Default: 25)
+ * @param {number} [options.margin] - How far the polygon reaches past the objects in meters. (Default: 0)
+ * @returns {Object} The zone as { vertices, points }, vertices in counterclockwise order.
+ */
+export function computeZonePolygon(points, options = {}) {
+    const { hull = 'convex', concavity = 25, margin = 0 } = options;
+    let vertices = hull === 'concave' ? concaveHull(points, concavity) : convexHull(points);
+
+    if (margin > 0 && vertices.length > 0) {
+        vertices = bufferPolygon(vertices, margin);
+    }
+
+    return { vertices: vertices.map(({ x, y }) => ({ x, y })), points };
+}
+
+/**
+ * Summarizes a polygon zone like summarizeCircles: one zone, its area, and how far its edge reaches from
+ * the nearest point. The edge is sampled at its vertices and in between.
+ * @param {Object} polygon - The zone computed by computeZonePolygon.
+ * @param {Array} points - The covered points as { x, y }.
+ * @returns {Object} The stats: { count, totalArea, maxOvershoot }.
+ */
+export function summarizePolygon(polygon, points) {
+    const { vertices } = polygon;
+    const samples = 8;
+    let area = 0;
+    let maxOvershoot = 0;
+
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        area += a.x * b.y - b.x * a.y;
+
+        for (let j = 0; j < samples; j++) {
+            const x = a.x + ((b.x - a.x) * j) / samples;
+            const y = a.y + ((b.y - a.y) * j) / samples;
+            const nearest = points.reduce((min, point) => Math.min(min, Math.hypot(point.x - x, point.y - y)), Infinity);
+            if (nearest !== Infinity) {
+                maxOvershoot = Math.max(maxOvershoot, nearest);
+            }
+        }
+    }
+
+    return { count: 1, totalArea: Math.abs(area) / 2, maxOvershoot };
+}
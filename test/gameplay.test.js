@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { patchGameplayConfig } from '../lib/gameplay.js';
+
+describe('patchGameplayConfig', () => {
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-gameplay-'));
+    });
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const patch = async (name, text, spawnFiles, options) => {
+        const gameplayPath = path.join(dir, name);
+        await fs.writeFile(gameplayPath, text);
+        const result = await patchGameplayConfig(gameplayPath, spawnFiles, options);
+        return { result, text: await fs.readFile(gameplayPath, 'utf-8') };
+    };
+
+    it('replaces stale entries in place and appends new ones, leaving the rest of the file as it was', async () => {
+        const original = '{\r\n  "version": 122,\r\n  "WorldsData": {\r\n    "lightingConfig": 1.50,\r\n    "objectSpawnersArr": [\r\n'
+            + '      "custom/a.json",\r\n      "custom/kb-base-0101.json"\r\n    ],\r\n    "playerRestrictedAreaFiles": [ ]\r\n  }\r\n}\r\n';
+        const { result, text } = await patch('crlf.json', original, ['custom/kb-base-0202.json', 'custom/kb-new-0202.json', 'custom/events.xml']);
+
+        assert.deepEqual(result.added, ['custom/kb-base-0202.json', 'custom/kb-new-0202.json']);
+        assert.deepEqual(result.removed, ['custom/kb-base-0101.json']);
+        assert.equal(text, original
+            .replace('kb-base-0101', 'kb-base-0202')
+            .replace('"custom/kb-base-0202.json"\r\n', '"custom/kb-base-0202.json",\r\n      "custom/kb-new-0202.json"\r\n'));
+        assert.equal(await fs.readFile(result.backupPath, 'utf-8'), original);
+    });
+
+    it('fills an empty array one entry per line', async () => {
+        const { text } = await patch('empty.json', '{\n\t"WorldsData": {\n\t\t"objectSpawnersArr": []\n\t}\n}\n', ['custom/a.json', 'custom/b.json']);
+        assert.equal(text, '{\n\t"WorldsData": {\n\t\t"objectSpawnersArr": [\n\t\t\t"custom/a.json",\n\t\t\t"custom/b.json"\n\t\t]\n\t}\n}\n');
+    });
+
+    it('adds a missing array with the file\'s own indentation', async () => {
+        const { text } = await patch('missing.json', '{\n  "version": 122\n}\n', ['custom/a.json']);
+        assert.equal(text, '{\n  "version": 122,\n  "WorldsData": {\n    "objectSpawnersArr": [\n      "custom/a.json"\n    ]\n  }\n}\n');
+    });
+
+    it('writes nothing when every file is listed already or on a dry run', async () => {
+        const original = '{"WorldsData":{"objectSpawnersArr":["custom/a.json"]}}';
+        const listed = await patch('listed.json', original, ['custom/a.json']);
+        assert.equal(listed.text, original);
+        assert.equal(listed.result.backupPath, null);
+
+        const dry = await patch('dry.json', original, ['custom/b.json'], { dryRun: true });
+        assert.deepEqual(dry.result.added, ['custom/b.json']);
+        assert.equal(dry.text, original);
+    });
+});
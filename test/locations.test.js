@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { findLocation, parseGridReference, readGazetteer, resolveWarpTarget } from '../lib/locations.js';
+import { OptionsError, SchemaError } from '../lib/errors.js';
+
+describe('parseGridReference', () => {
+    it('converts references to the centre of their cell, counting rows from the north edge', () => {
+        assert.deepEqual(parseGridReference('067 112', 15360), { x: 6750, z: 15360 - 11250, cellSize: 100 });
+        assert.deepEqual(parseGridReference('0675-1120', 15360), { x: 6755, z: 15360 - 11205, cellSize: 10 });
+        assert.deepEqual(parseGridReference('067112', 15360), parseGridReference('067 112', 15360));
+        assert.deepEqual(parseGridReference('06/11', 15360), { x: 6500, z: 15360 - 11500, cellSize: 1000 });
+    });
+
+    it('rejects malformed references and references off the map', () => {
+        assert.throws(() => parseGridReference('067 11', 15360), OptionsError);
+        assert.throws(() => parseGridReference('abc def', 15360), OptionsError);
+        assert.throws(() => parseGridReference('160 010', 15360), OptionsError);
+        assert.throws(() => parseGridReference('010 160', 15360), OptionsError);
+    });
+});
+
+describe('gazetteer', () => {
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-locations-'));
+        await fs.writeFile(path.join(dir, 'chernarus.json'), JSON.stringify({
+            map: 'chernarus',
+            locations: {
+                'NWAF tower': { x: 4600, y: 340, z: 10300, aliases: ['ATC'] },
+                'Green Mountain': [3700, 420, 6000],
+                'Cherno docks': '066 135'
+            }
+        }));
+        await fs.writeFile(path.join(dir, 'broken.json'), JSON.stringify({ locations: { Nowhere: 'here' } }));
+    });
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('finds locations by name or alias, ignoring case and spacing', async () => {
+        const gazetteer = await readGazetteer(path.join(dir, 'chernarus.json'));
+        assert.deepEqual(findLocation(gazetteer, '  nwaf   TOWER '), { name: 'NWAF tower', x: 4600, y: 340, z: 10300 });
+        assert.equal(findLocation(gazetteer, 'atc').name, 'NWAF tower');
+        assert.deepEqual(findLocation(gazetteer, 'Green Mountain'), { name: 'Green Mountain', x: 3700, y: 420, z: 6000 });
+        assert.equal(findLocation(gazetteer, 'Cherno docks').y, null);
+        assert.throws(() => findLocation(gazetteer, 'nwaf'), /Did you mean "NWAF tower"/);
+    });
+
+    it('rejects grid references without a map', async () => {
+        await assert.rejects(readGazetteer(path.join(dir, 'broken.json')), SchemaError);
+    });
+
+    it('resolves a warp target with a height', async () => {
+        const target = await resolveWarpTarget({ location: 'ATC', gazetteerPath: path.join(dir, 'chernarus.json') });
+        assert.deepEqual({ x: target.x, y: target.y, z: target.z }, { x: 4600, y: 340, z: 10300 });
+
+        const raised = await resolveWarpTarget({ location: 'Cherno docks', gazetteerPath: path.join(dir, 'chernarus.json'), height: 5 });
+        assert.equal(raised.y, 5);
+
+        await assert.rejects(resolveWarpTarget({ gridReference: '067 112', location: 'ATC' }), OptionsError);
+        await assert.rejects(resolveWarpTarget({ location: 'Cherno docks', gazetteerPath: path.join(dir, 'chernarus.json') }));
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { warpSet } from '../lib/warp.js';
+import { readManifest, undoWarp } from '../lib/manifest.js';
+import { parseXMLDocument } from '../lib/xml-document.js';
+
+const BASE = {
+    Objects: [
+        { name: 'Land_Wall', pos: [7665.5, 20.14, 2390.55], ypr: [12.5, 0, 0] },
+        { name: 'Land_Tower', pos: [7690.25, 22, 2410], ypr: [-170, 0, 0] }
+    ]
+};
+const OUTPOST = { Objects: [{ name: 'Land_Tent', pos: [7600, 19.5, 2300.125], ypr: [90, 0, 0] }] };
+const EVENTS = `<?xml version="1.0" encoding="UTF-8"?>
+<eventposdef>
+    <event name="StaticHeliCrash">
+        <pos x="7665.50" z="2390.55" a="45" />
+        <pos x="7700" z="2400" a="0" />
+    </event>
+</eventposdef>
+`;
+
+/**
+ * Asserts that two lists of numbers are equal within a tolerance.
+ * @param {Array} actual - The actual numbers.
+ * @param {Array} expected - The expected numbers.
+ * @param {number} tolerance - The largest difference.
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, index) => assert.ok(Math.abs(Number(value) - expected[index]) <= tolerance, `expected ${expected}, got ${actual}`));
+}
+
+describe('undoWarp', () => {
+    const date = new Date(2024, 9, 19);
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-manifest-'));
+        await fs.mkdir(path.join(dir, 'sets', 'outposts'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'sets', 'kb-base-0101.json'), JSON.stringify(BASE, null, 4));
+        await fs.writeFile(path.join(dir, 'sets', 'outposts', 'kb-outpost-0101.json'), JSON.stringify(OUTPOST, null, 4));
+        await fs.writeFile(path.join(dir, 'sets', 'cfgeventspawns.xml'), EVENTS);
+    });
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('maps a rotated warp and its relation directory back to the original files', async () => {
+        const result = await warpSet({
+            inputSetPath: path.join(dir, 'sets', 'kb-base-0101.json'),
+            inputSetRelationDir: path.join(dir, 'sets'),
+            outputDir: path.join(dir, 'warped'),
+            target: { x: 1000.125, y: 200, z: 3000 },
+            offsets: { offsetX: 0.5, offsetY: 0, offsetZ: -0.25 },
+            rotation: 37,
+            pivot: 'centroid',
+            modules: ['json', 'events'],
+            date
+        });
+        assert.equal(result.manifestPath, path.join(dir, 'warped', 'kb-base-1019.manifest.json'));
+        const manifest = await readManifest(result.manifestPath);
+        assert.equal(manifest.files.length, 3);
+
+        const undone = await undoWarp({ manifestPath: result.manifestPath });
+        const unwarped = path.join(dir, 'warped', 'unwarped');
+        assert.equal(undone.outputDir, unwarped);
+
+        // JSON positions and yaws come back to floating point noise
+        const base = JSON.parse(await fs.readFile(path.join(unwarped, 'kb-base-0101.json'), 'utf-8'));
+        base.Objects.forEach((obj, index) => {
+            assertClose(obj.pos, BASE.Objects[index].pos, 1e-9);
+            assertClose([obj.ypr[0]], [BASE.Objects[index].ypr[0]], 1e-9);
+        });
+        const outpost = JSON.parse(await fs.readFile(path.join(unwarped, 'outposts', 'kb-outpost-0101.json'), 'utf-8'));
+        assertClose(outpost.Objects[0].pos, OUTPOST.Objects[0].pos, 1e-9);
+
+        // XML values are rounded to at most six decimals on the way out and back
+        const events = parseXMLDocument(await fs.readFile(path.join(unwarped, 'cfgeventspawns.xml'), 'utf-8'));
+        const positions = events.eventposdef.event.pos.map(({ $ }) => [$.x, $.z, $.a]);
+        assertClose(positions[0], [7665.5, 2390.55, 45], 2e-6);
+        assertClose(positions[1], [7700, 2400, 0], 2e-6);
+    });
+
+    it('picks up objects moved in-game after the warp', async () => {
+        const manifestPath = path.join(dir, 'warped', 'kb-base-1019.manifest.json');
+        const outputPath = path.join(dir, 'warped', 'kb-base-1019.json');
+        const warped = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+        warped.Objects[1].pos[1] += 3;
+        await fs.writeFile(outputPath, JSON.stringify(warped));
+
+        await undoWarp({ manifestPath, outputDir: path.join(dir, 'edited') });
+        const base = JSON.parse(await fs.readFile(path.join(dir, 'edited', 'kb-base-0101.json'), 'utf-8'));
+        assertClose(base.Objects[1].pos, [7690.25, 25, 2410], 1e-9);
+    });
+
+    it('restores names and selected events renamed by swapContent', async () => {
+        const result = await warpSet({
+            inputSetPath: path.join(dir, 'sets', 'kb-base-0101.json'),
+            inputSetRelationDir: path.join(dir, 'sets'),
+            outputDir: path.join(dir, 'swapped'),
+            target: { x: 1000, y: 200, z: 3000 },
+            modules: ['json', 'events'],
+            events: ['*Heli*'],
+            swaps: [{ from: 'Heli', to: 'Plane', regex: false }, { from: 'Wall', to: 'Fence', regex: false }],
+            swapContent: true,
+            date
+        });
+        const eventsOutput = result.files.find(file => file.kind === 'events').output;
+        const warped = parseXMLDocument(await fs.readFile(eventsOutput, 'utf-8'));
+        assert.equal(warped.eventposdef.event.$.name, 'StaticPlaneCrash');
+
+        await undoWarp({ manifestPath: result.manifestPath });
+        const unwarped = path.join(dir, 'swapped', 'unwarped');
+        const base = JSON.parse(await fs.readFile(path.join(unwarped, 'kb-base-0101.json'), 'utf-8'));
+        assert.deepEqual(base.Objects.map(obj => obj.name), ['Land_Wall', 'Land_Tower']);
+        const events = parseXMLDocument(await fs.readFile(path.join(unwarped, 'cfgeventspawns.xml'), 'utf-8'));
+        assert.equal(events.eventposdef.event.$.name, 'StaticHeliCrash');
+        assertClose([events.eventposdef.event.pos[0].$.x, events.eventposdef.event.pos[0].$.z], [7665.5, 2390.55], 2e-6);
+    });
+});
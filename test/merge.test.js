@@ -0,0 +1,60 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { findDuplicates, mergeSets } from '../lib/merge.js';
+
+describe('findDuplicates', () => {
+    const entry = (file, index, name, pos, ypr = [0, 0, 0]) => ({ obj: { name, pos, ypr }, file, index });
+
+    it('reports objects with the same name, position and angles as an earlier one', () => {
+        const duplicates = findDuplicates([
+            entry('a.json', 0, 'Land_Wall', [100, 10, 200]),
+            entry('a.json', 1, 'Land_Wall', [100.005, 10, 200]),
+            entry('b.json', 0, 'Land_Wall', [100, 10, 200], [0.05, 0, 0]),
+            entry('b.json', 1, 'Land_Wall', [100, 10, 200], [1, 0, 0]),
+            entry('b.json', 2, 'Land_Tower', [100, 10, 200]),
+            entry('b.json', 3, 'Land_Wall', [100.5, 10, 200])
+        ], 0.01, 0.1);
+
+        assert.deepEqual(duplicates.map(({ file, index, duplicateOf }) => [file, index, duplicateOf.file, duplicateOf.index]), [
+            ['a.json', 1, 'a.json', 0],
+            ['b.json', 0, 'a.json', 0]
+        ]);
+    });
+});
+
+describe('mergeSets', () => {
+    const date = new Date(2024, 9, 19);
+    let dir;
+    let cwd;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-merge-'));
+        cwd = process.cwd();
+        process.chdir(dir);
+        await fs.mkdir('a');
+        await fs.mkdir('b');
+        await fs.writeFile(path.join('a', 'kb-base-0101.json'), JSON.stringify({ Objects: [{ name: 'Land_Wall', pos: [1, 0, 1], ypr: [0, 0, 0] }, { name: 'Land_Tower', pos: [5, 0, 5], ypr: [0, 0, 0] }] }));
+        await fs.writeFile(path.join('b', 'kb-base-0101.json'), JSON.stringify({ Objects: [{ name: 'Land_Wall', pos: [1, 0, 1], ypr: [0, 0, 0] }, { name: 'Land_Gate', pos: [9, 0, 9], ypr: [0, 0, 0] }] }));
+    });
+    after(async () => {
+        process.chdir(cwd);
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('tells sets with the same file name apart', async () => {
+        const result = await mergeSets({ inputSetPaths: ['a/kb-base-0101.json', 'b/kb-base-0101.json'], outputDir: 'merged', date });
+
+        assert.deepEqual(result.files[0].details, { 'a/kb-base-0101.json': 2, 'b/kb-base-0101.json': 1 });
+        assert.deepEqual(result.duplicates.map(({ file, duplicateOf }) => [file, duplicateOf.file]), [['b/kb-base-0101.json', 'a/kb-base-0101.json']]);
+        const merged = JSON.parse(await fs.readFile(path.join('merged', 'kb-base-1019.json'), 'utf-8'));
+        assert.deepEqual(merged.Objects.map(obj => obj.name), ['Land_Wall', 'Land_Tower', 'Land_Gate']);
+    });
+
+    it('keeps duplicates when asked to', async () => {
+        const result = await mergeSets({ inputSetPaths: ['a/kb-base-0101.json', 'b/kb-base-0101.json'], outputDir: 'kept', keepDuplicates: true, dryRun: true, date });
+        assert.equal(result.duplicates.length, 1);
+        assert.deepEqual(result.files[0].details, { 'a/kb-base-0101.json': 2, 'b/kb-base-0101.json': 2 });
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { applySwaps, checkNameTemplate, dateStampKey, getOutputPath, parseSwap, swapNames } from '../lib/naming.js';
+import { OptionsError } from '../lib/errors.js';
+
+const date = new Date(2024, 9, 19);
+const output = (inputPath, swaps = [], template) => path.basename(getOutputPath(inputPath, 'out', swaps, date, template));
+
+describe('getOutputPath', () => {
+    it('replaces the date stamp, or appends one', () => {
+        assert.equal(output('sets/kb-base-cherno-0303.json'), 'kb-base-cherno-1019.json');
+        assert.equal(output('kb-base-cherno-20240303.json'), 'kb-base-cherno-1019.json');
+        assert.equal(output('kb-base-2024.json'), 'kb-base-2024-1019.json');
+        assert.equal(output('kb-base-cherno-0303-warp.xml'), 'kb-base-cherno-1019.xml');
+        assert.equal(getOutputPath('kb-0303.json', 'out', [], date), path.join('out', 'kb-1019.json'));
+    });
+
+    it('applies literal and regex swaps in order', () => {
+        assert.equal(output('kb-cherno-base-cherno-0303.json', [parseSwap('cherno/neaf')]), 'kb-neaf-base-neaf-1019.json');
+        assert.equal(output('kb-v12-base-0303.json', [parseSwap('v(\\d+)/r$1', true), parseSwap('base/outpost')]), 'kb-r12-outpost-1019.json');
+    });
+
+    it('fills in name templates', () => {
+        assert.equal(output('kb-base-cherno-0303.json', [parseSwap('cherno/neaf')], '{base}-{date:YYYYMMDD}'), 'kb-base-neaf-20241019.json');
+        assert.equal(output('kb-base-0303.xml', [], '{name}_{date}_{date:YY-MM-DD}'), 'kb-base-0303_1019_24-10-19.xml');
+    });
+});
+
+describe('name templates and swaps', () => {
+    it('rejects unknown placeholders and folders', () => {
+        assert.equal(checkNameTemplate('{base}-{date:YYYY}'), '{base}-{date:YYYY}');
+        assert.throws(() => checkNameTemplate('{base}-{stamp}'), OptionsError);
+        assert.throws(() => checkNameTemplate('out/{base}'), OptionsError);
+        assert.throws(() => checkNameTemplate(''), OptionsError);
+    });
+
+    it('parses swaps and rejects malformed ones', () => {
+        assert.deepEqual(parseSwap('cherno/neaf'), { from: 'cherno', to: 'neaf', regex: false });
+        assert.throws(() => parseSwap('cherno'), OptionsError);
+        assert.throws(() => parseSwap('/neaf'), OptionsError);
+        assert.throws(() => parseSwap('(/x', true), OptionsError);
+    });
+
+    it('renames entries by their name', () => {
+        const objects = [{ name: 'Land_Cherno_Sign' }, { name: 'Land_Wall' }, { pos: [0, 0, 0] }];
+        assert.equal(swapNames(objects, [parseSwap('Cherno/Neaf')]), 1);
+        assert.deepEqual(objects.map(obj => obj.name), ['Land_Neaf_Sign', 'Land_Wall', undefined]);
+        assert.equal(applySwaps('a.b.a', [parseSwap('\\./-', true)]), 'a-b-a');
+    });
+});
+
+describe('dateStampKey', () => {
+    it('matches spawner entries that differ only by their date stamp', () => {
+        assert.equal(dateStampKey('custom/kb-base-0303.json'), dateStampKey('custom/kb-base-1019.json'));
+        assert.equal(dateStampKey('custom/kb-base-20240303.json'), 'custom/kb-base-####.json');
+        assert.notEqual(dateStampKey('custom/kb-base-0303.json'), dateStampKey('custom/kb-outpost-0303.json'));
+        assert.notEqual(dateStampKey('custom/a/kb-0303.json'), dateStampKey('custom/b/kb-0303.json'));
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { runRecipe } from '../lib/recipe.js';
+import { RecipeError } from '../lib/errors.js';
+
+describe('runRecipe', () => {
+    const date = new Date(2024, 9, 19);
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-recipe-'));
+        const set = { Objects: [{ name: 'Land_Wall', pos: [100, 10, 200], ypr: [0, 0, 0] }] };
+        await fs.writeFile(path.join(dir, 'kb-base-0101.json'), JSON.stringify(set));
+    });
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const listOutputs = async () => (await fs.readdir(dir)).filter(file => file !== 'kb-base-0101.json').sort();
+
+    it('runs every job and collects their spawn files', async () => {
+        const recipe = {
+            baseDir: dir,
+            defaults: { source: 'kb-base-0101.json' },
+            jobs: [
+                { name: 'north', target: { x: 1000, y: 20, z: 3000 }, outputDir: 'north' },
+                { name: 'south', target: { x: 5000, y: 20, z: 1000 }, rotate: 90, pivot: 'centroid', outputDir: 'south' }
+            ]
+        };
+        const { jobs, spawnFiles } = await runRecipe(recipe, { date });
+
+        assert.deepEqual(jobs.map(job => job.name), ['north', 'south']);
+        assert.deepEqual(spawnFiles, ['custom/kb-base-1019.json']);
+        const south = JSON.parse(await fs.readFile(path.join(dir, 'south', 'kb-base-1019.json'), 'utf-8'));
+        assert.deepEqual(south.Objects[0].pos, [5000, 20, 1000]);
+        assert.equal(south.Objects[0].ypr[0], 90);
+        await fs.rm(path.join(dir, 'north'), { recursive: true });
+        await fs.rm(path.join(dir, 'south'), { recursive: true });
+    });
+
+    it('stops before writing anything when two jobs write the same file', async () => {
+        const recipe = {
+            baseDir: dir,
+            jobs: [
+                { name: 'first', source: 'kb-base-0101.json', target: { x: 1000, y: 20, z: 3000 } },
+                { name: 'second', source: 'kb-base-0101.json', target: { x: 2000, y: 20, z: 3000 } }
+            ]
+        };
+        await assert.rejects(runRecipe(recipe, { date }), (error) => {
+            assert.ok(error instanceof RecipeError);
+            assert.equal(error.jobIndex, 1);
+            assert.equal(error.jobName, 'second');
+            return true;
+        });
+        assert.deepEqual(await listOutputs(), []);
+    });
+
+    it('names the invalid job', async () => {
+        const recipe = { baseDir: dir, jobs: [{ source: 'kb-base-0101.json', target: { x: 1, y: 2, z: 3 } }, { name: 'pivot', source: 'kb-base-0101.json', target: { x: 1, y: 2, z: 3 }, pivot: 'centroid' }] };
+        await assert.rejects(runRecipe(recipe, { date }), (error) => {
+            assert.ok(error instanceof RecipeError);
+            assert.match(error.message, /^Job #2 "pivot": "pivot" requires "rotate"/);
+            return true;
+        });
+        assert.deepEqual(await listOutputs(), []);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeYaw, resolvePivot, transformPosition, warpObjects } from '../lib/transform.js';
+import { calculateBestFitTransform, computeTranslation, invertTranslation, solveBestFit } from '../lib/translation.js';
+import { FitError, OptionsError } from '../lib/errors.js';
+
+/**
+ * Asserts that two positions are equal within a tolerance.
+ * @param {Array} actual - The actual [x, y, z].
+ * @param {Array} expected - The expected [x, y, z].
+ * @param {number} [tolerance] - The largest difference per coordinate.
+ */
+function assertPosition(actual, expected, tolerance = 1e-9) {
+    actual.forEach((value, axis) => {
+        assert.ok(Math.abs(value - expected[axis]) <= tolerance, `expected [${expected}], got [${actual}]`);
+    });
+}
+
+const set = () => ({
+    Objects: [
+        { name: 'Land_Wall', pos: [100, 10, 200], ypr: [170, 0, 0] },
+        { name: 'Land_Tower', pos: [110, 12, 200], ypr: [0, 0, 0] },
+        { name: 'Land_Gate', pos: [100, 11, 230], ypr: [-90, 0, 0] }
+    ]
+});
+
+describe('transformPosition', () => {
+    it('adds the translation', () => {
+        assertPosition(transformPosition({ newDeltaX: 5, newDeltaY: -1, newDeltaZ: 2.5 }, 1, 2, 3), [6, 1, 5.5]);
+    });
+
+    it('turns clockwise viewed from above around the pivot before translating', () => {
+        const translation = { newDeltaX: 1000, newDeltaY: 0, newDeltaZ: 0, rotation: 90, pivot: { x: 100, z: 200 } };
+        // 10 m east of the pivot ends up 10 m south of it, 10 m north ends up 10 m east
+        assertPosition(transformPosition(translation, 110, 5, 200), [1100, 5, 190]);
+        assertPosition(transformPosition(translation, 100, 5, 210), [1110, 5, 200]);
+    });
+});
+
+describe('warpObjects', () => {
+    it('turns the yaw with the rotation and keeps it in (-180, 180]', () => {
+        const { Objects } = set();
+        warpObjects(Objects, { newDeltaX: 0, newDeltaY: 0, newDeltaZ: 0, rotation: 30, pivot: { x: 100, z: 200 } });
+        assert.deepEqual(Objects.map(obj => obj.ypr[0]), [-160, 30, -60]);
+        assert.equal(normalizeYaw(540), 180);
+        assert.equal(normalizeYaw(-180), 180);
+    });
+});
+
+describe('resolvePivot', () => {
+    it('resolves the reference object, the centroid and explicit points', () => {
+        const { Objects } = set();
+        assert.deepEqual(resolvePivot('reference', Objects), { x: 100, z: 200 });
+        const centroid = resolvePivot('centroid', Objects);
+        assert.ok(Math.abs(centroid.x - 310 / 3) < 1e-9 && Math.abs(centroid.z - 210) < 1e-9);
+        assert.deepEqual(resolvePivot({ x: 1, z: 2 }, Objects), { x: 1, z: 2 });
+    });
+});
+
+describe('computeTranslation', () => {
+    it('moves the reference object to the target and adds the offsets', () => {
+        const translation = computeTranslation(set(), { target: { x: 1000, y: 20, z: 3000 }, offsets: { offsetX: 1, offsetY: 2, offsetZ: 3 } });
+        assert.equal(translation.newDeltaX, 901);
+        assert.equal(translation.newDeltaY, 12);
+        assert.equal(translation.newDeltaZ, 2803);
+        assert.deepEqual(translation.vector, { deltaX: 900, deltaY: 10, deltaZ: 2800 });
+        assert.equal(translation.rotation, undefined);
+    });
+
+    it('rotates around the resolved pivot', () => {
+        const translation = computeTranslation(set(), { target: { x: 1000, y: 20, z: 3000 }, rotation: 90, pivot: 'centroid' });
+        assert.equal(translation.rotation, 90);
+        assert.ok(Math.abs(translation.pivot.x - 310 / 3) < 1e-9);
+    });
+
+    it('refuses a rotation together with a best fit', () => {
+        assert.throws(() => computeTranslation(set(), { warpSet: set(), fit: true, rotation: 10 }), OptionsError);
+    });
+});
+
+describe('best fit', () => {
+    const moved = (rotation, dx, dy, dz) => {
+        const translation = { newDeltaX: dx, newDeltaY: dy, newDeltaZ: dz, rotation, pivot: { x: 0, z: 0 } };
+        return {
+            Objects: set().Objects.map(obj => ({ ...obj, pos: transformPosition(translation, ...obj.pos) }))
+        };
+    };
+
+    it('recovers the yaw and translation of a rigidly moved set', () => {
+        const target = moved(35, 5000, 3, -1200);
+        const fit = calculateBestFitTransform(set(), target, { fitYaw: true });
+        assert.ok(Math.abs(fit.rotation - 35) < 1e-9, `rotation ${fit.rotation}`);
+        fit.residuals.forEach(({ residual }) => assert.ok(residual < 1e-6));
+
+        // The fitted transform maps every object onto its match
+        const translation = { newDeltaX: fit.deltaX, newDeltaY: fit.deltaY, newDeltaZ: fit.deltaZ, rotation: fit.rotation, pivot: fit.pivot };
+        set().Objects.forEach((obj, index) => assertPosition(transformPosition(translation, ...obj.pos), target.Objects[index].pos, 1e-6));
+    });
+
+    it('solves only the translation without fitYaw', () => {
+        const fit = solveBestFit(set().Objects.map((source, index) => ({ source, target: moved(0, 10, 0, -10).Objects[index] })), false);
+        assert.equal(fit.rotation, 0);
+        assert.ok(Math.abs(fit.deltaX - 10) < 1e-9 && Math.abs(fit.deltaZ + 10) < 1e-9);
+    });
+
+    it('throws a FitError with the residuals when the sets do not match', () => {
+        const target = moved(0, 100, 0, 100);
+        target.Objects[2].pos[0] += 5;
+        assert.throws(() => calculateBestFitTransform(set(), target, { fitTolerance: 0.5 }), (error) => {
+            assert.ok(error instanceof FitError);
+            assert.equal(error.residuals.length, 3);
+            return true;
+        });
+    });
+});
+
+describe('invertTranslation', () => {
+    it('maps warped positions back', () => {
+        const translation = { newDeltaX: 812.5, newDeltaY: -4, newDeltaZ: -90, rotation: -47, pivot: { x: 100, z: 200 } };
+        const inverse = invertTranslation(translation);
+        for (const position of [[100, 10, 200], [123.4, 5, 180.25], [-50, 0, 999]]) {
+            assertPosition(transformPosition(inverse, ...transformPosition(translation, ...position)), position, 1e-9);
+        }
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { warpSet } from '../lib/warp.js';
+
+const set = (x, z) => JSON.stringify({ Objects: [{ name: 'Land_Wall', pos: [x, 10, z], ypr: [0, 0, 0] }] });
+
+describe('relation directories', () => {
+    const date = new Date(2024, 9, 19);
+    let dir;
+    const warp = options => warpSet({
+        inputSetPath: path.join(dir, 'sets', 'kb-base-0101.json'),
+        inputSetRelationDir: path.join(dir, 'sets'),
+        outputDir: path.join(dir, 'warped'),
+        target: { x: 1000, y: 10, z: 2000 },
+        dryRun: true,
+        date,
+        ...options
+    });
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dzwarp-warp-'));
+        await fs.mkdir(path.join(dir, 'sets', 'outposts', 'north'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'sets', 'kb-base-0101.json'), set(7000, 2000));
+        await fs.writeFile(path.join(dir, 'sets', 'kb-gate-0101.json'), set(7010, 2000));
+        await fs.writeFile(path.join(dir, 'sets', 'outposts', 'kb-tent-0101.json'), set(7100, 2100));
+        await fs.writeFile(path.join(dir, 'sets', 'outposts', 'north', 'kb-tower-0101.json'), set(7200, 2900));
+    });
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('warps subfolders by default, mirroring them into the output directory', async () => {
+        const result = await warp();
+        assert.deepEqual(result.spawnFiles.sort(), [
+            'custom/kb-base-1019.json',
+            'custom/kb-gate-1019.json',
+            'custom/outposts/kb-tent-1019.json',
+            'custom/outposts/north/kb-tower-1019.json'
+        ]);
+    });
+
+    it('reads only the top level when recursion is turned off', async () => {
+        const result = await warp({ recursive: false });
+        assert.deepEqual(result.spawnFiles.sort(), ['custom/kb-base-1019.json', 'custom/kb-gate-1019.json']);
+    });
+
+    it('filters files by their path below the relation directory', async () => {
+        const included = await warp({ include: ['outposts/**'] });
+        assert.deepEqual(included.spawnFiles.sort(), [
+            'custom/kb-base-1019.json',
+            'custom/outposts/kb-tent-1019.json',
+            'custom/outposts/north/kb-tower-1019.json'
+        ]);
+
+        const excluded = await warp({ exclude: ['**/north/**'] });
+        assert.deepEqual(excluded.spawnFiles.sort(), [
+            'custom/kb-base-1019.json',
+            'custom/kb-gate-1019.json',
+            'custom/outposts/kb-tent-1019.json'
+        ]);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXMLDocument, serializeXMLDocument } from '../lib/xml-document.js';
+import { formatNumberLike, formatNumbersLike } from '../lib/util.js';
+
+const EVENTS = `﻿<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<!DOCTYPE events [
+    <!ENTITY kb "KB">
+]>
+<!-- Spawns: <keep> this comment -->
+<events>
+    <event name='Static_&kb;_Heli' note="a > b &amp; &quot;c&quot;">
+        <pos x="7665.50" y="20" z='2390.1' a="-90"/>
+        <pos x="7670" z="2391" a="0" />
+        <![CDATA[raw <text> & more]]>
+    </event>
+    <event name="Single&#39;Quote"><pos x="1.000000" z="2.000000"/></event>
+</events>
+`;
+
+describe('parseXMLDocument', () => {
+    it('reads attributes and text like xml2js with explicitArray off', () => {
+        const document = parseXMLDocument(EVENTS);
+        const [heli, single] = document.events.event;
+
+        assert.deepEqual(heli.$, { name: 'Static_KB_Heli', note: 'a > b & "c"' });
+        assert.deepEqual(heli.pos.map(pos => pos.$), [{ x: '7665.50', y: '20', z: '2390.1', a: '-90' }, { x: '7670', z: '2391', a: '0' }]);
+        assert.match(heli._, /raw <text> & more/);
+        assert.equal(single.$.name, 'Single\'Quote');
+        assert.deepEqual(single.pos.$, { x: '1.000000', z: '2.000000' });
+    });
+
+    it('rejects malformed XML', () => {
+        assert.throws(() => parseXMLDocument('<events><event></events>'));
+        assert.throws(() => parseXMLDocument('<events a="1></events>'));
+        assert.throws(() => parseXMLDocument(''));
+    });
+});
+
+describe('serializeXMLDocument', () => {
+    it('writes an unchanged document back byte for byte', () => {
+        assert.equal(serializeXMLDocument(parseXMLDocument(EVENTS)), EVENTS);
+    });
+
+    it('replaces only the changed attribute values, escaped for their quotes', () => {
+        const document = parseXMLDocument(EVENTS);
+        const [heli, single] = document.events.event;
+        heli.pos[0].$.x = '8665.5';
+        heli.pos[0].$.z = 'O\'Neil <3';
+        heli.$.note = 'a > b & "c" & d';
+        single.pos.$.z = '3.000000';
+
+        assert.equal(serializeXMLDocument(document), EVENTS
+            .replace('x="7665.50"', 'x="8665.5"')
+            .replace('z=\'2390.1\'', 'z=\'O&apos;Neil &lt;3\'')
+            .replace('note="a > b &amp; &quot;c&quot;"', 'note="a > b &amp; &quot;c&quot; &amp; d"')
+            .replace('z="2.000000"', 'z="3.000000"'));
+    });
+});
+
+describe('formatNumberLike', () => {
+    it('keeps unchanged values as they were written', () => {
+        assert.equal(formatNumberLike('7665.50', 7665.5), '7665.50');
+        assert.equal(formatNumberLike('1e3', 1000), '1e3');
+    });
+
+    it('keeps the original decimals when they hold the new value exactly', () => {
+        assert.equal(formatNumberLike('7665', 8665), '8665');
+        assert.equal(formatNumberLike('12.5', 13.5), '13.5');
+        assert.equal(formatNumberLike('1.000000', 3), '3.000000');
+        assert.equal(formatNumberLike('7665.50', 8665.25), '8665.25');
+    });
+
+    it('adds decimals, up to six, only where the new value needs them', () => {
+        assert.equal(formatNumberLike('7665', 1014.6357), '1014.6357');
+        assert.equal(formatNumberLike('7665.5', 1015.1357), '1015.1357');
+        assert.equal(formatNumberLike('10', 10 + 1 / 3), '10.333333');
+        assert.equal(formatNumberLike('1.12345678', 2.123456789), '2.12345679');
+    });
+
+    it('never writes -0', () => {
+        assert.equal(formatNumberLike('5', -0.0000001), '0.000000');
+        assert.equal(formatNumberLike('5.0', -0.01), '-0.01');
+    });
+
+    it('formats every number of a list in the style of the one it replaces', () => {
+        assert.equal(formatNumbersLike('7660.12 20.14 2390', [8660.12, 21.14, 3390.5]), '8660.12 21.14 3390.5');
+    });
+});
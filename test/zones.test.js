@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeMinimumCircles, computeZonePolygon, smallestEnclosingCircle, summarizeCircles } from '../lib/zones.js';
+
+/**
+ * Creates reproducible pseudo-random points.
+ * @param {number} count - The number of points.
+ * @param {number} size - The side of the square they are spread over.
+ * @param {number} [seed] - The seed.
+ * @returns {Array} The points as { x, y }.
+ */
+function randomPoints(count, size, seed = 1) {
+    let state = seed;
+    const random = () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+    return Array.from({ length: count }, () => ({ x: random() * size, y: random() * size }));
+}
+
+/**
+ * Checks whether a point lies inside a polygon, by counting edge crossings.
+ * @param {Object} point - The point as { x, y }.
+ * @param {Array} vertices - The polygon.
+ * @returns {boolean} True if the point is inside.
+ */
+function insidePolygon(point, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Computes the distance from a point to the edge of a polygon.
+ * @param {Object} point - The point as { x, y }.
+ * @param {Array} vertices - The polygon.
+ * @returns {number} The distance to the nearest edge.
+ */
+function edgeDistance(point, vertices) {
+    return vertices.reduce((min, a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / (dx * dx + dy * dy)));
+        return Math.min(min, Math.hypot(point.x - a.x - t * dx, point.y - a.y - t * dy));
+    }, Infinity);
+}
+
+/**
+ * Computes the area of a polygon.
+ * @param {Array} vertices - The polygon.
+ * @returns {number} The area.
+ */
+function polygonArea(vertices) {
+    return Math.abs(vertices.reduce((sum, a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        return sum + a.x * b.y - b.x * a.y;
+    }, 0)) / 2;
+}
+
+describe('smallestEnclosingCircle', () => {
+    it('finds the circle through the farthest points', () => {
+        const circle = smallestEnclosingCircle([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 1 }, { x: 5, y: -1 }]);
+        assert.ok(Math.abs(circle.x - 5) < 1e-9 && Math.abs(circle.y) < 1e-9 && Math.abs(circle.radius - 5) < 1e-9);
+    });
+
+    it('gives the same circle on every call', () => {
+        const points = randomPoints(500, 100);
+        assert.deepEqual(smallestEnclosingCircle(points), smallestEnclosingCircle(points));
+    });
+});
+
+describe('computeMinimumCircles', () => {
+    const points = [...randomPoints(300, 400), { x: 2000, y: 2000 }, { x: -900, y: 50 }];
+
+    it('covers every point with circles no larger than the radius', () => {
+        const circles = computeMinimumCircles(points, 50);
+        for (const point of points) {
+            assert.ok(circles.some(({ center, radius }) => Math.hypot(point.x - center.x, point.y - center.y) <= radius + 1e-6), `(${point.x}, ${point.y}) is not covered`);
+        }
+        circles.forEach(({ radius }) => assert.ok(radius <= 50));
+        assert.equal(circles.reduce((sum, circle) => sum + circle.points.length, 0), points.length);
+        assert.equal(summarizeCircles(circles, points).count, circles.length);
+    });
+
+    it('keeps circles around single objects at the minimum radius', () => {
+        const circles = computeMinimumCircles(points, 50);
+        const stray = circles.filter(circle => circle.points.length === 1);
+        assert.ok(stray.length >= 2);
+        stray.forEach(({ radius }) => assert.equal(radius, 1));
+        computeMinimumCircles(points, 50, 5).forEach(({ radius }) => assert.ok(radius >= 5));
+        computeMinimumCircles(points, 0.5).forEach(({ radius }) => assert.ok(radius <= 0.5));
+    });
+
+    it('gives the same circles on every run', () => {
+        assert.deepEqual(computeMinimumCircles(points, 50), computeMinimumCircles(points, 50));
+    });
+});
+
+describe('computeZonePolygon', () => {
+    const cases = [
+        { name: 'a convex hull', points: randomPoints(40, 300, 7), options: { hull: 'convex', margin: 10 } },
+        { name: 'a concave hull', points: randomPoints(40, 300, 7), options: { hull: 'concave', concavity: 15, margin: 10 } },
+        { name: 'a tight concave hull', points: randomPoints(400, 300, 3), options: { hull: 'concave', concavity: 8, margin: 5 } },
+        { name: 'a wide margin', points: randomPoints(60, 200, 11), options: { hull: 'concave', concavity: 20, margin: 30 } },
+        { name: 'a single wall', points: [{ x: 0, y: 0 }, { x: 8, y: 0 }, { x: 16, y: 0 }], options: { hull: 'concave', margin: 2 } },
+        { name: 'a single object', points: [{ x: 3, y: 4 }], options: { margin: 2 } }
+    ];
+
+    for (const { name, points, options } of cases) {
+        it(`keeps every object at least the margin inside ${name}`, () => {
+            const { vertices } = computeZonePolygon(points, options);
+            for (const point of points) {
+                assert.ok(insidePolygon(point, vertices), `(${point.x}, ${point.y}) is outside`);
+                const distance = edgeDistance(point, vertices);
+                assert.ok(distance >= options.margin - 1e-6, `(${point.x}, ${point.y}) is ${distance} m from the edge`);
+            }
+        });
+    }
+
+    it('grows the zone with the margin', () => {
+        const points = randomPoints(40, 300, 7);
+        const areas = [0, 3, 10].map(margin => polygonArea(computeZonePolygon(points, { hull: 'concave', concavity: 15, margin }).vertices));
+        assert.ok(areas[0] < areas[1] && areas[1] < areas[2], `areas ${areas}`);
+    });
+
+    it('follows the objects into their gaps with a concave hull', () => {
+        // Two rows joined at one end, like a U
+        const points = [];
+        for (let x = 0; x <= 100; x += 5) points.push({ x, y: 0 }, { x, y: 60 });
+        for (let y = 5; y < 60; y += 5) points.push({ x: 0, y });
+        const convex = computeZonePolygon(points, { hull: 'convex', margin: 5 });
+        const concave = computeZonePolygon(points, { hull: 'concave', concavity: 10, margin: 5 });
+        assert.ok(insidePolygon({ x: 60, y: 30 }, convex.vertices));
+        assert.ok(!insidePolygon({ x: 60, y: 30 }, concave.vertices));
+    });
+});